@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+
+const USAGE = `Usage: ntando deploy <directory> --site <slug> [options]
+
+Publishes every file in <directory> (it must contain an index.html) and prints the site's URLs.
+An ntando.json at its root can declare redirects, rewrites, headers, a 404 page and SPA mode,
+or a build (Markdown pages or an npm script) that the server runs to produce the site; source
+trees with a build need no index.html. node_modules is never uploaded.
+
+Options:
+  --site <slug>       Site to update, or to create when it doesn't exist yet
+  --name <name>       Display name for a new site (defaults to the slug)
+  --workspace <id>    Look up and publish the site in a workspace instead of your account
+  --draft             Upload as a draft and print its preview link instead of going live
+  --url <url>         Ntandostore server (default: $NTANDO_URL or http://localhost:3000)
+  --token <token>     Personal access token (default: $NTANDO_TOKEN)
+`;
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--draft') {
+      options.draft = true;
+    } else if (arg.startsWith('--')) {
+      const [key, inline] = arg.slice(2).split('=', 2);
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for --${key}`);
+      }
+      options[key] = value;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { command: positional[0], args: positional.slice(1), options };
+}
+
+// Every file under `dir` as an upload manifest entry (dotfiles are skipped, the server won't serve
+// them, and so is node_modules, which builds install themselves)
+async function collectFiles(dir, prefix = '') {
+  const files = {};
+  const entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      Object.assign(files, await collectFiles(dir, relPath));
+    } else if (entry.isFile()) {
+      const content = await fs.readFile(path.join(dir, relPath));
+      files[relPath] = { content: content.toString('base64'), encoding: 'base64' };
+    }
+  }
+
+  return files;
+}
+
+function createClient(baseUrl, token) {
+  return async function request(method, pathname, body) {
+    const response = await fetch(new URL(pathname, baseUrl), {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    let result;
+    try {
+      result = await response.json();
+    } catch (error) {
+      result = {};
+    }
+
+    if (!response.ok) {
+      const message = result.error || `${method} ${pathname} failed with status ${response.status}`;
+      throw new Error(result.build && result.build.log ? `${message}\n\n${result.build.log}` : message);
+    }
+    return result;
+  };
+}
+
+async function deploy(dir, options) {
+  const slug = options.site;
+  const token = options.token || process.env.NTANDO_TOKEN;
+  const baseUrl = options.url || process.env.NTANDO_URL || 'http://localhost:3000';
+
+  if (!dir || !slug) {
+    throw new Error('A directory and --site are required\n\n' + USAGE);
+  }
+  if (!token) {
+    throw new Error('No API token: pass --token or set NTANDO_TOKEN');
+  }
+
+  const root = path.resolve(dir);
+  const hasFile = name => fs.access(path.join(root, name)).then(() => true, () => false);
+  if (!await hasFile('index.html') && !await hasFile('ntando.json')) {
+    throw new Error(`${dir} has no index.html (or ntando.json with a build) at its root`);
+  }
+  const files = await collectFiles(root);
+
+  const request = createClient(baseUrl, token);
+  const sites = options.workspace
+    ? await request('GET', `/api/workspaces/${encodeURIComponent(options.workspace)}/sites`)
+    : await request('GET', '/api/user/sites');
+  const existing = sites.find(site => site.slug === slug);
+
+  console.log(`📦 ${existing ? 'Updating' : 'Creating'} ${slug} with ${Object.keys(files).length} files...`);
+
+  const result = existing
+    ? await request('PUT', `/api/sites/${existing.id}`, { files, draft: options.draft })
+    : await request('POST', '/api/upload', {
+      files,
+      siteSlug: slug,
+      siteName: options.name || slug,
+      workspaceId: options.workspace,
+      draft: options.draft
+    });
+
+  const { site } = result;
+  if (result.build) {
+    console.log(`🔨 Built with the ${result.build.generator} generator in ${(result.build.durationMs / 1000).toFixed(1)}s`);
+  }
+  if (result.quarantined) {
+    console.log(`⚠️  ${result.message}`);
+    for (const finding of result.findings) {
+      console.log(`   ${finding.file}: ${finding.message}`);
+    }
+    process.exitCode = 2;
+    return;
+  }
+
+  if (result.draft) {
+    console.log(`📝 Saved a draft of ${site.name}`);
+    console.log(`   Preview: ${result.previewUrl}`);
+    return;
+  }
+
+  console.log(`✅ Deployed ${site.name} (version ${site.currentVersion || 1})`);
+  for (const [domain, url] of Object.entries(site.urls || {})) {
+    console.log(`   ${domain.padEnd(14)} ${url}`);
+  }
+}
+
+async function main() {
+  const { command, args, options } = parseArgs(process.argv.slice(2));
+
+  if (options.help || !command || command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+
+  if (typeof fetch !== 'function') {
+    throw new Error('ntando needs Node.js 18 or newer');
+  }
+
+  switch (command) {
+    case 'deploy':
+      return deploy(args[0], options);
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,9 @@
+// Problems with the user's source or build; their message goes into the build log as is,
+// unlike unexpected errors, which are only logged on the server
+function buildError(message) {
+  const error = new Error(message);
+  error.expose = true;
+  return error;
+}
+
+module.exports = { buildError };
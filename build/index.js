@@ -0,0 +1,110 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { SITE_CONFIG_FILE, parseSiteConfig } = require('../publish');
+const { renderMarkdownSite } = require('./markdown');
+const { runNpmBuild } = require('./npm');
+const { buildError } = require('./errors');
+
+// Site builds: a deploy whose ntando.json has a `build` section is a source tree, turned into
+// the files to publish before they go through the usual checks.
+//
+//   readBuildConfig(files)   { build, errors } for a deploy's { path, data } files; build is
+//                            null when the deploy needs no build
+//   run(files, build)        build them; resolves to { status: 'succeeded' | 'failed', files,
+//                            error, log, startedAt, finishedAt, durationMs }, never rejects
+//   clean()                  remove scratch directories left by an interrupted server
+//
+// npm builds run one at a time in scratch directories under `root`, within `timeout`, and only
+// inside the `npm.sandbox` command prefix: install scripts and the build script are untrusted
+// code, so without a sandbox they are refused. The source's own ntando.json is published with
+// the output.
+function readBuildConfig(files) {
+  const file = files.find(entry => entry.path === SITE_CONFIG_FILE);
+  if (!file) {
+    return { build: null, errors: [] };
+  }
+  const { config, errors } = parseSiteConfig(file.data.toString('utf8'));
+  return { build: config && errors.length === 0 ? config.build : null, errors };
+}
+
+function createSiteBuilder({ root, timeout, maxLogBytes, maxFiles, maxBytes, npm }) {
+  let npmQueue = Promise.resolve();
+
+  async function build(files, settings, log) {
+    if (settings.generator === 'markdown') {
+      return renderMarkdownSite(files, log);
+    }
+
+    if (!npm.enabled) {
+      throw buildError('npm builds are turned off on this server');
+    }
+    if (npm.sandbox.length === 0) {
+      throw buildError('npm builds are not available: this server has no build sandbox configured');
+    }
+
+    // Queued builds count their time from when they start
+    const run = npmQueue.then(async () => {
+      const dir = path.join(root, crypto.randomUUID());
+      await fs.mkdir(dir, { recursive: true });
+      try {
+        return await runNpmBuild(dir, files, settings, {
+          sandbox: npm.sandbox,
+          deadline: Date.now() + timeout,
+          maxFiles,
+          maxBytes,
+          log
+        });
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+    npmQueue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    async run(files, settings) {
+      const started = Date.now();
+      const lines = [];
+      let logBytes = 0;
+      const log = text => {
+        if (logBytes > maxLogBytes) return;
+        logBytes += Buffer.byteLength(text) + 1;
+        lines.push(logBytes > maxLogBytes ? '[log truncated]' : text);
+      };
+
+      log(`Building with the ${settings.generator} generator`);
+      const result = { status: 'succeeded', files: null, error: null };
+      try {
+        const output = await build(files, settings, log);
+        const config = files.find(entry => entry.path === SITE_CONFIG_FILE);
+        result.files = [...output.filter(entry => entry.path !== SITE_CONFIG_FILE), ...(config ? [config] : [])];
+        log(`Build succeeded in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+      } catch (error) {
+        if (!error.expose) {
+          console.error('Site build error:', error);
+        }
+        result.status = 'failed';
+        result.error = error.expose ? error.message : 'Internal build error';
+        log(`Build failed: ${result.error}`);
+      }
+
+      const finished = Date.now();
+      return {
+        ...result,
+        log: lines.join('\n'),
+        startedAt: new Date(started).toISOString(),
+        finishedAt: new Date(finished).toISOString(),
+        durationMs: finished - started
+      };
+    },
+
+    async clean() {
+      await fs.rm(root, { recursive: true, force: true });
+      await fs.mkdir(root, { recursive: true });
+    }
+  };
+}
+
+module.exports = { createSiteBuilder, readBuildConfig };
@@ -0,0 +1,165 @@
+const path = require('path');
+const { Marked } = require('marked');
+const { buildError } = require('./errors');
+
+// Markdown sites: every .md page becomes an .html page, wrapped in a layout from _layouts/.
+//
+//   ---
+//   title: About us
+//   layout: page
+//   ---
+//   # Hello
+//
+// Front matter is a small subset of YAML (one `key: value` per line; strings, numbers, booleans
+// and [inline, lists]). Pages use `_layouts/default.html` when it exists and their front matter
+// names no layout; `layout: none` renders the bare page. Layouts put the page in with
+// {{ content }} and show front matter with {{ page.title }}, and can name a layout of their own.
+// Files and directories starting with _ are never published; everything else is copied as is.
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+const LAYOUTS_DIR = '_layouts';
+const MAX_LAYOUT_DEPTH = 5;
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const FRONT_MATTER_KEY = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+const PLACEHOLDER = /\{\{\s*(content|page\.[A-Za-z_][A-Za-z0-9_-]*)\s*\}\}/g;
+
+const DEFAULT_LAYOUT = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>{{ page.title }}</title>
+</head>
+<body>
+{{ content }}
+</body>
+</html>
+`;
+
+// Relative links to other Markdown pages point at the pages they become
+const marked = new Marked({
+  walkTokens(token) {
+    if (token.type === 'link' && !/^[a-z][a-z0-9+.-]*:|^\/\//i.test(token.href)) {
+      token.href = token.href.replace(/\.(md|markdown)(?=$|[?#])/i, '.html');
+    }
+  }
+});
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function parseScalar(value) {
+  if (/^".*"$/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, '\'');
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+// Split a file into its front matter and body
+function parseFrontMatter(text, file) {
+  const match = FRONT_MATTER.exec(text);
+  if (!match) {
+    return { data: {}, body: text };
+  }
+
+  const data = {};
+  match[1].split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const colon = line.indexOf(':');
+    const key = colon === -1 ? '' : line.slice(0, colon).trim();
+    if (!FRONT_MATTER_KEY.test(key)) {
+      throw buildError(`${file}: front matter line ${index + 2} is not "key: value"`);
+    }
+
+    const value = line.slice(colon + 1).trim();
+    data[key] = /^\[.*\]$/.test(value)
+      ? value.slice(1, -1).split(',').map(item => item.trim()).filter(Boolean).map(parseScalar)
+      : parseScalar(value);
+  });
+  return { data, body: text.slice(match[0].length) };
+}
+
+function fillLayout(template, content, page) {
+  return template.replace(PLACEHOLDER, (placeholder, name) => {
+    if (name === 'content') return content;
+    const value = page[name.slice('page.'.length)];
+    if (value === undefined || value === null) return '';
+    return escapeHtml(Array.isArray(value) ? value.join(', ') : value);
+  });
+}
+
+// Title for pages whose front matter has none: their first heading, else their file name
+function defaultTitle(body, file) {
+  const heading = /^#\s+(.+?)\s*#*\s*$/m.exec(body);
+  return heading ? heading[1] : path.posix.basename(file).replace(MARKDOWN_FILE, '');
+}
+
+// Render the Markdown pages of a deploy's { path, data } files and return the files to publish
+function renderMarkdownSite(files, log) {
+  const layouts = new Map();
+  for (const file of files) {
+    if (file.path.startsWith(`${LAYOUTS_DIR}/`) && /\.html?$/i.test(file.path)) {
+      const name = file.path.slice(LAYOUTS_DIR.length + 1).replace(/\.html?$/i, '');
+      layouts.set(name, parseFrontMatter(file.data.toString('utf8'), file.path));
+    }
+  }
+
+  const output = new Map();
+  const add = (relPath, data, from) => {
+    if (output.has(relPath)) {
+      throw buildError(`${from} and ${output.get(relPath).from} would both be published as ${relPath}`);
+    }
+    output.set(relPath, { path: relPath, data, from });
+  };
+
+  let pages = 0;
+  for (const file of files) {
+    if (file.path.split('/').some(part => part.startsWith('_'))) continue;
+    if (!MARKDOWN_FILE.test(file.path)) {
+      add(file.path, file.data, file.path);
+      continue;
+    }
+
+    const { data, body } = parseFrontMatter(file.data.toString('utf8'), file.path);
+    const htmlPath = file.path.replace(MARKDOWN_FILE, '.html');
+    const page = { title: defaultTitle(body, file.path), ...data, path: `/${htmlPath}` };
+    let html = marked.parse(body);
+
+    // Wrap the page in its layout, then in that layout's own, and so on
+    let layoutName = data.layout === undefined ? (layouts.has('default') ? 'default' : 'none') : String(data.layout);
+    for (let depth = 0; layoutName !== 'none'; depth++) {
+      const layout = layouts.get(layoutName);
+      if (!layout) {
+        throw buildError(`${file.path}: there is no ${LAYOUTS_DIR}/${layoutName}.html layout`);
+      }
+      if (depth >= MAX_LAYOUT_DEPTH) {
+        throw buildError(`${file.path}: layouts are nested more than ${MAX_LAYOUT_DEPTH} deep`);
+      }
+      html = fillLayout(layout.body, html, page);
+      layoutName = layout.data.layout === undefined ? 'none' : String(layout.data.layout);
+    }
+    if (!/^\s*<!doctype html/i.test(html)) {
+      html = fillLayout(DEFAULT_LAYOUT, html, page);
+    }
+
+    add(htmlPath, Buffer.from(html), file.path);
+    pages++;
+  }
+
+  log(`Rendered ${pages} Markdown page${pages === 1 ? '' : 's'} with ${layouts.size} layout${layouts.size === 1 ? '' : 's'}`);
+  return [...output.values()].map(({ path: relPath, data }) => ({ path: relPath, data }));
+}
+
+module.exports = { renderMarkdownSite, parseFrontMatter };
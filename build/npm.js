@@ -0,0 +1,138 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+const { buildError } = require('./errors');
+
+// npm builds: the upload is written to a scratch directory, its dependencies installed (`npm ci`
+// with a lockfile, `npm install` without) and `npm run <script>` run there. The commands get a
+// bare environment with no server secrets, their own HOME and npm cache, and are killed with
+// their whole process group at the deadline. `sandbox` is an optional command prefix, such as
+// a bubblewrap or firejail invocation, with {dir} standing for the scratch directory.
+const NPM_FLAGS = ['--no-audit', '--no-fund', '--no-progress', '--no-update-notifier'];
+
+async function writeSource(dir, files) {
+  for (const file of files) {
+    const target = path.resolve(dir, file.path);
+    if (!target.startsWith(dir + path.sep)) {
+      throw buildError(`Path traversal is not allowed: ${file.path}`);
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, file.data);
+  }
+}
+
+// Run one command, streaming its output into the log. Resolves once it exits; rejects when it
+// fails or is still running at `deadline`.
+function runCommand(args, { cwd, env, sandbox, deadline, log }) {
+  return new Promise((resolve, reject) => {
+    const command = [...sandbox, 'npm', ...args];
+    log(`$ npm ${args.join(' ')}`);
+
+    const child = spawn(command[0], command.slice(1), { cwd, env, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        child.kill('SIGKILL');
+      }
+    }, Math.max(deadline - Date.now(), 0));
+
+    child.stdout.on('data', chunk => log(chunk.toString('utf8').trimEnd()));
+    child.stderr.on('data', chunk => log(chunk.toString('utf8').trimEnd()));
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(buildError(`Could not start ${command[0]}: ${error.message}`));
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (timedOut) {
+        const error = buildError('The build ran out of time and was stopped');
+        error.timedOut = true;
+        return reject(error);
+      }
+      if (code !== 0) {
+        return reject(buildError(`npm ${args[0]} exited with code ${code}`));
+      }
+      resolve();
+    });
+  });
+}
+
+// Regular files under the output directory as { path, data }; symlinks are left out so a
+// build can't publish files from outside its own directory
+async function readOutput(outputDir, { maxFiles, maxBytes, log }, prefix = '', totals = { files: 0, bytes: 0 }) {
+  const files = [];
+  for (const entry of await fs.readdir(path.join(outputDir, prefix), { withFileTypes: true })) {
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isSymbolicLink()) {
+      log(`Skipped symlink ${relPath}`);
+    } else if (entry.isDirectory()) {
+      files.push(...await readOutput(outputDir, { maxFiles, maxBytes, log }, relPath, totals));
+    } else if (entry.isFile()) {
+      const data = await fs.readFile(path.join(outputDir, relPath));
+      totals.files++;
+      totals.bytes += data.length;
+      if (totals.files > maxFiles) {
+        throw buildError(`The build output has more than ${maxFiles} files`);
+      }
+      if (totals.bytes > maxBytes) {
+        throw buildError(`The build output is larger than the ${maxBytes} byte limit`);
+      }
+      files.push({ path: relPath, data });
+    }
+  }
+  return files;
+}
+
+async function runNpmBuild(dir, files, build, { sandbox, deadline, maxFiles, maxBytes, log }) {
+  const sourceDir = path.join(dir, 'source');
+  await writeSource(sourceDir, files);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(path.join(sourceDir, 'package.json'), 'utf8'));
+  } catch (error) {
+    throw buildError(error.code === 'ENOENT'
+      ? 'npm builds need a package.json at the root of the upload'
+      : `package.json is not valid JSON (${error.message})`);
+  }
+  if (!manifest.scripts || typeof manifest.scripts[build.script] !== 'string') {
+    throw buildError(`package.json has no "${build.script}" script`);
+  }
+
+  for (const name of ['home', 'cache', 'tmp']) {
+    await fs.mkdir(path.join(dir, name), { recursive: true });
+  }
+  const options = {
+    cwd: sourceDir,
+    env: {
+      PATH: process.env.PATH,
+      HOME: path.join(dir, 'home'),
+      TMPDIR: path.join(dir, 'tmp'),
+      npm_config_cache: path.join(dir, 'cache'),
+      CI: 'true'
+    },
+    sandbox: sandbox.map(part => part.split('{dir}').join(dir)),
+    deadline,
+    log
+  };
+
+  if (manifest.dependencies || manifest.devDependencies) {
+    const hasLockfile = files.some(file => file.path === 'package-lock.json' || file.path === 'npm-shrinkwrap.json');
+    await runCommand([hasLockfile ? 'ci' : 'install', ...NPM_FLAGS], options);
+  }
+  await runCommand(['run', build.script], options);
+
+  const outputDir = await fs.realpath(path.join(sourceDir, build.output)).catch(() => null);
+  const stat = outputDir && outputDir.startsWith(await fs.realpath(sourceDir) + path.sep) && await fs.stat(outputDir);
+  if (!stat || !stat.isDirectory()) {
+    throw buildError(`The build did not produce a ${build.output}/ directory`);
+  }
+  const output = await readOutput(outputDir, { maxFiles, maxBytes, log });
+  log(`Collected ${output.length} files from ${build.output}/`);
+  return output;
+}
+
+module.exports = { runNpmBuild };
@@ -0,0 +1,225 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+
+// Bare repositories that sites can be pushed to, one per site id under `root`, served over
+// git's smart HTTP protocol by the stock `git http-backend`:
+//
+//   init(siteId, branch)       create the repository, or point an existing one at `branch`
+//   remove(siteId)             delete it
+//   resolveBranch(siteId, b)   commit id a branch points at, or null
+//   readCommit(siteId, id)     { id, author, subject }
+//   readTree(siteId, id, lim)  every regular file of a commit as { path, data }
+//   serve(req, res, opts)      answer a smart HTTP request (info/refs, upload-pack, receive-pack)
+const GIT_SERVICES = ['git-upload-pack', 'git-receive-pack'];
+const MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+
+// A conservative subset of the branch names git accepts
+function isValidBranch(name) {
+  return typeof name === 'string' && /^[A-Za-z0-9._/-]{1,100}$/.test(name) &&
+    !name.startsWith('-') && !name.includes('..') &&
+    name.split('/').every(part => part && !part.startsWith('.') && !part.endsWith('.') && !part.endsWith('.lock'));
+}
+
+// Commits over the deploy limits fail like oversized uploads
+function limitError(message) {
+  const error = new Error(message);
+  error.status = 413;
+  return error;
+}
+
+function git(gitDir, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['--git-dir', gitDir, ...args], {
+      encoding: options.encoding || 'utf8',
+      maxBuffer: options.maxBuffer || MAX_OUTPUT_BYTES,
+      env: { PATH: process.env.PATH, GIT_CONFIG_NOSYSTEM: '1', HOME: gitDir }
+    }, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `git ${args[0]} failed: ${String(stderr).trim() || error.message}`;
+        return reject(error);
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// Read the blobs of `entries` through one `git cat-file --batch` process
+function readBlobs(gitDir, entries) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', ['--git-dir', gitDir, 'cat-file', '--batch'], {
+      env: { PATH: process.env.PATH, GIT_CONFIG_NOSYSTEM: '1', HOME: gitDir }
+    });
+    const chunks = [];
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code !== 0) {
+        return reject(new Error(`git cat-file failed with exit code ${code}`));
+      }
+
+      // Each blob comes back as "<id> blob <size>\n<data>\n"
+      const output = Buffer.concat(chunks);
+      let offset = 0;
+      const files = [];
+      for (const entry of entries) {
+        const headerEnd = output.indexOf(10, offset);
+        const size = parseInt(output.toString('utf8', offset, headerEnd).split(' ')[2], 10);
+        files.push({ path: entry.path, data: output.subarray(headerEnd + 1, headerEnd + 1 + size) });
+        offset = headerEnd + 1 + size + 1;
+      }
+      resolve(files);
+    });
+    child.stdin.end(entries.map(entry => `${entry.id}\n`).join(''));
+  });
+}
+
+function createGitHost({ root, maxPushBytes }) {
+  const getRepoDir = siteId => path.join(root, `${siteId}.git`);
+
+  return {
+    getRepoDir,
+
+    async init(siteId, branch) {
+      const gitDir = getRepoDir(siteId);
+      await fs.mkdir(root, { recursive: true });
+      await git(gitDir, ['init', '--bare', '--quiet', `--initial-branch=${branch}`]);
+      await git(gitDir, ['config', 'http.receivepack', 'true']);
+      // Pushes are replayed as deploys; keep the history they came from
+      await git(gitDir, ['config', 'receive.denyDeletes', 'true']);
+      await git(gitDir, ['symbolic-ref', 'HEAD', `refs/heads/${branch}`]);
+    },
+
+    async remove(siteId) {
+      await fs.rm(getRepoDir(siteId), { recursive: true, force: true });
+    },
+
+    async resolveBranch(siteId, branch) {
+      try {
+        const id = await git(getRepoDir(siteId), ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}^{commit}`]);
+        return id.trim() || null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async readCommit(siteId, commitId) {
+      const output = await git(getRepoDir(siteId), ['log', '-1', '--format=%H%x00%an <%ae>%x00%s', commitId]);
+      const [id, author, subject] = output.trim().split('\0');
+      return { id, author, subject };
+    },
+
+    // Symlinks and submodules are skipped: neither can be served as a file
+    async readTree(siteId, commitId, { maxFiles, maxBytes }) {
+      const gitDir = getRepoDir(siteId);
+      const listing = await git(gitDir, ['ls-tree', '-r', '-z', '--long', '--full-tree', commitId], { maxBuffer: 64 * 1024 * 1024 });
+
+      const entries = [];
+      let totalSize = 0;
+      for (const line of listing.split('\0').filter(Boolean)) {
+        const tab = line.indexOf('\t');
+        const [mode, type, id, size] = line.slice(0, tab).split(/\s+/);
+        if (type !== 'blob' || mode === '120000') continue;
+
+        entries.push({ path: line.slice(tab + 1), id });
+        totalSize += parseInt(size, 10);
+        if (entries.length > maxFiles) {
+          throw limitError(`The commit contains more than ${maxFiles} files`);
+        }
+        if (totalSize > maxBytes) {
+          throw limitError(`The commit's files add up to more than the ${maxBytes} byte limit`);
+        }
+      }
+
+      return readBlobs(gitDir, entries);
+    },
+
+    // Run `git http-backend` for a request on `/<siteId>.git/...`. Resolves once the response
+    // is complete; pushes larger than maxPushBytes are cut off with a 413.
+    serve(req, res, { siteId, pathInfo, remoteUser }) {
+      return new Promise(resolve => {
+        const env = {
+          PATH: process.env.PATH,
+          GIT_CONFIG_NOSYSTEM: '1',
+          GIT_PROJECT_ROOT: root,
+          GIT_HTTP_EXPORT_ALL: '1',
+          PATH_INFO: `/${siteId}.git${pathInfo}`,
+          REQUEST_METHOD: req.method,
+          QUERY_STRING: new URL(req.originalUrl, 'http://git.invalid').search.slice(1),
+          CONTENT_TYPE: req.get('content-type') || '',
+          REMOTE_USER: remoteUser,
+          REMOTE_ADDR: req.ip || ''
+        };
+        if (req.get('content-length')) env.CONTENT_LENGTH = req.get('content-length');
+        if (req.get('content-encoding')) env.HTTP_CONTENT_ENCODING = req.get('content-encoding');
+        if (req.get('git-protocol')) env.GIT_PROTOCOL = req.get('git-protocol');
+
+        const child = spawn('git', ['http-backend'], { env });
+        let received = 0;
+        let header = Buffer.alloc(0);
+        let headersDone = false;
+        let failed = false;
+
+        const fail = (status, message) => {
+          failed = true;
+          child.kill();
+          if (!res.headersSent) {
+            res.status(status).type('text').send(message);
+          } else {
+            res.destroy();
+          }
+        };
+
+        req.on('data', chunk => {
+          received += chunk.length;
+          if (received > maxPushBytes) {
+            req.unpipe(child.stdin);
+            fail(413, `Push is larger than the ${Math.round(maxPushBytes / (1024 * 1024))} MB limit\n`);
+          }
+        });
+        req.pipe(child.stdin);
+        child.stdin.on('error', () => {});
+
+        // CGI output: headers, a blank line, then the body
+        child.stdout.on('data', chunk => {
+          if (failed) return;
+          if (headersDone) {
+            res.write(chunk);
+            return;
+          }
+          header = Buffer.concat([header, chunk]);
+          const end = header.indexOf('\r\n\r\n');
+          if (end === -1) return;
+
+          headersDone = true;
+          for (const line of header.subarray(0, end).toString('utf8').split('\r\n')) {
+            const colon = line.indexOf(':');
+            const name = line.slice(0, colon).trim();
+            const value = line.slice(colon + 1).trim();
+            if (name.toLowerCase() === 'status') {
+              res.status(parseInt(value, 10));
+            } else {
+              res.set(name, value);
+            }
+          }
+          res.write(header.subarray(end + 4));
+        });
+
+        child.stderr.on('data', chunk => console.error(`git http-backend: ${chunk.toString().trim()}`));
+        child.on('close', () => {
+          if (!res.headersSent && !headersDone) {
+            res.status(500).type('text').send('Git request failed\n');
+          } else if (!res.writableEnded) {
+            res.end();
+          }
+          resolve();
+        });
+        child.on('error', error => {
+          console.error('git http-backend error:', error);
+        });
+      });
+    }
+  };
+}
+
+module.exports = { createGitHost, isValidBranch, GIT_SERVICES };
@@ -0,0 +1,25 @@
+const { createSmtpTransport } = require('./smtp');
+const { createFileTransport, createConsoleTransport } = require('./local');
+
+// Mailer interface shared by every transport (async):
+//
+//   send({ to, subject, text })
+//
+// `smtp` delivers through a relay; `file` appends each message to a JSON-lines outbox
+// and `console` prints it, so local setups can follow links without a mail server.
+function createMailer(options) {
+  const transport = options.transport || 'console';
+
+  switch (transport) {
+    case 'smtp':
+      return createSmtpTransport(options);
+    case 'file':
+      return createFileTransport(options);
+    case 'console':
+      return createConsoleTransport(options);
+    default:
+      throw new Error(`Unknown mail transport: ${transport}`);
+  }
+}
+
+module.exports = { createMailer };
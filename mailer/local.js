@@ -0,0 +1,22 @@
+const fs = require('fs').promises;
+
+// File transport: one JSON message per line, newest last
+function createFileTransport({ from, file }) {
+  return {
+    async send({ to, subject, text }) {
+      const message = { from, to, subject, text, sentAt: new Date().toISOString() };
+      await fs.appendFile(file, JSON.stringify(message) + '\n');
+    }
+  };
+}
+
+// Console transport: print the message instead of delivering it
+function createConsoleTransport({ from }) {
+  return {
+    async send({ to, subject, text }) {
+      console.log(`📧 Mail from ${from} to ${to}: ${subject}\n${text}`);
+    }
+  };
+}
+
+module.exports = { createFileTransport, createConsoleTransport };
@@ -0,0 +1,23 @@
+const nodemailer = require('nodemailer');
+
+// SMTP transport: plain-text messages through the configured relay
+function createSmtpTransport({ from, smtp }) {
+  if (!smtp.host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+  });
+
+  return {
+    async send({ to, subject, text }) {
+      await transporter.sendMail({ from, to, subject, text });
+    }
+  };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// Generated at publish time inside each served directory; dot-prefixed so it is never served
+// and never listed as one of the site's files
+const ASSET_DIR = '.assets';
+const MANIFEST_FILE = 'manifest.json';
+
+const COMPRESSIBLE = /\.(html?|css|m?js|json|map|svg|txt|xml|csv|md|ico|wasm|ttf|otf|webmanifest)$/i;
+const MIN_COMPRESS_BYTES = 1024;
+// A variant is only kept when it saves at least this share of the original
+const MIN_SAVING = 0.1;
+
+// Preferred first when a client accepts several
+const ENCODINGS = [
+  {
+    name: 'br',
+    extension: '.br',
+    compress: promisify(zlib.brotliCompress),
+    options: size => ({
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: size
+      }
+    })
+  },
+  {
+    name: 'gzip',
+    extension: '.gz',
+    compress: promisify(zlib.gzip),
+    options: () => ({ level: zlib.constants.Z_BEST_COMPRESSION })
+  }
+];
+
+// File names carrying a content hash (app.3f9a8b1c.js, chunk-5KQ2ZL7D.css) never change
+const FINGERPRINTED = /[.-]((?=\d*[a-f])[0-9a-f]{8,}|(?=[A-Z]*\d)(?=\d*[A-Z])[0-9A-Z]{8})\.[a-z0-9]+$/;
+const PAGE = /\.html?$/i;
+
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, relPath));
+    } else if (entry.isFile()) {
+      files.push(relPath);
+    }
+  }
+  return files;
+}
+
+// Hash every file of a served directory and pre-compress the text-like ones. Returns the
+// manifest: { files: { <path>: { hash, size, br?, gzip? } } } with variant sizes in bytes.
+async function buildAssetManifest(dir) {
+  const assetDir = path.join(dir, ASSET_DIR);
+  await fs.rm(assetDir, { recursive: true, force: true });
+
+  const files = {};
+  for (const relPath of await listFiles(dir)) {
+    const data = await fs.readFile(path.join(dir, relPath));
+    const entry = {
+      hash: crypto.createHash('sha256').update(data).digest('base64url').slice(0, 22),
+      size: data.length
+    };
+
+    if (data.length >= MIN_COMPRESS_BYTES && COMPRESSIBLE.test(relPath)) {
+      for (const encoding of ENCODINGS) {
+        const compressed = await encoding.compress(data, encoding.options(data.length));
+        if (compressed.length > data.length * (1 - MIN_SAVING)) continue;
+
+        const target = path.join(assetDir, `${relPath}${encoding.extension}`);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, compressed);
+        entry[encoding.name] = compressed.length;
+      }
+    }
+    files[relPath] = entry;
+  }
+
+  const manifest = { files };
+  await fs.mkdir(assetDir, { recursive: true });
+  await fs.writeFile(path.join(assetDir, MANIFEST_FILE), JSON.stringify(manifest));
+  return manifest;
+}
+
+function getManifestPath(dir) {
+  return path.join(dir, ASSET_DIR, MANIFEST_FILE);
+}
+
+// Pre-compressed copy of a file for one of the encodings listed in its manifest entry
+function getVariantPath(dir, relPath, encodingName) {
+  const encoding = ENCODINGS.find(candidate => candidate.name === encodingName);
+  return path.join(dir, ASSET_DIR, `${relPath}${encoding.extension}`);
+}
+
+// Encodings available for a manifest entry, in order of preference
+function variantEncodings(entry) {
+  return ENCODINGS.map(encoding => encoding.name).filter(name => entry[name] !== undefined);
+}
+
+// Pages must be revalidated so a deploy shows up at once; fingerprinted assets are cached
+// for good and other assets for an hour
+function assetCacheControl(relPath) {
+  if (PAGE.test(relPath)) {
+    return 'public, max-age=0, must-revalidate';
+  }
+  if (FINGERPRINTED.test(path.posix.basename(relPath))) {
+    return 'public, max-age=31536000, immutable';
+  }
+  return 'public, max-age=3600';
+}
+
+module.exports = {
+  ASSET_DIR,
+  buildAssetManifest,
+  getManifestPath,
+  getVariantPath,
+  variantEncodings,
+  assetCacheControl
+};
@@ -0,0 +1,167 @@
+const path = require('path');
+const { findElements, getAttribute, textContent } = require('./html');
+
+const MB = 1024 * 1024;
+
+// Per-type size limits for the asset size check, by file extension
+const DEFAULT_ASSET_LIMITS = {
+  '.html': 2 * MB,
+  '.htm': 2 * MB,
+  '.css': 2 * MB,
+  '.js': 5 * MB,
+  '.mjs': 5 * MB,
+  '.svg': 2 * MB,
+  '.png': 10 * MB,
+  '.jpg': 10 * MB,
+  '.jpeg': 10 * MB,
+  '.gif': 10 * MB,
+  '.webp': 10 * MB
+};
+
+// Hosts whose scripts are never allowed on hosted sites (matches subdomains too)
+const DEFAULT_BLOCKED_SCRIPT_HOSTS = [
+  'sites.super.myninja.ai',
+  'coinhive.com',
+  'coin-hive.com',
+  'authedmine.com',
+  'crypto-loot.org',
+  'jsecoin.com',
+  'webminepool.com'
+];
+
+// Wording typical of credential-harvesting pages
+const PHISHING_KEYWORDS = [
+  'verify your account',
+  'confirm your identity',
+  'account has been suspended',
+  'account suspended',
+  'unusual activity',
+  'update your payment',
+  'update your billing',
+  'recovery phrase',
+  'seed phrase',
+  'paypal',
+  'apple id',
+  'microsoft account',
+  'office 365',
+  'netflix',
+  'online banking'
+];
+
+const SENSITIVE_FIELD = /card|cvv|cvc|ssn|social.?security|expir|routing|iban|seed|mnemonic/i;
+const EXFILTRATION_ENDPOINT = /api\.telegram\.org\/bot|discord(app)?\.com\/api\/webhooks/i;
+
+function formatBytes(bytes) {
+  return bytes >= MB ? `${(bytes / MB).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// Hostname a script or form URL points at, or null for same-site references
+function externalHost(url) {
+  if (!url || !/^(https?:)?\/\//i.test(url.trim())) {
+    return null;
+  }
+  try {
+    return new URL(url.trim(), 'https://site.invalid/').hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+function assetSizeCheck({ assetLimits = DEFAULT_ASSET_LIMITS } = {}) {
+  return {
+    name: 'assetSize',
+    action: 'reject',
+    status: 413,
+    run({ files }) {
+      const findings = [];
+      for (const file of files) {
+        const limit = assetLimits[path.extname(file.path).toLowerCase()];
+        if (limit && file.data.length > limit) {
+          findings.push({
+            file: file.path,
+            message: `${formatBytes(file.data.length)} is over the ${formatBytes(limit)} limit for this file type`
+          });
+        }
+      }
+      return findings;
+    }
+  };
+}
+
+function blockedScriptsCheck({ blockedScriptHosts = DEFAULT_BLOCKED_SCRIPT_HOSTS } = {}) {
+  const hosts = blockedScriptHosts.map(host => host.toLowerCase());
+
+  return {
+    name: 'blockedScripts',
+    action: 'quarantine',
+    run({ pages }) {
+      const findings = [];
+      for (const page of pages) {
+        for (const script of findElements(page.document, 'script')) {
+          const host = externalHost(getAttribute(script, 'src'));
+          if (host && hosts.some(blocked => host === blocked || host.endsWith(`.${blocked}`))) {
+            findings.push({ file: page.path, message: `Loads a blocked script from ${host}` });
+          }
+        }
+      }
+      return findings;
+    }
+  };
+}
+
+// Flags pages that collect passwords or card details and send them off-site, or that
+// pair such a form with typical phishing wording
+function phishingCheck({ phishingKeywords = PHISHING_KEYWORDS } = {}) {
+  return {
+    name: 'phishing',
+    action: 'quarantine',
+    run({ files, pages }) {
+      const exfiltrates = files.some(file => /\.(html?|m?js)$/i.test(file.path) &&
+        EXFILTRATION_ENDPOINT.test(file.data.toString('utf8')));
+      const findings = [];
+
+      for (const page of pages) {
+        const forms = findElements(page.document, 'form').filter(form =>
+          findElements(form, 'input').some(input =>
+            (getAttribute(input, 'type') || '').toLowerCase() === 'password' ||
+            SENSITIVE_FIELD.test(`${getAttribute(input, 'name') || ''} ${getAttribute(input, 'autocomplete') || ''}`)));
+        if (forms.length === 0) continue;
+
+        for (const form of forms) {
+          const action = getAttribute(form, 'action') || '';
+          const target = /^mailto:/i.test(action.trim()) ? 'an email address' : externalHost(action);
+          if (target) {
+            findings.push({ file: page.path, message: `Form asking for credentials or card details submits to ${target}` });
+          }
+        }
+
+        if (exfiltrates) {
+          findings.push({ file: page.path, message: 'Credential form alongside a chat webhook used to collect submissions' });
+        }
+
+        const text = textContent(page.document);
+        const hits = phishingKeywords.filter(keyword => text.includes(keyword));
+        if (hits.length >= 2) {
+          findings.push({ file: page.path, message: `Credential form alongside phishing wording: ${hits.map(hit => `"${hit}"`).join(', ')}` });
+        }
+      }
+      return findings;
+    }
+  };
+}
+
+const CHECKS = {
+  assetSize: assetSizeCheck,
+  blockedScripts: blockedScriptsCheck,
+  phishing: phishingCheck
+};
+
+function createCheck(name, options) {
+  const factory = CHECKS[name];
+  if (!factory) {
+    throw new Error(`Unknown publish check: ${name}`);
+  }
+  return factory(options);
+}
+
+module.exports = { createCheck, DEFAULT_BLOCKED_SCRIPT_HOSTS };
@@ -0,0 +1,267 @@
+// Per-site behaviour from an ntando.json at the root of a deploy:
+//
+//   {
+//     "notFoundPage": "404.html",
+//     "spa": true,
+//     "redirects": [{ "from": "/blog/:year/*", "to": "/posts/:year/:splat", "status": 301 }],
+//     "headers": [{ "for": "/assets/*", "values": { "Cache-Control": "max-age=31536000" } }],
+//     "build": { "generator": "npm", "script": "build", "output": "dist" }
+//   }
+//
+// Patterns match the request path within the site: `:name` matches one segment and a trailing
+// `*` the rest of the path, which `to` can use as `:splat`. Redirects (3xx) always apply;
+// rewrites (200, or 404 to serve a page as not found) only when no file exists at the path.
+// `build` makes the upload a source tree: "markdown" renders .md pages through _layouts, "npm"
+// runs `npm run <script>` and publishes the `output` directory (see build/).
+const SITE_CONFIG_FILE = 'ntando.json';
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const REWRITE_STATUSES = [200, 404];
+const MAX_CONFIG_BYTES = 64 * 1024;
+const MAX_RULES = 200;
+const MAX_HEADER_VALUE_LENGTH = 2000;
+const SETTINGS = ['notFoundPage', 'spa', 'redirects', 'headers', 'build'];
+const BUILD_GENERATORS = ['markdown', 'npm'];
+const BUILD_SETTINGS = { markdown: ['generator'], npm: ['generator', 'script', 'output'] };
+const NPM_SCRIPT_NAME = /^[A-Za-z0-9][A-Za-z0-9:._-]{0,99}$/;
+
+// Headers that frame the response or would leak between sites sharing a host
+const RESERVED_HEADERS = [
+  'connection', 'content-encoding', 'content-length', 'host', 'keep-alive', 'location',
+  'set-cookie', 'trailer', 'transfer-encoding', 'upgrade', 'www-authenticate'
+];
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]{1,100}$/;
+const PLACEHOLDER = /:([A-Za-z_][A-Za-z0-9_]*)/g;
+
+// Compile a `from`/`for` pattern, or return null when it isn't one
+function compilePattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern.startsWith('/') || pattern.length > 500 ||
+      pattern.slice(0, -1).includes('*')) {
+    return null;
+  }
+
+  let base = pattern;
+  let tail = '/?';
+  if (pattern.endsWith('/*')) {
+    base = pattern.slice(0, -2);
+    tail = '(?:/(.*))?';
+  } else if (pattern.endsWith('*')) {
+    base = pattern.slice(0, -1);
+    tail = '(.*)';
+  }
+
+  const names = [];
+  const source = base.split(PLACEHOLDER).map((part, index) => {
+    if (index % 2 === 1) {
+      names.push(part);
+      return '([^/]+)';
+    }
+    return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  if (pattern.endsWith('*')) {
+    names.push('splat');
+  }
+
+  return { regex: new RegExp(`^${source.replace(/\/$/, '')}${tail}$`), names };
+}
+
+function matchPattern(compiled, requestPath) {
+  const match = compiled.regex.exec(requestPath);
+  if (!match) return null;
+  const params = {};
+  compiled.names.forEach((name, index) => {
+    params[name] = match[index + 1] || '';
+  });
+  return params;
+}
+
+// A site-relative file path (no leading slash, no parent or hidden segments), or null
+function normalizePagePath(value) {
+  if (typeof value !== 'string') return null;
+  const page = value.replace(/^\/+/, '');
+  if (!page || page.length > 255 || page.split('/').some(part => !part || part.startsWith('.'))) {
+    return null;
+  }
+  return page;
+}
+
+function parseRedirect(rule, label, errors) {
+  if (!rule || typeof rule !== 'object') {
+    errors.push(`${label} must be an object with from, to and status`);
+    return null;
+  }
+
+  const status = rule.status === undefined ? 301 : rule.status;
+  const compiled = compilePattern(rule.from);
+  if (!compiled) {
+    errors.push(`${label}.from must be a path starting with / (a * is only allowed at the end)`);
+  }
+  if (!REDIRECT_STATUSES.includes(status) && !REWRITE_STATUSES.includes(status)) {
+    errors.push(`${label}.status must be one of ${[...REDIRECT_STATUSES, ...REWRITE_STATUSES].join(', ')}`);
+  }
+
+  const to = rule.to;
+  const external = typeof to === 'string' && /^https?:\/\/[^/\s]+/i.test(to);
+  if (typeof to !== 'string' || to.length > 2000 || /\s/.test(to) || (!to.startsWith('/') && !external)) {
+    errors.push(`${label}.to must be a path starting with / or an http(s) URL`);
+  } else if (external && REWRITE_STATUSES.includes(status)) {
+    errors.push(`${label}.to must be a path on this site when status is ${status}`);
+  }
+
+  return compiled ? { from: rule.from, to, status, compiled } : null;
+}
+
+function parseHeaderRule(rule, label, errors) {
+  if (!rule || typeof rule !== 'object' || !rule.values || typeof rule.values !== 'object' || Array.isArray(rule.values)) {
+    errors.push(`${label} must be an object with for and values`);
+    return null;
+  }
+
+  const compiled = compilePattern(rule.for);
+  if (!compiled) {
+    errors.push(`${label}.for must be a path starting with / (a * is only allowed at the end)`);
+  }
+
+  const values = {};
+  for (const [name, value] of Object.entries(rule.values)) {
+    if (!HEADER_NAME.test(name)) {
+      errors.push(`${label}: "${name}" is not a valid header name`);
+    } else if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+      errors.push(`${label}: the ${name} header can't be set by sites`);
+    } else if ((typeof value !== 'string' && typeof value !== 'number') || /[\r\n]/.test(String(value)) ||
+        String(value).length > MAX_HEADER_VALUE_LENGTH) {
+      errors.push(`${label}: the value of ${name} must be a single-line string`);
+    } else {
+      values[name] = String(value);
+    }
+  }
+
+  return compiled ? { for: rule.for, values, compiled } : null;
+}
+
+function parseBuild(raw, errors) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push('build must be an object with a generator');
+    return null;
+  }
+  if (!BUILD_GENERATORS.includes(raw.generator)) {
+    errors.push(`build.generator must be one of ${BUILD_GENERATORS.join(', ')}`);
+    return null;
+  }
+
+  const build = { generator: raw.generator };
+  for (const key of Object.keys(raw)) {
+    if (!BUILD_SETTINGS[raw.generator].includes(key)) {
+      errors.push(`unknown build setting "${key}" for the ${raw.generator} generator`);
+    }
+  }
+
+  if (raw.generator === 'npm') {
+    build.script = raw.script === undefined ? 'build' : raw.script;
+    if (typeof build.script !== 'string' || !NPM_SCRIPT_NAME.test(build.script)) {
+      errors.push('build.script must be the name of a script in package.json');
+    }
+    build.output = normalizePagePath(raw.output === undefined ? 'dist' : raw.output);
+    if (!build.output) {
+      errors.push('build.output must be a directory inside the upload');
+    }
+  }
+  return build;
+}
+
+// Parse and validate an ntando.json. Returns { config, errors }; config is only usable when
+// errors is empty.
+function parseSiteConfig(text) {
+  if (Buffer.byteLength(text) > MAX_CONFIG_BYTES) {
+    return { config: null, errors: [`larger than ${MAX_CONFIG_BYTES / 1024} KB`] };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    return { config: null, errors: [`not valid JSON (${error.message})`] };
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { config: null, errors: ['expected a JSON object'] };
+  }
+
+  const errors = [];
+  const config = { notFoundPage: null, spa: false, redirects: [], headers: [], build: null };
+
+  for (const key of Object.keys(raw)) {
+    if (!SETTINGS.includes(key)) {
+      errors.push(`unknown setting "${key}" (expected ${SETTINGS.join(', ')})`);
+    }
+  }
+
+  if (raw.notFoundPage !== undefined) {
+    config.notFoundPage = normalizePagePath(raw.notFoundPage);
+    if (!config.notFoundPage) {
+      errors.push('notFoundPage must be the path of a file in the site');
+    }
+  }
+
+  if (raw.spa !== undefined) {
+    if (typeof raw.spa !== 'boolean') {
+      errors.push('spa must be true or false');
+    }
+    config.spa = raw.spa === true;
+  }
+
+  if (raw.build !== undefined) {
+    config.build = parseBuild(raw.build, errors);
+  }
+
+  for (const key of ['redirects', 'headers']) {
+    if (raw[key] === undefined) continue;
+    if (!Array.isArray(raw[key]) || raw[key].length > MAX_RULES) {
+      errors.push(`${key} must be a list of at most ${MAX_RULES} rules`);
+      continue;
+    }
+    const parse = key === 'redirects' ? parseRedirect : parseHeaderRule;
+    config[key] = raw[key]
+      .map((rule, index) => parse(rule, `${key}[${index}]`, errors))
+      .filter(Boolean);
+  }
+
+  return { config, errors };
+}
+
+// Problems with the ntando.json in a deploy's { path, data } files (none when it has no config)
+function checkSiteConfig(files) {
+  const file = files.find(entry => entry.path === SITE_CONFIG_FILE);
+  if (!file) return [];
+
+  const { config, errors } = parseSiteConfig(file.data.toString('utf8'));
+  if (config && config.notFoundPage && !files.some(entry => entry.path === config.notFoundPage)) {
+    errors.push(`notFoundPage ${config.notFoundPage} is not part of this deploy`);
+  }
+  return errors;
+}
+
+// The first redirect (3xx) or rewrite (200/404) rule matching a path, with its target filled in
+function findSiteRule(config, requestPath, kind) {
+  const statuses = kind === 'redirect' ? REDIRECT_STATUSES : REWRITE_STATUSES;
+  for (const rule of config.redirects) {
+    if (!statuses.includes(rule.status)) continue;
+    const params = matchPattern(rule.compiled, requestPath);
+    if (params) {
+      const to = rule.to.replace(PLACEHOLDER, (placeholder, name) => (name in params ? params[name] : placeholder));
+      return { status: rule.status, to };
+    }
+  }
+  return null;
+}
+
+// Custom headers for a path, later rules overriding earlier ones
+function siteConfigHeaders(config, requestPath) {
+  const headers = {};
+  for (const rule of config.headers) {
+    if (matchPattern(rule.compiled, requestPath)) {
+      Object.assign(headers, rule.values);
+    }
+  }
+  return headers;
+}
+
+module.exports = { SITE_CONFIG_FILE, parseSiteConfig, checkSiteConfig, findSiteRule, siteConfigHeaders };
@@ -0,0 +1,86 @@
+const { parse, serialize, defaultTreeAdapter: adapter, html: { NS } } = require('parse5');
+
+// Visit every element under `node`, including the contents of <template>
+function walk(node, visit) {
+  for (const child of node.childNodes || []) {
+    if (!child.tagName) continue;
+    visit(child);
+    walk(child.tagName === 'template' ? child.content : child, visit);
+  }
+}
+
+function findElements(node, tagName) {
+  const found = [];
+  walk(node, element => {
+    if (element.tagName === tagName) found.push(element);
+  });
+  return found;
+}
+
+function getAttribute(element, name) {
+  const attr = element.attrs.find(a => a.name === name);
+  return attr ? attr.value : null;
+}
+
+// Visible text of a document, lowercased and with whitespace collapsed
+function textContent(node) {
+  const parts = [];
+  (function collect(current) {
+    for (const child of current.childNodes || []) {
+      if (child.nodeName === '#text') {
+        parts.push(child.value);
+      } else if (child.tagName && child.tagName !== 'script' && child.tagName !== 'style') {
+        collect(child.tagName === 'template' ? child.content : child);
+      }
+    }
+  })(node);
+  return parts.join(' ').replace(/\s+/g, ' ').toLowerCase();
+}
+
+function createElement(tagName, attrs = {}, text = '') {
+  const element = adapter.createElement(tagName, NS.HTML, Object.entries(attrs).map(([name, value]) => ({ name, value })));
+  if (text) {
+    adapter.insertText(element, text);
+  }
+  return element;
+}
+
+// Script and style contents are serialized raw, so keep them from closing their own element
+function escapeRawText(text, tagName) {
+  return text
+    .replace(new RegExp(`</(${tagName})`, 'gi'), '<\\/$1')
+    .replace(/<!--/g, '<\\!--');
+}
+
+// Add the editor's favicon, CSS and JS to a page. Missing <head> and <body> tags are
+// filled in by the parser, so the assets always land in the right place.
+function injectAssets(html, { css, js, favicon }) {
+  const document = parse(html || '');
+  const [root] = findElements(document, 'html');
+  const head = findElements(document, 'head')[0] || root;
+  const body = findElements(document, 'body')[0] || root;
+
+  if (favicon) {
+    const icon = createElement('link', {
+      rel: 'icon',
+      href: `data:image/x-icon;base64,${String(favicon).replace(/[^A-Za-z0-9+/=]/g, '')}`
+    });
+    if (head.childNodes.length > 0) {
+      adapter.insertBefore(head, icon, head.childNodes[0]);
+    } else {
+      adapter.appendChild(head, icon);
+    }
+  }
+
+  if (css) {
+    adapter.appendChild(head, createElement('style', {}, escapeRawText(css, 'style')));
+  }
+
+  if (js) {
+    adapter.appendChild(body, createElement('script', {}, escapeRawText(js, 'script')));
+  }
+
+  return serialize(document);
+}
+
+module.exports = { walk, findElements, getAttribute, textContent, injectAssets };
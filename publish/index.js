@@ -0,0 +1,57 @@
+const { parse } = require('parse5');
+const { injectAssets } = require('./html');
+const { createCheck, DEFAULT_BLOCKED_SCRIPT_HOSTS } = require('./checks');
+const { SITE_CONFIG_FILE, parseSiteConfig, checkSiteConfig, findSiteRule, siteConfigHeaders } = require('./config');
+const {
+  ASSET_DIR,
+  buildAssetManifest,
+  getManifestPath,
+  getVariantPath,
+  variantEncodings,
+  assetCacheControl
+} = require('./assets');
+
+// Checks run over every deploy before it goes live. A check is
+//
+//   { name, action: 'reject' | 'quarantine', status?, run({ files, pages }) }
+//
+// where `files` are the deploy's { path, data } entries and `pages` its parsed HTML
+// files ({ path, document }). `run` may be async and returns findings ({ file, message }).
+// Rejections fail the deploy with `status`; quarantine findings hold it for review.
+// Built-in checks can be named instead and get the remaining options.
+function createPublishPipeline({ checks = [], ...options } = {}) {
+  const resolved = checks.map(check => (typeof check === 'string' ? createCheck(check, options) : check));
+
+  return {
+    async scan(files) {
+      const pages = files
+        .filter(file => /\.html?$/i.test(file.path))
+        .map(file => ({ path: file.path, document: parse(file.data.toString('utf8')) }));
+
+      const findings = [];
+      for (const check of resolved) {
+        for (const finding of await check.run({ files, pages })) {
+          findings.push({ check: check.name, action: check.action, status: check.status, ...finding });
+        }
+      }
+      return findings;
+    }
+  };
+}
+
+module.exports = {
+  createPublishPipeline,
+  injectAssets,
+  DEFAULT_BLOCKED_SCRIPT_HOSTS,
+  SITE_CONFIG_FILE,
+  parseSiteConfig,
+  checkSiteConfig,
+  findSiteRule,
+  siteConfigHeaders,
+  ASSET_DIR,
+  buildAssetManifest,
+  getManifestPath,
+  getVariantPath,
+  variantEncodings,
+  assetCacheControl
+};
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// Measures hosted-site serving throughput against a running server:
+//
+//   npm start &
+//   npm run bench
+//
+// Deploys a small site (a page, a stylesheet and a script) and hits it with keep-alive
+// requests: plain, compressed, and revalidating with If-None-Match the way browsers do.
+// Set BENCH_URL, BENCH_DURATION (seconds per scenario) and BENCH_CONCURRENCY to adjust, and
+// NTANDO_TOKEN to deploy into an existing account instead of registering a throwaway one.
+const http = require('http');
+
+const BASE_URL = process.env.BENCH_URL || 'http://localhost:3000';
+const DURATION = Number(process.env.BENCH_DURATION || 5) * 1000;
+const CONCURRENCY = Number(process.env.BENCH_CONCURRENCY || 20);
+const SITE_SLUG = 'bench-site';
+
+// Representative text content that compresses the way real pages do
+function sampleText(lines, line) {
+  return Array.from({ length: lines }, (_, index) => line(index)).join('\n');
+}
+
+const SITE_FILES = {
+  'index.html': `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Benchmark</title>
+  <link rel="stylesheet" href="style.css">
+</head>
+<body>
+${sampleText(300, index => `  <section id="s${index}"><h2>Section ${index}</h2><p>Lorem ipsum dolor sit amet, consectetur adipiscing elit ${index}.</p></section>`)}
+  <script src="app.js"></script>
+</body>
+</html>`,
+  'style.css': sampleText(400, index => `.block-${index} { margin: ${index % 16}px; padding: 4px 8px; color: #${(index * 2654435761 % 0xffffff).toString(16).padStart(6, '0')}; }`),
+  'app.js': sampleText(400, index => `function handler${index}(event) { console.log('clicked', ${index}, event.target.id); }`)
+};
+
+async function api(method, pathname, token, body) {
+  const response = await fetch(new URL(pathname, BASE_URL), {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `${method} ${pathname} failed with status ${response.status}`);
+  }
+  return result;
+}
+
+// Deploy the benchmark site, returning its path-based URL prefix
+async function setup() {
+  let token = process.env.NTANDO_TOKEN;
+  if (!token) {
+    const name = `bench${Date.now().toString(36)}`;
+    const registered = await api('POST', '/api/register', null, {
+      username: name,
+      email: `${name}@example.com`,
+      password: `${name}-password`
+    });
+    token = registered.token;
+  }
+
+  const files = Object.fromEntries(Object.entries(SITE_FILES).map(([file, content]) => [file, { content }]));
+  const sites = await api('GET', '/api/user/sites', token);
+  const existing = sites.find(site => site.slug === SITE_SLUG);
+  const { site } = existing
+    ? await api('PUT', `/api/sites/${existing.id}`, token, { files })
+    : await api('POST', '/api/upload', token, { files, siteSlug: SITE_SLUG, siteName: 'Benchmark' });
+
+  // Site URLs are https://<subdomain>-<slug>.<domain>; the path-based form needs the subdomain
+  const label = new URL(Object.values(site.urls)[0]).hostname.split('.')[0];
+  return `/${label.slice(0, -(site.slug.length + 1))}/${site.slug}`;
+}
+
+function request(agent, pathname, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(new URL(pathname, BASE_URL), { agent, headers }, res => {
+      let bytes = 0;
+      res.on('data', chunk => {
+        bytes += chunk.length;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, bytes, etag: res.headers.etag }));
+    });
+    req.on('error', reject);
+  });
+}
+
+// Keep CONCURRENCY requests in flight for DURATION and report what came back
+async function run(name, pathname, headers = {}) {
+  const agent = new http.Agent({ keepAlive: true, maxSockets: CONCURRENCY });
+  const deadline = Date.now() + DURATION;
+  const statuses = {};
+  let count = 0;
+  let bytes = 0;
+
+  const started = process.hrtime.bigint();
+  await Promise.all(Array.from({ length: CONCURRENCY }, async () => {
+    while (Date.now() < deadline) {
+      const result = await request(agent, pathname, headers);
+      statuses[result.status] = (statuses[result.status] || 0) + 1;
+      bytes += result.bytes;
+      count++;
+    }
+  }));
+  const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+  agent.destroy();
+
+  console.log(`${name.padEnd(28)} ${(count / seconds).toFixed(0).padStart(7)} req/s` +
+    `  ${(seconds * 1000 / count * CONCURRENCY).toFixed(2).padStart(7)} ms avg` +
+    `  ${(bytes / count / 1024).toFixed(1).padStart(6)} KB/response` +
+    `  ${Object.entries(statuses).map(([status, total]) => `${status}×${total}`).join(' ')}`);
+}
+
+async function main() {
+  const prefix = await setup();
+  const page = `${prefix}/`;
+  const compressed = { 'Accept-Encoding': 'gzip, deflate, br' };
+
+  // Warm up and learn the validators a browser would have cached
+  const { etag: pageEtag } = await request(undefined, page, compressed);
+  const { etag: styleEtag } = await request(undefined, `${prefix}/style.css`, compressed);
+
+  console.log(`Serving ${BASE_URL}${page} with ${CONCURRENCY} connections, ${DURATION / 1000}s per scenario\n`);
+  await run('page', page);
+  await run('page, compressed', page, compressed);
+  await run('stylesheet, compressed', `${prefix}/style.css`, compressed);
+  await run('page, revalidated', page, { ...compressed, ...(pageEtag ? { 'If-None-Match': pageEtag } : {}) });
+  await run('stylesheet, revalidated', `${prefix}/style.css`, { ...compressed, ...(styleEtag ? { 'If-None-Match': styleEtag } : {}) });
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -2,8 +2,38 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
+const dns = require('dns').promises;
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const yauzl = require('yauzl');
+const { createStorage } = require('./storage');
+const { createMailer } = require('./mailer');
+const {
+  createPublishPipeline,
+  injectAssets,
+  DEFAULT_BLOCKED_SCRIPT_HOSTS,
+  SITE_CONFIG_FILE,
+  parseSiteConfig,
+  checkSiteConfig,
+  findSiteRule,
+  siteConfigHeaders,
+  ASSET_DIR,
+  buildAssetManifest,
+  getManifestPath,
+  getVariantPath,
+  variantEncodings,
+  assetCacheControl
+} = require('./publish');
+const { createGitHost, isValidBranch, GIT_SERVICES } = require('./git');
+// The trailing slash keeps the json driver's webhooks.json from resolving first
+const {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  normalizeWebhookUrl,
+  createWebhookSender,
+  createWebhookDispatcher
+} = require('./webhooks/');
+const { createSiteBuilder, readBuildConfig } = require('./build');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -27,6 +57,11 @@ const SUPPORTED_DOMAINS = [
 // Default primary domain
 const PRIMARY_DOMAIN = 'ntandostore';
 
+// Domains whose subdomains are routed to hosted sites (*.localhost works for local testing)
+const HOST_ROUTING_DOMAINS = process.env.NODE_ENV === 'production'
+  ? SUPPORTED_DOMAINS
+  : [...SUPPORTED_DOMAINS, 'localhost'];
+
 // Ensure JWT_SECRET is set in production
 if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
   console.error('JWT_SECRET environment variable is required in production');
@@ -35,49 +70,283 @@ if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
   process.env.JWT_SECRET = 'ntandostore-emergency-fallback-' + Date.now();
 }
 
-// Ensure directories exist
-const UPLOADS_DIR = path.join(__dirname, 'uploads');
-const USERS_DIR = path.join(__dirname, 'users');
-const DOMAINS_FILE = path.join(__dirname, 'domains.json');
-const USERS_FILE = path.join(__dirname, 'users.json');
+// Accounts, sites and logs live under DATA_DIR (the app directory by default)
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : __dirname;
+const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
+const USERS_DIR = path.join(DATA_DIR, 'users');
+const DOMAINS_FILE = path.join(DATA_DIR, 'domains.json');
+const WORKSPACES_FILE = path.join(DATA_DIR, 'workspaces.json');
+const REFRESH_TOKENS_FILE = path.join(DATA_DIR, 'refresh-tokens.json');
+const API_TOKENS_FILE = path.join(DATA_DIR, 'api-tokens.json');
+const ACCOUNT_TOKENS_FILE = path.join(DATA_DIR, 'account-tokens.json');
+const MAIL_FILE = process.env.MAIL_FILE || path.join(DATA_DIR, 'outbox.jsonl');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const BACKUPS_DIR = path.join(DATA_DIR, 'backups');
+const QUARANTINE_DIR = path.join(DATA_DIR, 'quarantine');
+const DRAFTS_DIR = path.join(DATA_DIR, 'drafts');
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const USER_TEMPLATES_DIR = path.join(DATA_DIR, 'user-templates');
+const TEMPLATES_FILE = path.join(DATA_DIR, 'templates.json');
+const GIT_REPOS_DIR = path.join(DATA_DIR, 'git-repos');
+const BUILDS_DIR = path.join(DATA_DIR, 'builds');
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const WEBHOOK_DELIVERIES_FILE = path.join(DATA_DIR, 'webhook-deliveries.json');
+const MOVED_ADDRESSES_FILE = path.join(DATA_DIR, 'moved-addresses.json');
+const VISITS_FILE = path.join(DATA_DIR, 'visits.jsonl');
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.jsonl');
+const DATABASE_FILE = process.env.DATABASE_FILE || path.join(DATA_DIR, 'ntandostore.db');
+const SITE_SOURCE_FILE = '.source.json';
+
+// Short-lived access tokens, kept alive with rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const TOKEN_PRUNE_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Personal access tokens for CI: recognised by their prefix, scopes ranked lowest first
+const API_TOKEN_PREFIX = 'ntd_';
+const API_TOKEN_SCOPES = ['read', 'deploy', 'manage'];
+const MAX_API_TOKENS = 50;
+const API_TOKEN_TOUCH_INTERVAL = 60 * 1000;
+
+// Emailed links: single-use tokens for verifying addresses and resetting passwords.
+// Set PUBLIC_URL in production so links never depend on the request's Host header.
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL = 60 * 60 * 1000;
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Workspace roles, lowest first; the owner of a personal site has every permission
+const WORKSPACE_ROLES = ['viewer', 'editor', 'admin', 'owner'];
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Renamed sites and accounts redirect their old addresses for this long. Custom subdomains
+// can't take the names of the platform's own paths.
+const MOVED_ADDRESS_TTL = (parseInt(process.env.MOVED_ADDRESS_TTL_DAYS, 10) || 90) * 24 * 60 * 60 * 1000;
+const RESERVED_SUBDOMAINS = ['www', 'api', 'admin', 'dashboard', 'mail', 'ftp', 'cdn', 'static', 'assets', 'hosted',
+  'users', 'site', 'sites', 'versions', 'preview', 'git', 'health'];
+
+// Site version retention (per-user setting is capped by the platform maximum)
+const DEFAULT_VERSION_RETENTION = parseInt(process.env.DEFAULT_VERSION_RETENTION, 10) || 10;
+const MAX_VERSION_RETENTION = parseInt(process.env.MAX_VERSION_RETENTION, 10) || 50;
+
+// Version diffs run on the request thread: their work grows with the lines in a file times
+// the lines changed, so both are capped
+const MAX_DIFF_LINES = 20000;
+const MAX_DIFF_EDITS = 500;
+
+// Multi-file upload limits (archives are checked against their expanded size)
+const MAX_BUNDLE_FILES = parseInt(process.env.MAX_BUNDLE_FILES, 10) || 1000;
+const MAX_BUNDLE_BYTES = parseInt(process.env.MAX_BUNDLE_BYTES, 10) || 100 * 1024 * 1024;
+const MAX_COMPRESSION_RATIO = 100;
+
+// Git remotes: pushes to a site's deploy branch publish it; the newest deploy logs are kept
+const DEFAULT_GIT_BRANCH = 'main';
+const MAX_GIT_PUSH_BYTES = parseInt(process.env.MAX_GIT_PUSH_BYTES, 10) || MAX_BUNDLE_BYTES;
+const MAX_GIT_DEPLOY_LOGS = 50;
+
+// Builds of uploaded source trees: Markdown always. npm builds run untrusted code, so they are
+// off unless NPM_BUILDS=true and BUILD_SANDBOX is set together with it: the sandbox command
+// prefix (e.g. a bubblewrap or firejail invocation, {dir} standing for the build's scratch
+// directory) must keep builds away from the server's files and secrets. Builds get
+// BUILD_TIMEOUT, and only the newest build logs are kept per site.
+const BUILD_TIMEOUT = parseInt(process.env.BUILD_TIMEOUT, 10) || 5 * 60 * 1000;
+const MAX_BUILD_LOG_BYTES = 256 * 1024;
+const MAX_BUILD_LOGS = 50;
+const NPM_BUILDS = process.env.NPM_BUILDS === 'true';
+
+// Outgoing webhooks: failed deliveries are retried with exponential backoff (WEBHOOK_RETRY_DELAY,
+// then twice that, ...) and delivery logs are kept for WEBHOOK_LOG_RETENTION
+const MAX_WEBHOOKS = 20;
+const WEBHOOK_TIMEOUT = 10 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 60 * 1000;
+const WEBHOOK_CHECK_INTERVAL = parseInt(process.env.WEBHOOK_CHECK_INTERVAL, 10) || 15 * 1000;
+const WEBHOOK_CONCURRENCY = 10;
+const WEBHOOK_LOG_RETENTION = 30 * 24 * 60 * 60 * 1000;
+const WEBHOOK_PRUNE_INTERVAL = 24 * 60 * 60 * 1000;
+// Endpoints on loopback and private networks are only reachable outside production
+const WEBHOOK_ALLOW_PRIVATE_ADDRESSES = process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES
+  ? process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === 'true'
+  : process.env.NODE_ENV !== 'production';
+
+// Request bodies: deploy routes take whole sites, everything else stays small
+const UPLOAD_BODY_LIMIT = process.env.UPLOAD_BODY_LIMIT || '50mb';
+const JSON_BODY_LIMIT = '1mb';
+
+// Hosting plans (PLANS_FILE can point at a JSON file that overrides or adds plans).
+// Storage counts the live files and drafts of every site an account hosts and its saved templates;
+// backups are bounded by retention.
+const MB = 1024 * 1024;
+const DEFAULT_PLAN = process.env.DEFAULT_PLAN || 'free';
+const PLANS = {
+  free: { name: 'Free', maxSites: 10, maxStorageBytes: 200 * MB, maxFileBytes: 10 * MB, deploysPerHour: 30 },
+  pro: { name: 'Pro', maxSites: 100, maxStorageBytes: 10 * 1024 * MB, maxFileBytes: 100 * MB, deploysPerHour: 300 }
+};
+const DEPLOY_WINDOW = 60 * 60 * 1000;
+
+// Brute-force protection for the auth endpoints
+const LOGIN_WINDOW = 15 * 60 * 1000;
+const LOGIN_MAX_PER_IP = parseInt(process.env.LOGIN_MAX_PER_IP, 10) || 20;
+const LOGIN_MAX_FAILURES_PER_USERNAME = parseInt(process.env.LOGIN_MAX_FAILURES_PER_USERNAME, 10) || 5;
+const REGISTER_WINDOW = 60 * 60 * 1000;
+const REGISTER_MAX_PER_IP = parseInt(process.env.REGISTER_MAX_PER_IP, 10) || 5;
+const REGISTER_MAX_PER_USERNAME = 3;
+
+// Scheduled publishes are picked up by a background check
+const PUBLISH_CHECK_INTERVAL = parseInt(process.env.PUBLISH_CHECK_INTERVAL, 10) || 60 * 1000;
+const MAX_PUBLISH_DELAY = 365 * 24 * 60 * 60 * 1000;
+
+// Platform administration (accounts in ADMIN_USERNAMES are made admins on startup)
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean);
+const ADMIN_PAGE_SIZE = 50;
+const ADMIN_MAX_PAGE_SIZE = 200;
+
+// Template gallery: built-in templates ship in TEMPLATES_DIR, users save their own from sites
+const TEMPLATE_VISIBILITIES = ['private', 'public'];
+const MAX_USER_TEMPLATES = 50;
+const MAX_TEMPLATE_VARIABLES = 20;
+const MAX_TEMPLATE_VALUE_LENGTH = 500;
+const TEMPLATE_VARIABLE_NAME = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+const TEMPLATE_CATEGORY = /^[a-z0-9][a-z0-9-]{0,29}$/;
+const TEMPLATE_TEXT_FILE = /\.(html?|css|m?js|json|txt|md|svg|xml)$/i;
+const TEMPLATE_MARKUP_FILE = /\.(html?|svg|xml)$/i;
+
+// Restricted sites: a shared password (login page plus signed cookie) or HTTP basic auth
+const SITE_ACCESS_MODES = ['public', 'password', 'basic'];
+const SITE_ACCESS_TTL = 7 * 24 * 60 * 60 * 1000;
+const SITE_ACCESS_WINDOW = 15 * 60 * 1000;
+const SITE_ACCESS_MAX_FAILURES = 10;
+const BASIC_AUTH_CACHE_TTL = 5 * 60 * 1000;
+const BASIC_AUTH_CACHE_SIZE = 1000;
+
+// Custom domain verification
+const DOMAIN_TXT_PREFIX = '_ntando-verification';
+const DOMAIN_RECHECK_INTERVAL = parseInt(process.env.DOMAIN_RECHECK_INTERVAL, 10) || 6 * 60 * 60 * 1000;
+const DOMAIN_MAX_FAILURES = 3;
+const DOMAIN_CLAIM_TTL = 3 * 24 * 60 * 60 * 1000;
+
+// Visit events are queued in memory and written in batches
+const VISIT_FLUSH_INTERVAL = 5000;
+const VISIT_BATCH_SIZE = 500;
+const ANALYTICS_INTERVALS = ['hour', 'day', 'week', 'month'];
+const MAX_ANALYTICS_BUCKETS = 1000;
+
+// Public platform stats are recomputed at most once per TTL
+const STATS_CACHE_TTL = parseInt(process.env.STATS_CACHE_TTL, 10) || 60 * 1000;
+
+// Users, sites, visits and domains (SQLite by default, users.json with STORAGE_DRIVER=json)
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER || 'sqlite',
+  databaseFile: DATABASE_FILE,
+  usersFile: USERS_FILE,
+  domainsFile: DOMAINS_FILE,
+  workspacesFile: WORKSPACES_FILE,
+  refreshTokensFile: REFRESH_TOKENS_FILE,
+  apiTokensFile: API_TOKENS_FILE,
+  accountTokensFile: ACCOUNT_TOKENS_FILE,
+  templatesFile: TEMPLATES_FILE,
+  webhooksFile: WEBHOOKS_FILE,
+  webhookDeliveriesFile: WEBHOOK_DELIVERIES_FILE,
+  movedAddressesFile: MOVED_ADDRESSES_FILE,
+  visitsFile: VISITS_FILE,
+  auditFile: AUDIT_FILE
+});
+
+// Outgoing email (printed to the console unless MAIL_TRANSPORT is smtp or file)
+const mailer = createMailer({
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'Ntandostore <no-reply@ntando.app>',
+  file: MAIL_FILE,
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  }
+});
+
+// Checks every deploy goes through before it is published (PUBLISH_CHECKS picks and orders them;
+// BLOCKED_SCRIPT_HOSTS adds to the built-in blocklist)
+const publishPipeline = createPublishPipeline({
+  checks: (process.env.PUBLISH_CHECKS || 'assetSize,blockedScripts,phishing').split(',').map(name => name.trim()).filter(Boolean),
+  blockedScriptHosts: [
+    ...DEFAULT_BLOCKED_SCRIPT_HOSTS,
+    ...(process.env.BLOCKED_SCRIPT_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean)
+  ]
+});
+// Bare repositories behind each site's git remote
+const gitHost = createGitHost({ root: GIT_REPOS_DIR, maxPushBytes: MAX_GIT_PUSH_BYTES });
+// Markdown and npm builds for deploys that are source trees
+const siteBuilder = createSiteBuilder({
+  root: BUILDS_DIR,
+  timeout: BUILD_TIMEOUT,
+  maxLogBytes: MAX_BUILD_LOG_BYTES,
+  maxFiles: MAX_BUNDLE_FILES,
+  maxBytes: MAX_BUNDLE_BYTES,
+  npm: {
+    enabled: NPM_BUILDS,
+    sandbox: (process.env.BUILD_SANDBOX || '').split(' ').filter(Boolean)
+  }
+});
+// Signed POSTs to registered webhook endpoints, stored and retried per delivery
+const webhookDispatcher = createWebhookDispatcher({
+  storage,
+  sender: createWebhookSender({
+    timeout: WEBHOOK_TIMEOUT,
+    allowPrivateAddresses: WEBHOOK_ALLOW_PRIVATE_ADDRESSES
+  }),
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  baseDelay: WEBHOOK_RETRY_DELAY,
+  concurrency: WEBHOOK_CONCURRENCY
+});
+
 
 // Create directories if they don't exist
 async function ensureDirectories() {
   try {
     await fs.mkdir(UPLOADS_DIR, { recursive: true });
     await fs.mkdir(USERS_DIR, { recursive: true });
-    
-    // Initialize files if they don't exist
-    try {
-      await fs.access(DOMAINS_FILE);
-    } catch {
-      await fs.writeFile(DOMAINS_FILE, JSON.stringify({}));
-    }
-    
-    try {
-      await fs.access(USERS_FILE);
-    } catch {
-      await fs.writeFile(USERS_FILE, JSON.stringify({}));
-    }
+    await fs.mkdir(BACKUPS_DIR, { recursive: true });
+    await fs.mkdir(QUARANTINE_DIR, { recursive: true });
+    await fs.mkdir(DRAFTS_DIR, { recursive: true });
+    await fs.mkdir(USER_TEMPLATES_DIR, { recursive: true });
+    await fs.mkdir(GIT_REPOS_DIR, { recursive: true });
   } catch (error) {
     console.error('Error creating directories:', error);
   }
 }
 
-// Initialize directories on startup
-ensureDirectories();
+// Behind a proxy (Render.com) req.ip and req.protocol come from X-Forwarded-* headers
+app.set('trust proxy', process.env.TRUST_PROXY || (process.env.NODE_ENV === 'production' ? 1 : false));
+
+// Deploy routes parse their bodies themselves, after authentication (see parseDeployBody)
+function isDeployRequest(req) {
+  return (req.method === 'POST' && req.path === '/api/upload') ||
+    (req.method === 'PUT' && /^\/api\/sites\/[^/]+$/.test(req.path));
+}
+
+const parseJson = express.json({ limit: JSON_BODY_LIMIT });
+const parseDeployBody = [
+  express.json({ limit: UPLOAD_BODY_LIMIT }),
+  express.raw({ type: 'application/zip', limit: UPLOAD_BODY_LIMIT })
+];
 
 // Middleware
+app.use(routeSiteHost);
 app.use(express.static('public'));
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use((req, res, next) => (isDeployRequest(req) ? next() : parseJson(req, res, next)));
+app.use(express.urlencoded({ extended: true, limit: JSON_BODY_LIMIT }));
 
 // Serve uploaded files
 app.use('/hosted', express.static(UPLOADS_DIR));
-app.use('/users', express.static(USERS_DIR));
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
+// Authentication middleware (dashboard sessions only)
+const authenticateToken = (req, res, next) => authenticateRequest(req, res, next, null);
+
+// Authentication middleware that also accepts personal access tokens with at least `scope`
+const allowApiToken = scope => (req, res, next) => authenticateRequest(req, res, next, scope);
+
+function authenticateRequest(req, res, next, apiScope) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -85,599 +354,5963 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    return authenticateApiToken(req, res, next, token, apiScope);
+  }
+
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
+
+    // Tokens issued before the last password change or "log out everywhere" are no longer valid
+    try {
+      const account = await storage.getUser(user.userId);
+      if (!account || (account.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+        return res.status(403).json({ error: 'Invalid or expired token' });
+      }
+      if (account.suspended) {
+        return res.status(403).json({ error: 'This account is suspended' });
+      }
+    } catch (error) {
+      console.error('Authentication error:', error);
+      return res.status(500).json({ error: 'Authentication failed' });
+    }
+
     req.user = user;
     next();
   });
-};
+}
 
-// Generate site URLs for all supported domains
-function generateSiteUrls(userSubdomain, siteSlug) {
-  const urls = {};
-  
-  SUPPORTED_DOMAINS.forEach(domain => {
-    urls[domain] = `https://${userSubdomain}-${siteSlug}.${domain}`;
+// Personal access tokens act as their user, limited to a scope and optionally to one site
+async function authenticateApiToken(req, res, next, token, apiScope) {
+  if (!apiScope) {
+    return res.status(403).json({ error: 'API tokens can\'t be used for this endpoint' });
+  }
+
+  try {
+    const record = await storage.findApiToken(hashToken(token));
+    const now = new Date();
+    if (!record || (record.expiresAt && record.expiresAt <= now.toISOString())) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+
+    if (API_TOKEN_SCOPES.indexOf(record.scope) < API_TOKEN_SCOPES.indexOf(apiScope)) {
+      return res.status(403).json({ error: `This token needs the ${apiScope} scope` });
+    }
+
+    const account = await storage.getUser(record.userId);
+    if (!account) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+    if (account.suspended) {
+      return res.status(403).json({ error: 'This account is suspended' });
+    }
+
+    // Record usage without writing on every request of a busy pipeline
+    if (!record.lastUsedAt || now - new Date(record.lastUsedAt) > API_TOKEN_TOUCH_INTERVAL) {
+      await storage.updateApiToken(record.id, { lastUsedAt: now.toISOString() });
+    }
+
+    req.user = {
+      userId: account.id,
+      username: account.username,
+      apiTokenId: record.id,
+      scope: record.scope,
+      siteId: record.siteId || null
+    };
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+// Generate a short-lived JWT access token
+function issueToken(user) {
+  return jwt.sign(
+    { userId: user.id, username: user.username, tokenVersion: user.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Refresh, API and account tokens are opaque random strings; only their hash is stored
+function hashToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+// Issue an access token plus a refresh token. Rotating a refresh token keeps it in the
+// same family, so replaying an old one can revoke every descendant.
+async function issueSession(user, req, familyId = crypto.randomUUID()) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  const record = await storage.createRefreshToken({
+    id: crypto.randomUUID(),
+    userId: user.id,
+    familyId,
+    tokenHash: hashToken(refreshToken),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + REFRESH_TOKEN_TTL).toISOString(),
+    revokedAt: null,
+    replacedBy: null,
+    userAgent: (req.get('user-agent') || '').slice(0, 200)
   });
-  
-  return urls;
+
+  return {
+    record,
+    tokens: {
+      token: issueToken(user),
+      refreshToken,
+      refreshTokenExpiresAt: record.expiresAt
+    }
+  };
 }
 
-// Generate unique subdomain
-function generateSubdomain(username) {
-  const adjectives = ['quick', 'bright', 'clever', 'swift', 'smart', 'happy', 'lucky', 'sunny', 'cool', 'warm'];
-  const nouns = ['site', 'web', 'page', 'space', 'zone', 'hub', 'spot', 'place', 'world', 'realm'];
-  const numbers = Math.floor(Math.random() * 9999) + 1;
-  
-  const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
-  const noun = nouns[Math.floor(Math.random() * nouns.length)];
-  
-  return `${username}-${adjective}${noun}${numbers}`;
+// Drop refresh tokens, account tokens and invitations that can no longer be used
+async function pruneExpiredTokens() {
+  try {
+    const now = new Date().toISOString();
+    await storage.pruneRefreshTokens(now);
+    await storage.pruneAccountTokens(now);
+    await storage.pruneInvitations(now);
+  } catch (error) {
+    console.error('Token cleanup error:', error);
+  }
 }
 
-// Validate username
-function validateUsername(username) {
-  const validPattern = /^[a-zA-Z0-9_-]+$/;
-  if (!validPattern.test(username)) {
-    return false;
+// Stop redirecting old site addresses once their grace period is over
+async function pruneExpiredAddresses() {
+  try {
+    await storage.pruneMovedAddresses(new Date().toISOString());
+  } catch (error) {
+    console.error('Moved address cleanup error:', error);
   }
-  
-  if (username.length < 3 || username.length > 30) {
-    return false;
+}
+
+// Absolute link into the dashboard for emails
+function dashboardUrl(req, query) {
+  const base = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/+$/, '')}/dashboard?${new URLSearchParams(query)}`;
+}
+
+// Create a single-use emailed token, replacing any earlier one for the same purpose
+async function createAccountToken(user, purpose, ttl) {
+  await storage.deleteAccountTokens({ userId: user.id, purpose });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  await storage.createAccountToken({
+    id: crypto.randomUUID(),
+    userId: user.id,
+    purpose,
+    email: user.email,
+    tokenHash: hashToken(token),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttl).toISOString()
+  });
+
+  return token;
+}
+
+// Use up an emailed token; returns null when it is unknown, used or expired
+async function consumeAccountToken(token, purpose) {
+  const record = await storage.consumeAccountToken(hashToken(String(token)), purpose);
+  if (!record || record.expiresAt <= new Date().toISOString()) {
+    return null;
   }
-  
-  if (username.startsWith('-') || username.endsWith('-') || username.startsWith('_') || username.endsWith('_')) {
-    return false;
+  return record;
+}
+
+async function sendVerificationEmail(req, user) {
+  const token = await createAccountToken(user, 'verify-email', EMAIL_VERIFICATION_TTL);
+  await mailer.send({
+    to: user.email,
+    subject: 'Verify your Ntandostore email address',
+    text: `Hi ${user.username},\n\n` +
+      `Confirm this address for your Ntandostore account by opening the link below:\n\n` +
+      `${dashboardUrl(req, { verify: token })}\n\n` +
+      `The link expires in 24 hours. If you didn't sign up, you can ignore this email.\n`
+  });
+}
+
+// Unverified accounts can't publish when REQUIRE_EMAIL_VERIFICATION is on (use after authenticateToken)
+async function requireVerifiedEmail(req, res, next) {
+  if (!REQUIRE_EMAIL_VERIFICATION) {
+    return next();
   }
-  
-  const reserved = ['www', 'api', 'admin', 'dashboard', 'mail', 'ftp', 'cdn', 'static', 'assets', 'hosted', 'users'];
-  if (reserved.includes(username.toLowerCase())) {
-    return false;
+
+  try {
+    const user = await storage.getUser(req.user.userId);
+    if (!user || !user.emailVerified) {
+      return res.status(403).json({ error: 'Please verify your email address before publishing' });
+    }
+    next();
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    res.status(500).json({ error: 'Failed to check email verification' });
   }
-  
-  return true;
 }
 
-// Validate subdomain
-function validateSubdomain(subdomain) {
-  const validPattern = /^[a-zA-Z0-9-]+$/;
-  if (!validPattern.test(subdomain)) {
-    return false;
+// Admin endpoints take a signed-in session (never an API token) of an admin account
+async function requireAdmin(req, res, next) {
+  try {
+    const user = await storage.getUser(req.user.userId);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    req.admin = user;
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    res.status(500).json({ error: 'Failed to check admin access' });
   }
-  
-  if (subdomain.length < 3 || subdomain.length > 63) {
-    return false;
+}
+
+// Account fields that are safe to send back to the user
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    subdomain: user.subdomain,
+    displayName: user.displayName || '',
+    bio: user.bio || '',
+    emailVerified: Boolean(user.emailVerified),
+    createdAt: user.createdAt
+  };
+}
+
+// Basic shape check for email addresses
+function validateEmail(email) {
+  return typeof email === 'string' && email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// In-memory sliding-window counters. They reset on restart, which is fine for abuse limits.
+function createRateLimiter(windowMs) {
+  const hits = new Map();
+
+  function recent(key) {
+    const since = Date.now() - windowMs;
+    const list = (hits.get(key) || []).filter(time => time > since);
+    if (list.length > 0) {
+      hits.set(key, list);
+    } else {
+      hits.delete(key);
+    }
+    return list;
   }
-  
-  if (subdomain.startsWith('-') || subdomain.endsWith('-')) {
+
+  setInterval(() => {
+    for (const key of hits.keys()) recent(key);
+  }, windowMs).unref();
+
+  return {
+    count: key => recent(key).length,
+    hit(key) {
+      const list = recent(key);
+      list.push(Date.now());
+      hits.set(key, list);
+    },
+    reset(key) {
+      hits.delete(key);
+    },
+    // Seconds until the oldest hit leaves the window
+    retryAfter(key) {
+      const list = recent(key);
+      return list.length > 0 ? Math.ceil((list[0] + windowMs - Date.now()) / 1000) : 0;
+    }
+  };
+}
+
+const loginIpLimiter = createRateLimiter(LOGIN_WINDOW);
+const loginFailureLimiter = createRateLimiter(LOGIN_WINDOW);
+const registerIpLimiter = createRateLimiter(REGISTER_WINDOW);
+const registerUsernameLimiter = createRateLimiter(REGISTER_WINDOW);
+const deployLimiter = createRateLimiter(DEPLOY_WINDOW);
+const siteAccessLimiter = createRateLimiter(SITE_ACCESS_WINDOW);
+
+// Answer 429 when `key` has used up `max` hits; returns true when the request was rejected
+function rejectIfRateLimited(res, limiter, key, max, message) {
+  if (limiter.count(key) < max) {
     return false;
   }
-  
+
+  const retryAfter = limiter.retryAfter(key);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: `${message} Try again in ${Math.ceil(retryAfter / 60)} minutes.` });
   return true;
 }
 
-// Routes
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+// Merge PLANS_FILE over the built-in plans
+async function loadPlans() {
+  if (process.env.PLANS_FILE) {
+    const overrides = JSON.parse(await fs.readFile(process.env.PLANS_FILE, 'utf8'));
+    for (const [id, plan] of Object.entries(overrides)) {
+      PLANS[id] = { ...PLANS[id], ...plan };
+    }
+  }
 
-// Dashboard route
-app.get('/dashboard', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
-});
+  if (!PLANS[DEFAULT_PLAN]) {
+    throw new Error(`DEFAULT_PLAN "${DEFAULT_PLAN}" is not a configured plan`);
+  }
+}
 
-// Get supported domains
-app.get('/api/domains', (req, res) => {
-  res.json({
-    supportedDomains: SUPPORTED_DOMAINS,
-    primaryDomain: PRIMARY_DOMAIN
-  });
-});
+function getPlan(user) {
+  const id = PLANS[user.plan] ? user.plan : DEFAULT_PLAN;
+  return { id, ...PLANS[id] };
+}
 
-// User registration
-app.post('/api/register', async (req, res) => {
+// Bytes used by a directory tree (0 when it doesn't exist)
+async function directorySize(dir) {
+  let entries;
   try {
-    const { username, email, password } = req.body;
-    
-    if (!username || !email || !password) {
-      return res.status(400).json({ error: 'All fields are required' });
-    }
-    
-    if (!validateUsername(username)) {
-      return res.status(400).json({ error: 'Invalid username. Use 3-30 characters, letters, numbers, hyphens, and underscores only.' });
-    }
-    
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    // Hashes and compressed copies made at publish time don't count against the plan
+    if (entry.name === ASSET_DIR) continue;
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else if (entry.isFile()) {
+      total += (await fs.stat(entryPath)).size;
     }
-    
-    // Read existing users
-    let users = {};
-    try {
-      const usersData = await fs.readFile(USERS_FILE, 'utf8');
-      users = JSON.parse(usersData);
-    } catch (error) {
-      // File doesn't exist or is empty
+  }
+  return total;
+}
+
+function quotaError(message, status, retryAfter) {
+  const error = bundleError(message, status);
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// Bytes used by the live files, drafts and git repositories of every site an account hosts,
+// plus its templates
+async function accountStorageBytes(owner) {
+  let total = await directorySize(path.join(USERS_DIR, owner.subdomain));
+  for (const site of await storage.listSites(owner.id)) {
+    if (site.draft) {
+      total += await directorySize(getDraftDir(site.id));
     }
-    
-    // Check if username or email already exists
-    if (Object.values(users).some(user => user.username === username)) {
-      return res.status(400).json({ error: 'Username already taken' });
+    if (site.git) {
+      total += await directorySize(gitHost.getRepoDir(site.id));
     }
-    
-    if (Object.values(users).some(user => user.email === email)) {
-      return res.status(400).json({ error: 'Email already registered' });
+  }
+  for (const template of await storage.listTemplates({ userId: owner.id })) {
+    total += await directorySize(getUserTemplateDir(template.id));
+  }
+  return total;
+}
+
+// Check a deploy of `files` against the hosting account's plan, throwing a 403/413/429 error.
+// `site` is the site being replaced, or null for a new site; `draft` deploys only replace its draft.
+async function enforceDeployQuota(owner, files, site, draft = false) {
+  const plan = getPlan(owner);
+
+  if (!site && (await storage.listSites(owner.id)).length >= plan.maxSites) {
+    throw quotaError(`The ${plan.name} plan allows ${plan.maxSites} sites`, 403);
+  }
+
+  const largest = files.reduce((max, file) => (file.data.length > max.data.length ? file : max), files[0]);
+  if (largest && largest.data.length > plan.maxFileBytes) {
+    throw quotaError(`${largest.path} is larger than the ${formatBytes(plan.maxFileBytes)} file size limit`, 413);
+  }
+
+  // Live deploys also discard any pending draft
+  let replacedSize = 0;
+  if (site) {
+    replacedSize = await directorySize(getDraftDir(site.id));
+    if (!draft) {
+      replacedSize += await directorySize(path.join(USERS_DIR, owner.subdomain, site.slug));
     }
+  }
+  const newSize = files.reduce((sum, file) => sum + file.data.length, 0);
+  const total = await accountStorageBytes(owner) - replacedSize + newSize;
+  if (total > plan.maxStorageBytes) {
+    throw quotaError(`This deploy would use ${formatBytes(total)} of your ${formatBytes(plan.maxStorageBytes)} storage`, 413);
+  }
+
+  if (deployLimiter.count(owner.id) >= plan.deploysPerHour) {
+    const retryAfter = deployLimiter.retryAfter(owner.id);
+    throw quotaError(`The ${plan.name} plan allows ${plan.deploysPerHour} deploys per hour. Try again in ${Math.ceil(retryAfter / 60)} minutes.`, 429, retryAfter);
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * MB) return `${(bytes / (1024 * MB)).toFixed(1)} GB`;
+  if (bytes >= MB) return `${(bytes / MB).toFixed(1)} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function hasRole(role, required) {
+  return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(required);
+}
+
+// The signed-in user's role on a site: its workspace role, or owner of their own personal site
+async function getSiteRole(userId, site) {
+  if (!site.workspaceId) {
+    return site.userId === userId ? 'owner' : null;
+  }
+  const member = await storage.getWorkspaceMember(site.workspaceId, userId);
+  return member ? member.role : null;
+}
+
+// Load a site the signed-in user holds at least `role` on, answering 404 when they have no
+// access and 403 when their role is too low. `user` is the account whose subdomain hosts it.
+async function findAccessibleSite(req, res, role) {
+  const site = await storage.getSite(req.params.id);
+  const siteRole = site && (!req.user.siteId || req.user.siteId === site.id) &&
+    await getSiteRole(req.user.userId, site);
+  if (!siteRole) {
+    res.status(404).json({ error: 'Site not found' });
+    return null;
+  }
+
+  if (!hasRole(siteRole, role)) {
+    res.status(403).json({ error: `This action needs the ${role} role` });
+    return null;
+  }
+
+  const user = await storage.getUser(site.userId);
+  return { user, site, role: siteRole };
+}
+
+// Load a workspace the signed-in user belongs to with at least `role` (404 / 403 otherwise)
+async function findWorkspaceMembership(req, res, role) {
+  const workspace = await storage.getWorkspace(req.params.id);
+  const member = workspace && await storage.getWorkspaceMember(workspace.id, req.user.userId);
+  if (!member) {
+    res.status(404).json({ error: 'Workspace not found' });
+    return null;
+  }
+
+  if (!hasRole(member.role, role)) {
+    res.status(403).json({ error: `This action needs the ${role} role` });
+    return null;
+  }
+
+  return { workspace, member };
+}
+
+// Whether someone other than `userId` owns the workspace
+async function hasOtherOwner(workspaceId, userId) {
+  const members = await storage.listWorkspaceMembers(workspaceId);
+  return members.some(member => member.role === 'owner' && member.userId !== userId);
+}
+
+// API token fields that are safe to send back (never the token hash)
+function toPublicApiToken(record) {
+  const { tokenHash, ...rest } = record;
+  return rest;
+}
+
+// Invitation fields that are safe to send back (never the token hash)
+function toPublicInvitation(invitation) {
+  const { tokenHash, ...rest } = invitation;
+  return rest;
+}
+
+// Account fields admins see, on top of the public ones
+function toAdminUser(user) {
+  return {
+    ...toPublicUser(user),
+    role: user.role || 'user',
+    plan: getPlan(user).id,
+    suspended: user.suspended || null
+  };
+}
+
+// `limit` and `offset` query parameters for admin listings
+function parsePaging(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || ADMIN_PAGE_SIZE, 1), ADMIN_MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+// Append an admin action to the audit log
+async function recordAdminAction(req, action, targetType, targetId, details = {}) {
+  await storage.addAuditEvent({
+    createdAt: new Date().toISOString(),
+    actorId: req.admin.id,
+    actorUsername: req.admin.username,
+    action,
+    targetType,
+    targetId,
+    details,
+    ip: req.ip
+  });
+}
+
+// Make the accounts listed in ADMIN_USERNAMES admins
+async function promoteConfiguredAdmins() {
+  for (const username of ADMIN_USERNAMES) {
+    const user = await storage.findUserByUsername(username);
+    if (!user || user.role === 'admin') continue;
+
+    await storage.updateUser(user.id, { role: 'admin' });
+    await storage.addAuditEvent({
+      createdAt: new Date().toISOString(),
+      actorId: null,
+      actorUsername: null,
+      action: 'user.role',
+      targetType: 'user',
+      targetId: user.id,
+      details: { role: 'admin', source: 'ADMIN_USERNAMES' }
+    });
+    console.log(`👑 ${username} is now an admin`);
+  }
+}
+
+// Look up a site by its `/<subdomain>/<slug>/` path
+async function findSiteByPath(subdomain, slug) {
+  const user = await storage.findUserBySubdomain(subdomain);
+  const site = user && await storage.findSite(user.id, slug);
+  return site ? { user, site } : null;
+}
+
+// Old addresses that haven't expired yet
+async function listActiveMovedAddresses(filter) {
+  const now = new Date().toISOString();
+  return (await storage.listMovedAddresses(filter)).filter(address => address.expiresAt > now);
+}
+
+// Follow the old `/<subdomain>/<slug>/` path of a renamed or moved site to where it is now:
+// the subdomain may be one its account gave up, the slug one the site used to have
+async function findMovedSite(subdomain, slug) {
+  let user = await storage.findUserBySubdomain(subdomain);
+  if (!user) {
+    const moved = (await listActiveMovedAddresses({ subdomain })).find(address => !address.siteId);
+    user = moved && await storage.getUser(moved.userId);
+  }
+  if (!user) {
+    return null;
+  }
+
+  const lower = slug.toLowerCase();
+  let site = (await storage.listSites(user.id)).find(entry => entry.slug.toLowerCase() === lower);
+  if (!site) {
+    const moved = (await listActiveMovedAddresses({ userId: user.id }))
+      .find(address => address.siteId && address.slug.toLowerCase() === lower);
+    site = moved && await storage.getSite(moved.siteId);
+  }
+  const host = site && await storage.getUser(site.userId);
+  return host ? { user: host, site } : null;
+}
+
+// Remember where a site or a whole account used to be, so its old links keep working
+async function recordMovedAddress({ userId, siteId = null, subdomain, slug = null }) {
+  const now = Date.now();
+  return storage.createMovedAddress({
+    id: crypto.randomUUID(),
+    userId,
+    siteId,
+    subdomain,
+    slug,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + MOVED_ADDRESS_TTL).toISOString()
+  });
+}
+
+// Send a request for a site's old path on to its new one, keeping the rest of the URL.
+// `base` is the matched `<prefix>/<subdomain>/<slug>` part of the path. Returns whether it
+// redirected.
+async function redirectMovedSite(req, res, subdomain, slug, base) {
+  const match = await findMovedSite(subdomain, slug);
+  if (!match) {
+    return false;
+  }
+  const prefix = base.split('/').slice(0, -2).join('/');
+  const target = `${prefix}/${encodeURIComponent(match.user.subdomain)}/${encodeURIComponent(match.site.slug)}`;
+  res.redirect(301, target + req.originalUrl.slice(base.length));
+  return true;
+}
+
+// Sites taken down by an admin, hosted by a suspended account or not published are not served.
+// Returns the error page to show instead, or null when the site can be served.
+function siteUnavailablePage(user, site) {
+  if (site.unpublished) {
+    return { status: 451, title: 'Site unavailable', message: 'This site has been taken down by the platform.' };
+  }
+  if (user.suspended) {
+    return { status: 403, title: 'Site unavailable', message: 'This site is currently not available.' };
+  }
+  if (site.published === false) {
+    return { status: 404, title: 'Site not published', message: 'This site is not published yet.' };
+  }
+  return null;
+}
+
+function sendUnavailableSite(res, page) {
+  res.status(page.status).send(renderErrorPage(page.status, page.title, page.message));
+}
+
+// Path-based serving: redirect old paths of moved sites, refuse unavailable sites, ask for a
+// restricted site's credentials and keep the lookup for the handler
+async function refuseUnavailableSite(req, res, next) {
+  try {
+    const match = await findSiteByPath(req.params.subdomain, req.params.site);
+    if (!match && await redirectMovedSite(req, res, req.params.subdomain, req.params.site, routeBasePath(req))) {
+      return;
+    }
+    const page = match && siteUnavailablePage(match.user, match.site);
+    if (page) {
+      return sendUnavailableSite(res, page);
+    }
+    if (match && !(await checkSiteAccess(req, res, match.site))) {
+      return;
+    }
+    res.locals.hostedSite = match;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Restricted sites answer 401 with a password page or a basic auth challenge until the
+// visitor gets in. Returns whether the request may be served.
+async function checkSiteAccess(req, res, site) {
+  const access = site.access;
+  if (!access) {
+    return true;
+  }
+
+  // Restricted content must not end up in shared caches or search engines
+  res.set('Cache-Control', 'private, no-store');
+  res.set('X-Robots-Tag', 'noindex, nofollow');
+
+  if (access.mode === 'password') {
+    if (hasSiteAccessCookie(req, site)) {
+      return true;
+    }
+    res.status(401).send(renderSitePasswordPage(site, req.originalUrl));
+    return false;
+  }
+
+  const limitKey = `${site.id}:${req.ip}`;
+  if (siteAccessLimiter.count(limitKey) >= SITE_ACCESS_MAX_FAILURES) {
+    res.set('Retry-After', String(siteAccessLimiter.retryAfter(limitKey)));
+    res.status(429).send(renderErrorPage(429, 'Too many attempts', 'Too many failed sign-ins. Try again later.'));
+    return false;
+  }
+
+  const verdict = await checkBasicAuth(req, site);
+  if (verdict === true) {
+    return true;
+  }
+  if (verdict === false) {
+    siteAccessLimiter.hit(limitKey);
+  }
+  res.set('WWW-Authenticate', `Basic realm="${site.slug}", charset="UTF-8"`);
+  res.status(401).send(renderErrorPage(401, 'Sign in required', 'This site is protected. Sign in to view it.'));
+  return false;
+}
+
+// Cookie set by the password page, signed over the site's password hash so changing the
+// password signs everyone out
+function getSiteAccessCookieName(site) {
+  return `ntando_site_${site.id.replace(/-/g, '')}`;
+}
+
+function signSiteAccess(site, expires) {
+  return crypto.createHmac('sha256', JWT_SECRET)
+    .update(`site-access:${site.id}:${site.access.passwordHash}:${expires}`)
+    .digest('base64url');
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      return part.slice(index + 1).trim();
+    }
+  }
+  return null;
+}
+
+function hasSiteAccessCookie(req, site) {
+  const [expires, signature] = (readCookie(req, getSiteAccessCookieName(site)) || '').split('.');
+  if (!signature || !(Number(expires) > Date.now())) {
+    return false;
+  }
+
+  const expected = Buffer.from(signSiteAccess(site, expires));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Recently verified Authorization headers, so pages with many assets don't run bcrypt per file
+const basicAuthCache = new Map();
+
+// true when the request carries the site's basic auth credentials, false when it carries
+// wrong ones and null when it carries none
+async function checkBasicAuth(req, site) {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Basic ')) {
+    return null;
+  }
+
+  const cacheKey = hashToken(`${site.id}:${site.access.passwordHash}:${header}`);
+  if (basicAuthCache.get(cacheKey) > Date.now()) {
+    return true;
+  }
+
+  const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator < 0 || decoded.slice(0, separator) !== site.access.username ||
+      !(await bcrypt.compare(decoded.slice(separator + 1), site.access.passwordHash))) {
+    return false;
+  }
+
+  if (basicAuthCache.size >= BASIC_AUTH_CACHE_SIZE) {
+    basicAuthCache.clear();
+  }
+  basicAuthCache.set(cacheKey, Date.now() + BASIC_AUTH_CACHE_TTL);
+  return true;
+}
+
+// Only send relative paths back through the password page, never another host
+function safeReturnPath(value) {
+  return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') && !value.includes('\\')
+    ? value
+    : '/';
+}
+
+// Site fields that are safe to send back: the access password hash stays on the server
+function toSiteResponse(site) {
+  if (!site.access) {
+    return site;
+  }
+  const { passwordHash, ...access } = site.access;
+  return { ...site, access };
+}
+
+// Add the links the dashboard shows for a site hosted under `user`'s subdomain
+function withSiteLinks(req, user, site) {
+  // Check if we're in production (Render.com)
+  const isProduction = process.env.NODE_ENV === 'production';
+  let url, primaryUrl, fullUrl;
+  
+  if (isProduction) {
+    // For Render.com, use the /site/ path format
+    url = `/site/${user.subdomain}/${site.slug}/`;
+    primaryUrl = url;
+    fullUrl = `${req.protocol}://${req.get('host')}/site/${user.subdomain}/${site.slug}/`;
+  } else {
+    // For local development, use the actual domain format
+    url = site.urls[site.domain] || site.urls[PRIMARY_DOMAIN];
+    primaryUrl = site.urls[PRIMARY_DOMAIN];
+    fullUrl = url;
+  }
+  
+  return {
+    ...toSiteResponse(site),
+    url: url,
+    primaryUrl: primaryUrl,
+    fullUrl: fullUrl,
+    previewUrl: site.draft ? getPreviewUrl(req, site) : null,
+    gitRemoteUrl: site.git ? getGitRemoteUrl(req, site) : null
+  };
+}
+
+// Generate site URLs for all supported domains
+function generateSiteUrls(userSubdomain, siteSlug) {
+  const urls = {};
+  
+  SUPPORTED_DOMAINS.forEach(domain => {
+    urls[domain] = `https://${userSubdomain}-${siteSlug}.${domain}`;
+  });
+  
+  return urls;
+}
+
+// Generate unique subdomain
+function generateSubdomain(username) {
+  const adjectives = ['quick', 'bright', 'clever', 'swift', 'smart', 'happy', 'lucky', 'sunny', 'cool', 'warm'];
+  const nouns = ['site', 'web', 'page', 'space', 'zone', 'hub', 'spot', 'place', 'world', 'realm'];
+  const numbers = Math.floor(Math.random() * 9999) + 1;
+  
+  const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
+  const noun = nouns[Math.floor(Math.random() * nouns.length)];
+  
+  return `${username}-${adjective}${noun}${numbers}`;
+}
+
+// Validate username
+function validateUsername(username) {
+  const validPattern = /^[a-zA-Z0-9_-]+$/;
+  if (!validPattern.test(username)) {
+    return false;
+  }
+  
+  if (username.length < 3 || username.length > 30) {
+    return false;
+  }
+  
+  if (username.startsWith('-') || username.endsWith('-') || username.startsWith('_') || username.endsWith('_')) {
+    return false;
+  }
+  
+  const reserved = ['www', 'api', 'admin', 'dashboard', 'mail', 'ftp', 'cdn', 'static', 'assets', 'hosted', 'users'];
+  if (reserved.includes(username.toLowerCase())) {
+    return false;
+  }
+  
+  return true;
+}
+
+// Validate subdomain
+function validateSubdomain(subdomain) {
+  const validPattern = /^[a-zA-Z0-9-]+$/;
+  if (!validPattern.test(subdomain)) {
+    return false;
+  }
+  
+  if (subdomain.length < 3 || subdomain.length > 63) {
+    return false;
+  }
+  
+  if (subdomain.startsWith('-') || subdomain.endsWith('-')) {
+    return false;
+  }
+  
+  return true;
+}
+
+// The files of an editor-made site: index.html plus the raw sources (dotfiles are never served statically)
+function editorSiteFiles(sources) {
+  const { html, css = '', js = '', favicon = '' } = sources;
+  return [
+    { path: 'index.html', data: Buffer.from(injectAssets(html, { css, js, favicon })) },
+    { path: SITE_SOURCE_FILE, data: Buffer.from(JSON.stringify({ html, css, js, favicon }, null, 2)) }
+  ];
+}
+
+async function writeSiteFiles(siteDir, files) {
+  // Drop the old hashes first so the new files are never served under them
+  await fs.rm(path.join(siteDir, ASSET_DIR), { recursive: true, force: true });
+  for (const file of files) {
+    await fs.writeFile(path.join(siteDir, file.path), file.data);
+  }
+  await buildAssetManifest(siteDir);
+}
+
+// Read the raw sources of a site, falling back to the served index.html
+async function readSiteSources(siteDir) {
+  try {
+    const data = await fs.readFile(path.join(siteDir, SITE_SOURCE_FILE), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    // Sites published before sources were stored only have index.html
+    try {
+      const html = await fs.readFile(path.join(siteDir, 'index.html'), 'utf8');
+      return { html, css: '', js: '', favicon: '' };
+    } catch {
+      return { html: '', css: '', js: '', favicon: '' };
+    }
+  }
+}
+
+// Absolute path of a file in a site directory, or null for paths that escape it, touch
+// dotfiles or name the site's ntando.json
+function resolveSiteFile(baseDir, relPath) {
+  const requested = relPath && !relPath.endsWith('/') ? relPath : `${relPath || ''}index.html`;
+  const filePath = path.resolve(baseDir, requested);
+
+  if (!filePath.startsWith(baseDir + path.sep) || requested === SITE_CONFIG_FILE ||
+      requested.split('/').some(part => part.startsWith('.'))) {
+    return null;
+  }
+  return filePath;
+}
+
+// Send a file from a site directory, calling next() when there is no such file
+function sendSiteFile(res, next, baseDir, relPath) {
+  const filePath = resolveSiteFile(baseDir, relPath);
+  if (!filePath) {
+    return next();
+  }
+  
+  res.sendFile(filePath, err => {
+    if (err) next();
+  });
+}
+
+// The Content-Type express would send for a file name
+function contentTypeFor(fileName) {
+  const type = express.static.mime.lookup(fileName);
+  const charset = express.static.mime.charsets.lookup(type);
+  return charset ? `${type}; charset=${charset}` : type;
+}
+
+// Resolves to whether the file was sent; headers in `options.headers` are only set if it was
+function sendFileIfFound(res, filePath, options) {
+  return new Promise(resolve => {
+    res.sendFile(filePath, options, err => resolve(!err || res.headersSent));
+  });
+}
+
+// Send a file from a site directory with `status`, resolving to whether it was found. Files in
+// the directory's asset manifest get a content-hash ETag, answer revalidation with a 304
+// without touching the file and go out pre-compressed when the client accepts it.
+async function trySendSiteFile(req, res, baseDir, relPath, status = 200) {
+  const filePath = resolveSiteFile(baseDir, relPath);
+  if (!filePath) {
+    return false;
+  }
+
+  const assetPath = path.relative(baseDir, filePath).split(path.sep).join('/');
+  // Restricted sites and previews are already private, no-store; ntando.json may set its own
+  const headers = res.get('Cache-Control') === undefined ? { 'Cache-Control': assetCacheControl(assetPath) } : {};
+
+  const manifest = await readAssetManifest(baseDir);
+  const asset = manifest && manifest.files[assetPath];
+  if (!asset) {
+    return sendFileIfFound(res.status(status), filePath, { headers });
+  }
+
+  const encodings = variantEncodings(asset);
+  const encoding = encodings.find(name => req.acceptsEncodings(name) === name);
+  if (encodings.length > 0) {
+    res.vary('Accept-Encoding');
+  }
+  // Each encoding is its own representation, so it needs its own strong ETag
+  res.set('ETag', encoding ? `"${asset.hash}-${encoding}"` : `"${asset.hash}"`);
+
+  if (status === 200 && req.fresh) {
+    res.set(headers).status(304).end();
+    return true;
+  }
+
+  if (!encoding) {
+    return sendFileIfFound(res.status(status), filePath, { headers, etag: false, lastModified: false });
+  }
+  return sendFileIfFound(res.status(status), getVariantPath(baseDir, assetPath, encoding), {
+    headers: { ...headers, 'Content-Encoding': encoding, 'Content-Type': contentTypeFor(assetPath) },
+    etag: false,
+    lastModified: false,
+    acceptRanges: false
+  });
+}
+
+// Read a small per-directory file (ntando.json, the asset manifest) through `parse`, keeping
+// the result until the file changes on disk. Missing files read as null.
+function createFileCache(parse, maxEntries = 1000) {
+  const entries = new Map();
+
+  return async function read(file) {
+    let stat;
+    try {
+      stat = await fs.stat(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+      entries.delete(file);
+      return null;
+    }
+
+    const cached = entries.get(file);
+    if (cached && cached.ino === stat.ino && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      return cached.value;
+    }
+
+    const value = parse(await fs.readFile(file, 'utf8'), file);
+    if (entries.size >= maxEntries) {
+      entries.clear();
+    }
+    entries.set(file, { ino: stat.ino, mtimeMs: stat.mtimeMs, size: stat.size, value });
+    return value;
+  };
+}
+
+const readSiteConfigFile = createFileCache((text, file) => {
+  // Deploys are validated, so an invalid file here was put in place some other way
+  const { config, errors } = parseSiteConfig(text);
+  if (errors.length > 0) {
+    console.warn(`Ignoring invalid ${file}: ${errors.join('; ')}`);
+    return null;
+  }
+  return config;
+});
+
+function readSiteConfig(siteDir) {
+  return readSiteConfigFile(path.join(siteDir, SITE_CONFIG_FILE));
+}
+
+const readAssetManifestFile = createFileCache((text, file) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    console.warn(`Ignoring unreadable ${file}: ${error.message}`);
+    return null;
+  }
+});
+
+// The publish-time hashes and compressed variants of a served directory, or null for
+// directories published before they were generated
+function readAssetManifest(dir) {
+  return readAssetManifestFile(getManifestPath(dir));
+}
+
+// Answer a request for `relPath` from a site directory served under `basePath`, following the
+// site's ntando.json: custom headers, redirects and rewrites, SPA fallback and its 404 page
+// (404.html by default)
+async function serveSiteRequest(req, res, siteDir, relPath, basePath) {
+  const config = await readSiteConfig(siteDir);
+  const requestPath = `/${relPath}`;
+
+  if (config) {
+    // Headers the platform already set (e.g. for restricted sites) win
+    for (const [name, value] of Object.entries(siteConfigHeaders(config, requestPath))) {
+      if (res.get(name) === undefined) res.set(name, value);
+    }
+
+    const redirect = findSiteRule(config, requestPath, 'redirect');
+    if (redirect) {
+      const queryIndex = req.originalUrl.indexOf('?');
+      const query = queryIndex >= 0 && !redirect.to.includes('?') ? req.originalUrl.slice(queryIndex) : '';
+      const target = redirect.to.startsWith('/') ? `${basePath}${redirect.to}` : redirect.to;
+      return res.redirect(redirect.status, `${target}${query}`);
+    }
+  }
+
+  if (await trySendSiteFile(req, res, siteDir, relPath)) return;
+
+  if (config) {
+    const rewrite = findSiteRule(config, requestPath, 'rewrite');
+    if (rewrite && await trySendSiteFile(req, res, siteDir, rewrite.to.split('?')[0].slice(1), rewrite.status)) return;
+
+    // Client-side routes have no file extension; missing assets still get a 404
+    const clientRoute = isPageRequest(relPath) || !path.extname(relPath);
+    if (config.spa && clientRoute && await trySendSiteFile(req, res, siteDir, 'index.html')) return;
+  }
+
+  const notFoundPage = (config && config.notFoundPage) || '404.html';
+  if (await trySendSiteFile(req, res, siteDir, notFoundPage, 404)) return;
+
+  res.status(404).send(renderErrorPage(404, 'Page not found', 'The page you are looking for does not exist.'));
+}
+
+// Page loads (as opposed to assets) are what count as visits
+function isPageRequest(relPath) {
+  return relPath === '' || relPath.endsWith('/') || relPath.endsWith('.html');
+}
+
+// Coarse device class from the User-Agent header; bots are logged but not counted
+function classifyUserAgent(userAgent) {
+  const ua = (userAgent || '').toLowerCase();
+  if (!ua || /bot|crawl|spider|slurp|curl|wget|python|java\/|go-http|headless|lighthouse|preview|monitor/.test(ua)) {
+    return 'bot';
+  }
+  if (/ipad|tablet|kindle|silk/.test(ua) || (ua.includes('android') && !ua.includes('mobile'))) {
+    return 'tablet';
+  }
+  if (/mobi|iphone|ipod|android|windows phone/.test(ua)) {
+    return 'mobile';
+  }
+  return 'desktop';
+}
+
+// Visitor hashes use a salt that rotates daily and is never stored, so they cannot be
+// reversed to an IP address or linked across days
+let visitorSalt = { day: null, value: null };
+
+function hashVisitor(visit) {
+  const day = new Date().toISOString().slice(0, 10);
+  if (visitorSalt.day !== day) {
+    visitorSalt = { day, value: crypto.randomBytes(16).toString('hex') };
+  }
+  
+  return crypto.createHash('sha256')
+    .update(`${visitorSalt.value}:${visit.siteId}:${visit.ip}:${visit.userAgent}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// Only the referring host is kept, and navigation within the site is not a referrer
+function getReferrerHost(visit) {
+  try {
+    const host = new URL(visit.referer).hostname;
+    return host && host !== visit.hostname ? host : null;
+  } catch {
+    return null;
+  }
+}
+
+let visitQueue = [];
+
+// Queue a page view as it came in; hashing, classifying and storing it all happen in the
+// batch, after the response
+function recordSiteVisit(req, site, relPath) {
+  visitQueue.push({
+    siteId: site.id,
+    timestamp: new Date().toISOString(),
+    path: `/${relPath}`,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || '',
+    referer: req.get('referer'),
+    hostname: req.hostname
+  });
+  
+  if (visitQueue.length === VISIT_BATCH_SIZE) {
+    setImmediate(flushVisitEvents);
+  }
+}
+
+// Update visit counts and the event log in one batch
+async function flushVisitEvents() {
+  if (visitQueue.length === 0) return;
+  const visits = visitQueue;
+  visitQueue = [];
+  
+  try {
+    const events = visits.map(visit => ({
+      siteId: visit.siteId,
+      timestamp: visit.timestamp,
+      path: visit.path,
+      referrer: getReferrerHost(visit),
+      uaClass: classifyUserAgent(visit.userAgent),
+      visitorHash: hashVisitor(visit)
+    }));
+    await storage.addVisitEvents(events);
+  } catch (error) {
+    console.error('Error updating visit count:', error);
+  }
+}
+
+// Start of the UTC hour/day/week/month bucket containing a date
+function startOfBucket(date, interval) {
+  const d = new Date(date);
+  switch (interval) {
+    case 'hour':
+      d.setUTCMinutes(0, 0, 0);
+      break;
+    case 'day':
+      d.setUTCHours(0, 0, 0, 0);
+      break;
+    case 'week':
+      d.setUTCHours(0, 0, 0, 0);
+      d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+      break;
+    case 'month':
+      d.setUTCHours(0, 0, 0, 0);
+      d.setUTCDate(1);
+      break;
+  }
+  return d;
+}
+
+function nextBucket(date, interval) {
+  const d = new Date(date);
+  switch (interval) {
+    case 'hour':
+      d.setUTCHours(d.getUTCHours() + 1);
+      break;
+    case 'day':
+      d.setUTCDate(d.getUTCDate() + 1);
+      break;
+    case 'week':
+      d.setUTCDate(d.getUTCDate() + 7);
+      break;
+    case 'month':
+      d.setUTCMonth(d.getUTCMonth() + 1);
+      break;
+  }
+  return d;
+}
+
+// Top entries of a count map, most frequent first
+function topCounts(counts, key, limit = 10) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([value, count]) => ({ [key]: value, count }));
+}
+
+// Aggregate raw visit events into chart-ready series and top lists
+function summarizeVisits(events, from, to, interval) {
+  const buckets = [];
+  const bucketIndex = {};
+  for (let d = startOfBucket(from, interval); d < to; d = nextBucket(d, interval)) {
+    bucketIndex[d.toISOString()] = buckets.length;
+    buckets.push({ start: d.toISOString(), pageviews: 0, visitors: new Set() });
+  }
+  
+  const visitors = new Set();
+  const referrers = {};
+  const pages = {};
+  const devices = { desktop: 0, mobile: 0, tablet: 0 };
+  let pageviews = 0;
+  let bots = 0;
+  
+  for (const event of events) {
+    if (event.uaClass === 'bot') {
+      bots++;
+      continue;
+    }
+    
+    const bucket = buckets[bucketIndex[startOfBucket(event.timestamp, interval).toISOString()]];
+    if (bucket) {
+      bucket.pageviews++;
+      bucket.visitors.add(event.visitorHash);
+    }
+    
+    pageviews++;
+    visitors.add(event.visitorHash);
+    devices[event.uaClass] = (devices[event.uaClass] || 0) + 1;
+    pages[event.path] = (pages[event.path] || 0) + 1;
+    const referrer = event.referrer || '(direct)';
+    referrers[referrer] = (referrers[referrer] || 0) + 1;
+  }
+  
+  return {
+    totals: { pageviews, uniqueVisitors: visitors.size, bots },
+    timeseries: buckets.map(bucket => ({
+      start: bucket.start,
+      pageviews: bucket.pageviews,
+      uniqueVisitors: bucket.visitors.size
+    })),
+    topReferrers: topCounts(referrers, 'referrer'),
+    topPages: topCounts(pages, 'path'),
+    devices
+  };
+}
+
+// Escape text for use in HTML markup and attribute values
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Minimal standalone HTML page for errors shown on hosted site URLs
+function renderErrorPage(status, title, message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${status} - ${title}</title>
+    <style>
+        body { font-family: 'Segoe UI', sans-serif; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; background: #f5f6fa; color: #2c3e50; }
+        main { text-align: center; padding: 2rem; }
+        h1 { font-size: 4rem; margin: 0; color: #667eea; }
+        a { color: #667eea; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>${status}</h1>
+        <h2>${title}</h2>
+        <p>${message}</p>
+        <p><a href="https://${PRIMARY_DOMAIN}">Powered by Ntandostore</a></p>
+    </main>
+</body>
+</html>`;
+}
+
+// Login page of a password-protected site; the form posts to /site-access/:siteId
+function renderSitePasswordPage(site, returnTo, error = '') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${escapeHtml(site.name)} - Password required</title>
+    <style>
+        body { font-family: 'Segoe UI', sans-serif; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; background: #f5f6fa; color: #2c3e50; }
+        main { text-align: center; padding: 2rem; }
+        form { display: flex; gap: 0.5rem; justify-content: center; margin-top: 1.5rem; }
+        input { padding: 0.75rem; border: 2px solid #dfe6e9; border-radius: 8px; font-size: 1rem; }
+        button { padding: 0.75rem 1.5rem; border: none; border-radius: 8px; background: #667eea; color: white; font-size: 1rem; cursor: pointer; }
+        .error { color: #d63031; }
+        a { color: #667eea; }
+    </style>
+</head>
+<body>
+    <main>
+        <h2>🔒 ${escapeHtml(site.name)}</h2>
+        <p>This site is password protected.</p>
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        <form method="POST" action="/site-access/${site.id}">
+            <input type="hidden" name="returnTo" value="${escapeHtml(returnTo)}">
+            <input type="password" name="password" placeholder="Password" required autofocus>
+            <button type="submit">View site</button>
+        </form>
+        <p><a href="https://${PRIMARY_DOMAIN}">Powered by Ntandostore</a></p>
+    </main>
+</body>
+</html>`;
+}
+
+// TXT lookups go through a resolver that a JSON stub file can replace for local testing
+function createTxtResolver() {
+  const stubFile = process.env.DNS_TXT_STUB_FILE;
+  if (!stubFile) {
+    return name => dns.resolveTxt(name);
+  }
+  
+  // Stub format: { "_ntando-verification.shop.example.com": ["ntando-verify=..."] }
+  return async name => {
+    let records = {};
+    try {
+      records = JSON.parse(await fs.readFile(stubFile, 'utf8'));
+    } catch (error) {
+      // A missing stub file simply has no records
+    }
+    if (!records[name]) {
+      const error = new Error(`queryTxt ENOTFOUND ${name}`);
+      error.code = 'ENOTFOUND';
+      throw error;
+    }
+    return records[name].map(record => [record]);
+  };
+}
+
+const resolveTxt = createTxtResolver();
+
+// Validate a custom domain name (must not be one of our own domains)
+function validateCustomDomain(domain) {
+  const validPattern = /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+  if (!validPattern.test(domain)) {
+    return false;
+  }
+  
+  return !HOST_ROUTING_DOMAINS.some(d => domain === d || domain.endsWith(`.${d}`));
+}
+
+// Check the TXT record for a domain and update its verification state in place
+async function verifyCustomDomain(entry) {
+  const expected = `ntando-verify=${entry.token}`;
+  entry.lastCheckedAt = new Date().toISOString();
+  
+  try {
+    const records = await resolveTxt(`${DOMAIN_TXT_PREFIX}.${entry.domain}`);
+    const values = records.map(chunks => chunks.join(''));
+    
+    if (values.includes(expected)) {
+      entry.status = 'verified';
+      entry.verifiedAt = entry.verifiedAt || entry.lastCheckedAt;
+      entry.failures = 0;
+      delete entry.failureReason;
+      return entry;
+    }
+    entry.failureReason = 'Verification TXT record does not match';
+  } catch (error) {
+    entry.failureReason = error.code === 'ENOTFOUND' || error.code === 'ENODATA'
+      ? 'Verification TXT record not found'
+      : `DNS lookup failed: ${error.code || error.message}`;
+  }
+  
+  // Verified domains get a few chances before routing stops, pending ones fail straight away
+  entry.failures = (entry.failures || 0) + 1;
+  if (entry.status !== 'verified' || entry.failures >= DOMAIN_MAX_FAILURES) {
+    entry.status = 'failed';
+  }
+  return entry;
+}
+
+// Save the outcome of a check onto the stored entry, which may have been removed, claimed
+// anew or moved to another account while DNS was looked up. Resolves to null when it is gone.
+async function saveDomainCheck(entry) {
+  const current = await storage.getDomain(entry.domain);
+  if (!current || current.token !== entry.token) {
+    return null;
+  }
+  const { status, failures, failureReason, lastCheckedAt, verifiedAt } = entry;
+  const updated = { ...current, status, failures, failureReason, lastCheckedAt, verifiedAt };
+  await storage.saveDomain(updated);
+  return updated;
+}
+
+// Unverified claims hold a domain for a while, so nobody can reserve one they don't control:
+// from when they were made, or for domains that stopped verifying, from their last check
+function isDomainClaimExpired(entry) {
+  if (entry.status === 'verified') return false;
+  const since = entry.verifiedAt ? entry.lastCheckedAt : entry.createdAt;
+  return Date.now() - Date.parse(since) > DOMAIN_CLAIM_TTL;
+}
+
+// Periodically re-check every custom domain that is not already failed for good
+async function recheckCustomDomains() {
+  try {
+    const domains = await storage.listDomains();
+    for (const entry of domains) {
+      if (entry.status === 'failed' && entry.failures >= DOMAIN_MAX_FAILURES) continue;
+      await verifyCustomDomain(entry);
+      await saveDomainCheck(entry);
+    }
+  } catch (error) {
+    console.error('Domain re-verification error:', error);
+  }
+}
+
+// Look up the user and site a verified custom domain points at
+async function resolveCustomDomain(hostname) {
+  const entry = await storage.getDomain((hostname || '').toLowerCase());
+  if (!entry || entry.status !== 'verified') {
+    return null;
+  }
+  
+  const site = await storage.getSite(entry.siteId);
+  const user = site && await storage.getUser(site.userId);
+  return user ? { user, site } : null;
+}
+
+// Split a Host header into the site label and the supported domain it belongs to
+function parseSiteHost(hostname) {
+  const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+  
+  // Prefer the longest matching domain so ntando.app never shadows a deeper one
+  const domain = [...HOST_ROUTING_DOMAINS]
+    .sort((a, b) => b.length - a.length)
+    .find(d => host.endsWith(`.${d}`));
+  if (!domain) {
+    return null;
+  }
+  
+  const label = host.slice(0, -(domain.length + 1));
+  if (!label || label.includes('.') || label === 'www') {
+    return null;
+  }
+  
+  return { label, domain };
+}
+
+// Map a `<user subdomain>-<site slug>` label back to its user and site. Labels are kept
+// unique; should two sites share one anyway, the older keeps it.
+async function resolveSiteLabel(label) {
+  const [match] = await storage.findSitesByHostLabel(label);
+  return match || null;
+}
+
+// Host labels claimed by uploads that are still building
+const pendingUploadLabels = new Set();
+
+// Whether `<subdomain>-<slug>` is already the host label of a site, other than the one being
+// moved (`siteId`) or the sites of an account moving with it (`userId`), or of an upload still
+// building. Every path that creates or moves a site checks this, as a label can be split more
+// than one way.
+async function isSiteLabelTaken(subdomain, slug, { siteId = null, userId = null } = {}) {
+  const label = `${subdomain}-${slug}`.toLowerCase();
+  const matches = await storage.findSitesByHostLabel(label);
+  return matches.some(match => match.site.id !== siteId && match.user.id !== userId) ||
+    pendingUploadLabels.has(label);
+}
+
+// Follow the old host label of a renamed or moved site: either part may be a name it or its
+// account gave up
+async function resolveMovedLabel(label) {
+  const prefixes = new Set();
+  for (const address of await listActiveMovedAddresses()) {
+    prefixes.add(address.subdomain);
+    const user = address.siteId && await storage.getUser(address.userId);
+    if (user) prefixes.add(user.subdomain);
+  }
+
+  for (const subdomain of prefixes) {
+    const prefix = `${subdomain.toLowerCase()}-`;
+    if (!label.startsWith(prefix)) continue;
+
+    const match = await findMovedSite(subdomain, label.slice(prefix.length));
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+// Serve hosted sites by Host header, e.g. testuser-happyrealm7722-test-site.ntando.app,
+// falling back to verified custom domains
+async function routeSiteHost(req, res, next) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return next();
+  }
+  
+  try {
+    const parsed = parseSiteHost(req.hostname);
+    let match;
+    if (parsed) {
+      match = await resolveSiteLabel(parsed.label);
+      const moved = !match && await resolveMovedLabel(parsed.label);
+      if (moved) {
+        const host = req.get('host');
+        const label = `${moved.user.subdomain}-${moved.site.slug}`.toLowerCase();
+        return res.redirect(301, `${req.protocol}://${label}${host.slice(host.indexOf('.'))}${req.originalUrl}`);
+      }
+    } else {
+      match = await resolveCustomDomain(req.hostname);
+      if (!match) {
+        return next();
+      }
+    }
+    
+    if (!match) {
+      return res.status(404).send(renderErrorPage(404, 'Site not found', `There is no site at ${req.hostname}.`));
+    }
+    
+    const { user, site } = match;
+    const unavailable = siteUnavailablePage(user, site);
+    if (unavailable) {
+      return sendUnavailableSite(res, unavailable);
+    }
+    if (!(await checkSiteAccess(req, res, site))) {
+      return;
+    }
+    
+    const siteDir = path.join(USERS_DIR, user.subdomain, site.slug);
+    // Malformed escapes such as /%E0%A4%A are the client's mistake
+    let relPath;
+    try {
+      relPath = decodeURIComponent(req.path).slice(1);
+    } catch {
+      return res.status(400).send(renderErrorPage(400, 'Bad request', 'This address is not valid.'));
+    }
+
+    if (isPageRequest(relPath)) {
+      recordSiteVisit(req, site, relPath);
+    }
+    
+    await serveSiteRequest(req, res, siteDir, relPath, '');
+  } catch (error) {
+    console.error('Host routing error:', error);
+    res.status(500).send(renderErrorPage(500, 'Server error', 'Something went wrong while loading this site.'));
+  }
+}
+
+// Upload validation errors carry the HTTP status to answer with
+function bundleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Normalise a path from an upload; null means the entry is silently skipped
+function normalizeBundlePath(filePath) {
+  const normalized = String(filePath).replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+  
+  if (!normalized || normalized.includes('\0') || normalized.length > 255) {
+    throw bundleError(`Invalid file path: ${filePath}`);
+  }
+  
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+    throw bundleError(`Absolute paths are not allowed: ${filePath}`);
+  }
+  
+  const parts = normalized.split('/');
+  if (parts.some(part => part === '..')) {
+    throw bundleError(`Path traversal is not allowed: ${filePath}`);
+  }
+  
+  // Skip OS metadata and dotfiles, which would never be served anyway
+  if (parts.some(part => part === '' || part.startsWith('.') || part === '__MACOSX')) {
+    return null;
+  }
+  
+  return normalized;
+}
+
+// Read every file of a zip archive into memory, enforcing the bundle limits
+function extractZipArchive(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true, validateEntrySizes: true }, (err, zipfile) => {
+      if (err) {
+        return reject(bundleError('Invalid zip archive'));
+      }
+      
+      if (zipfile.entryCount > MAX_BUNDLE_FILES) {
+        zipfile.close();
+        return reject(bundleError(`Archive contains more than ${MAX_BUNDLE_FILES} files`, 413));
+      }
+      
+      const files = [];
+      let totalSize = 0;
+      let failed = false;
+      
+      const fail = error => {
+        if (failed) return;
+        failed = true;
+        zipfile.close();
+        reject(error);
+      };
+      
+      zipfile.on('error', error => fail(bundleError(`Invalid zip archive: ${error.message}`)));
+      zipfile.on('end', () => {
+        if (!failed) resolve(files);
+      });
+      
+      zipfile.on('entry', entry => {
+        if (entry.fileName.endsWith('/')) {
+          return zipfile.readEntry();
+        }
+        
+        const fileType = (entry.externalFileAttributes >>> 16) & 0o170000;
+        if (fileType === 0o120000) {
+          return fail(bundleError(`Symbolic links are not allowed: ${entry.fileName}`));
+        }
+        
+        totalSize += entry.uncompressedSize;
+        if (totalSize > MAX_BUNDLE_BYTES) {
+          return fail(bundleError(`Archive expands beyond the ${MAX_BUNDLE_BYTES} byte limit`, 413));
+        }
+        
+        if (entry.uncompressedSize > 1024 * 1024 && entry.uncompressedSize > entry.compressedSize * MAX_COMPRESSION_RATIO) {
+          return fail(bundleError(`Suspicious compression ratio for ${entry.fileName}`, 413));
+        }
+        
+        zipfile.openReadStream(entry, (streamErr, stream) => {
+          if (streamErr) {
+            return fail(bundleError(`Could not read ${entry.fileName}`));
+          }
+          
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('error', error => fail(bundleError(`Could not read ${entry.fileName}: ${error.message}`)));
+          stream.on('end', () => {
+            files.push({ path: entry.fileName, data: Buffer.concat(chunks) });
+            zipfile.readEntry();
+          });
+        });
+      });
+      
+      zipfile.readEntry();
+    });
+  });
+}
+
+// Decode a JSON manifest of path -> content (strings, or { content, encoding: 'base64' })
+function readFileManifest(manifest) {
+  if (typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw bundleError('Files must be an object mapping paths to contents');
+  }
+  
+  const entries = Object.entries(manifest);
+  if (entries.length > MAX_BUNDLE_FILES) {
+    throw bundleError(`Upload contains more than ${MAX_BUNDLE_FILES} files`, 413);
+  }
+  
+  let totalSize = 0;
+  return entries.map(([filePath, value]) => {
+    const content = typeof value === 'string' ? value : value && value.content;
+    const encoding = typeof value === 'object' && value.encoding === 'base64' ? 'base64' : 'utf8';
+    
+    if (typeof content !== 'string') {
+      throw bundleError(`Missing content for ${filePath}`);
+    }
+    
+    const data = Buffer.from(content, encoding);
+    totalSize += data.length;
+    if (totalSize > MAX_BUNDLE_BYTES) {
+      throw bundleError(`Upload exceeds the ${MAX_BUNDLE_BYTES} byte limit`, 413);
+    }
+    
+    return { path: filePath, data };
+  });
+}
+
+// Collect a multi-file upload from the request; null means a plain html/css/js upload
+async function readUploadedBundle(req) {
+  let files;
+  let source;
+  
+  if (Buffer.isBuffer(req.body)) {
+    files = await extractZipArchive(req.body);
+    source = 'archive';
+  } else if (req.body.archive) {
+    files = await extractZipArchive(Buffer.from(req.body.archive, 'base64'));
+    source = 'archive';
+  } else if (req.body.files) {
+    files = readFileManifest(req.body.files);
+    source = 'manifest';
+  } else {
+    return null;
+  }
+  
+  return { source, files: prepareBundleFiles(files) };
+}
+
+// Normalise the paths of a deploy's files and check it has no duplicates, and an index.html
+// unless it is a source tree to build. `built` marks a build's output, which always needs one.
+function prepareBundleFiles(files, { built = false } = {}) {
+  const seen = new Set();
+  files = files
+    .map(file => ({ ...file, path: normalizeBundlePath(file.path) }))
+    .filter(file => file.path);
+  
+  // Archives of a folder usually wrap everything in one top-level directory
+  const roots = new Set(files.map(file => file.path.split('/')[0]));
+  if (roots.size === 1 && files.every(file => file.path.includes('/')) && !files.some(file => file.path === 'index.html')) {
+    const [root] = roots;
+    files = files.map(file => ({ ...file, path: file.path.slice(root.length + 1) }));
+  }
+  
+  for (const file of files) {
+    const key = file.path.toLowerCase();
+    if (seen.has(key)) {
+      throw bundleError(`Duplicate file path: ${file.path}`);
+    }
+    seen.add(key);
+  }
+  
+  if (!seen.has('index.html')) {
+    if (built) {
+      throw bundleError('The build output has no index.html at its root');
+    }
+    const { build, errors } = readBuildConfig(files);
+    if (errors.length > 0) {
+      throw bundleError(`Invalid ${SITE_CONFIG_FILE}: ${errors.join('; ')}`);
+    }
+    if (!build) {
+      throw bundleError('Upload must contain an index.html at its root');
+    }
+  }
+  
+  return files;
+}
+
+// Run the build a deploy's ntando.json asks for. Resolves to { files, build }: the files to
+// publish and the build record (null when there is nothing to build). A failed build throws
+// a 422 carrying its record, log included.
+async function runSiteBuild(files, source) {
+  const { build: settings } = readBuildConfig(files);
+  if (!settings) {
+    return { files, build: null };
+  }
+
+  const result = await siteBuilder.run(files, settings);
+  const build = {
+    id: crypto.randomUUID(),
+    generator: settings.generator,
+    source,
+    status: result.status,
+    error: result.error,
+    startedAt: result.startedAt,
+    finishedAt: result.finishedAt,
+    durationMs: result.durationMs,
+    files: result.files ? result.files.length : 0,
+    log: result.log
+  };
+
+  try {
+    if (result.status !== 'succeeded') {
+      throw bundleError(result.error, 422);
+    }
+    return { files: prepareBundleFiles(result.files, { built: true }), build };
+  } catch (error) {
+    if (error.status) {
+      if (build.status === 'succeeded') {
+        Object.assign(build, { status: 'failed', error: error.message, log: `${build.log}\nOutput rejected: ${error.message}` });
+      }
+      error.message = `Build failed: ${error.message}`;
+      error.status = 422;
+      error.build = build;
+    }
+    throw error;
+  }
+}
+
+// Write an uploaded bundle into a staging directory, then swap it in as the site
+async function writeSiteBundle(siteDir, files) {
+  const stagingDir = path.join(path.dirname(siteDir), `.${path.basename(siteDir)}-${crypto.randomBytes(6).toString('hex')}`);
+  
+  try {
+    for (const file of files) {
+      const target = path.resolve(stagingDir, file.path);
+      if (!target.startsWith(stagingDir + path.sep)) {
+        throw bundleError(`Path traversal is not allowed: ${file.path}`);
+      }
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, file.data);
+    }
+    await buildAssetManifest(stagingDir);
+    
+    await fs.rm(siteDir, { recursive: true, force: true });
+    await fs.rename(stagingDir, siteDir);
+  } catch (error) {
+    await fs.rm(stagingDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+function getQuarantineDir(siteId) {
+  return path.join(QUARANTINE_DIR, siteId);
+}
+
+// Run the publish checks over a deploy. Rejections throw; the findings that should hold
+// the deploy for review are returned (empty when it can go live).
+async function scanDeploy(files) {
+  // A broken ntando.json would change how the site is served, so it always fails the deploy
+  const configErrors = checkSiteConfig(files);
+  if (configErrors.length > 0) {
+    throw bundleError(`Invalid ${SITE_CONFIG_FILE}: ${configErrors.join('; ')}`);
+  }
+
+  const findings = await publishPipeline.scan(files);
+
+  const rejected = findings.filter(finding => finding.action === 'reject');
+  if (rejected.length > 0) {
+    const message = rejected.map(finding => `${finding.file}: ${finding.message}`).join('; ');
+    throw bundleError(message, rejected[0].status || 422);
+  }
+
+  return findings
+    .filter(finding => finding.action === 'quarantine')
+    .map(({ check, file, message }) => ({ check, file, message }));
+}
+
+// Keep a flagged deploy out of the live directory until it is reviewed
+async function quarantineDeploy(site, files, source, findings) {
+  await writeSiteBundle(getQuarantineDir(site.id), files);
+  site.quarantine = { flaggedAt: new Date().toISOString(), source, findings };
+  console.warn(`Deploy to site ${site.id} quarantined: ${findings.map(finding => finding.message).join('; ')}`);
+}
+
+// Save only the named fields of `site`. Deploys and other slow actions work on a copy read
+// when they started, so writing it back whole would undo whatever changed meanwhile: an admin
+// takedown, new access settings, a rename.
+function saveSiteFields(site, fields) {
+  return storage.updateSite(site.id, Object.fromEntries(fields.map(field => [field, site[field]])));
+}
+
+// Deploys write into a hosting account's directory and renames move it, so the two must not
+// overlap. Running deploys are counted per account and per site (uploads of new sites, which
+// may take the name a site is renamed to, per account); a rename marks its account.
+const siteDirectoryWork = new Map();
+
+function getSiteDirectoryWork(key) {
+  return siteDirectoryWork.get(key) || { deploys: 0, renaming: false };
+}
+
+function updateSiteDirectoryWork(key, change) {
+  const work = { ...getSiteDirectoryWork(key), ...change(getSiteDirectoryWork(key)) };
+  if (work.deploys === 0 && !work.renaming) {
+    siteDirectoryWork.delete(key);
+  } else {
+    siteDirectoryWork.set(key, work);
+  }
+}
+
+// The account and site as read may predate a rename that finished since
+async function assertSiteDirectoryCurrent(user, site) {
+  const host = await storage.getUser(user.id);
+  const current = site && await storage.getSite(site.id);
+  if (!host || host.subdomain !== user.subdomain || (site && (!current || current.slug !== site.slug))) {
+    throw bundleError('The site was just renamed. Try again.', 409);
+  }
+}
+
+// Make a claim, then check it still makes sense; the claim is undone if not
+async function claimSiteDirectory(claim, check) {
+  const finish = claim();
+  try {
+    await check();
+  } catch (error) {
+    finish();
+    throw error;
+  }
+  return finish;
+}
+
+// Start writing files of `site` (null for a site still being created) under the account's
+// directory. Resolves to a function to call when done.
+function beginSiteDeploy(user, site = null) {
+  const keys = [`account:${user.id}`, site ? `site:${site.id}` : `new-site:${user.id}`];
+  if (getSiteDirectoryWork(keys[0]).renaming) {
+    return Promise.reject(bundleError('This site is being renamed. Try again in a moment.', 409));
+  }
+  return claimSiteDirectory(() => {
+    for (const key of keys) updateSiteDirectoryWork(key, work => ({ deploys: work.deploys + 1 }));
+    return () => {
+      for (const key of keys) updateSiteDirectoryWork(key, work => ({ deploys: work.deploys - 1 }));
+    };
+  }, () => assertSiteDirectoryCurrent(user, site));
+}
+
+// Start moving one site's directory, or the whole account's when `site` is null. Refused while
+// a deploy it would race is running. Resolves to a function to call when done.
+function beginSiteRename(user, site = null) {
+  const accountKey = `account:${user.id}`;
+  const busyKeys = site ? [`site:${site.id}`, `new-site:${user.id}`] : [accountKey];
+  if (getSiteDirectoryWork(accountKey).renaming || busyKeys.some(key => getSiteDirectoryWork(key).deploys > 0)) {
+    return Promise.reject(bundleError('Wait for running deploys to finish, then try again.', 409));
+  }
+  return claimSiteDirectory(() => {
+    updateSiteDirectoryWork(accountKey, () => ({ renaming: true }));
+    return () => updateSiteDirectoryWork(accountKey, () => ({ renaming: false }));
+  }, () => assertSiteDirectoryCurrent(user, site));
+}
+
+// Move a staged directory (a draft or a quarantined deploy) in as the live site
+async function promoteToLive(user, site, fromDir) {
+  const siteDir = path.join(USERS_DIR, user.subdomain, site.slug);
+  await fs.mkdir(path.dirname(siteDir), { recursive: true });
+  await fs.rm(siteDir, { recursive: true, force: true });
+  await fs.rename(fromDir, siteDir);
+}
+
+// Publish a deploy that was held for review, replacing the live files
+async function releaseQuarantine(user, site) {
+  await promoteToLive(user, site, getQuarantineDir(site.id));
+
+  site.source = site.quarantine.source;
+  site.quarantine = null;
+  await createSiteVersion(user, site, 'release');
+}
+
+// A clean deploy replaces whatever was held for review
+async function clearQuarantine(site) {
+  if (site.quarantine) {
+    await fs.rm(getQuarantineDir(site.id), { recursive: true, force: true });
+    site.quarantine = null;
+  }
+}
+
+function getDraftDir(siteId) {
+  return path.join(DRAFTS_DIR, siteId);
+}
+
+// Preview links are signed rather than stored. Every draft gets a new id, so links to
+// earlier drafts stop working.
+function getPreviewKey(site) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(`preview:${site.id}:${site.draft.id}`).digest('base64url');
+}
+
+function getPreviewUrl(req, site) {
+  return `${req.protocol}://${req.get('host')}/preview/${site.id}/${getPreviewKey(site)}/`;
+}
+
+// Old versions are only shown through signed links too, so what an owner replaced can't be
+// found by counting version numbers
+function getVersionKey(site, version) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(`version:${site.id}:${version}`).digest('base64url');
+}
+
+function getVersionUrl(user, site, version) {
+  return `/versions/${user.subdomain}/${site.slug}/${version}/${getVersionKey(site, version)}/`;
+}
+
+// Stage a deploy as the site's draft, replacing any earlier one
+async function saveDraft(site, files, source) {
+  await writeSiteBundle(getDraftDir(site.id), files);
+  site.draft = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), source };
+}
+
+async function discardDraft(site) {
+  await fs.rm(getDraftDir(site.id), { recursive: true, force: true });
+  site.draft = null;
+  site.publishAt = null;
+}
+
+// Make a site live, promoting its draft when there is one
+async function publishSite(user, site) {
+  const finish = await beginSiteDeploy(user, site);
+  try {
+    if (site.draft) {
+      await promoteToLive(user, site, getDraftDir(site.id));
+      site.source = site.draft.source;
+      site.draft = null;
+      await createSiteVersion(user, site, 'publish');
+    }
+    site.published = true;
+    site.publishAt = null;
+    site.updatedAt = new Date().toISOString();
+    const updated = await saveSiteFields(site, ['source', 'draft', 'currentVersion', 'published', 'publishAt', 'updatedAt']);
+    await notifyWebhooks('site.published', updated, { action: 'publish' });
+    return updated;
+  } finally {
+    finish();
+  }
+}
+
+// Deploy new files to an existing site: checked against the hosting account's quota and the
+// publish checks, then held for review when flagged, staged as the draft when `draft`, or
+// made live as a new version. Source trees are built first. Resolves to { status: 'quarantined' |
+// 'draft' | 'live', findings, site, build } with the saved site and the build record, if any.
+async function deploySiteUpdate(user, site, files, source, options = {}) {
+  const finish = await beginSiteDeploy(user, site);
+  try {
+    return await applySiteUpdate(user, site, files, source, options);
+  } finally {
+    finish();
+  }
+}
+
+async function applySiteUpdate(user, site, files, source, { draft = false, action = 'update', details = {} } = {}) {
+  // Source trees are built first, and the build is logged whether or not it works
+  let build;
+  try {
+    ({ files, build } = await runSiteBuild(files, source));
+  } catch (error) {
+    if (error.build) {
+      await saveSiteBuild(site.id, error.build);
+      await notifyWebhooks('deploy.failed', site, { source, reason: 'build', buildId: error.build.id, message: error.message });
+    }
+    throw error;
+  }
+  if (build) {
+    await saveSiteBuild(site.id, build);
+    details = { ...details, buildId: build.id };
+  }
+
+  // Quotas belong to the account hosting the site
+  await enforceDeployQuota(user, files, site, draft);
+  const findings = await scanDeploy(files);
+
+  site.updatedAt = new Date().toISOString();
+
+  if (findings.length > 0) {
+    await quarantineDeploy(site, files, source, findings);
+    deployLimiter.hit(user.id);
+    const updated = await saveSiteFields(site, ['quarantine', 'updatedAt']);
+    await notifyWebhooks('deploy.failed', updated, { source, reason: 'quarantined', findings });
+    return { status: 'quarantined', findings, site: updated, build };
+  }
+
+  if (draft) {
+    await saveDraft(site, files, source);
+    deployLimiter.hit(user.id);
+    return { status: 'draft', findings, site: await saveSiteFields(site, ['draft', 'updatedAt']), build };
+  }
+
+  const siteDir = path.join(USERS_DIR, user.subdomain, site.slug);
+  if (source === 'editor') {
+    await fs.mkdir(siteDir, { recursive: true });
+    await writeSiteFiles(siteDir, files);
+  } else {
+    await writeSiteBundle(siteDir, files);
+  }
+  site.source = source;
+  deployLimiter.hit(user.id);
+
+  await clearQuarantine(site);
+  await discardDraft(site);
+  const wasLive = site.published !== false;
+  site.published = true;
+  await createSiteVersion(user, site, action, details);
+
+  const updated = await saveSiteFields(site, [
+    'source', 'quarantine', 'draft', 'publishAt', 'published', 'currentVersion', 'updatedAt'
+  ]);
+  await notifyWebhooks(wasLive ? 'site.updated' : 'site.published', updated, { source, action });
+  return { status: 'live', findings, site: updated, build };
+}
+
+// Publish sites whose scheduled time has passed
+async function publishScheduledSites() {
+  try {
+    const now = new Date().toISOString();
+    for (const site of await storage.listAllSites()) {
+      if (!site.publishAt || site.publishAt > now || site.unpublished) continue;
+
+      const user = await storage.getUser(site.userId);
+      if (!user || user.suspended) continue;
+      // Sites being renamed are published on a later run
+      try {
+        await publishSite(user, site);
+      } catch (error) {
+        if (error.status === 409) continue;
+        throw error;
+      }
+      console.log(`🕒 Published scheduled site ${user.subdomain}/${site.slug}`);
+    }
+  } catch (error) {
+    console.error('Scheduled publish error:', error);
+  }
+}
+
+// List files under a directory as relative paths, skipping dotfiles
+async function listSiteFiles(dir, prefix = '') {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listSiteFiles(path.join(dir, entry.name), relPath));
+    } else if (entry.isFile()) {
+      files.push(relPath);
+    }
+  }
+  return files.sort();
+}
+
+// Version history lives outside the served tree, keyed by site id
+function getSiteBackupDir(siteId) {
+  return path.join(BACKUPS_DIR, siteId);
+}
+
+// Per-site logs (git deploys, builds) are JSON lists of entries with an id, newest last
+async function readSiteLog(siteId, file) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(getSiteBackupDir(siteId), file), 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+// Add or replace an entry, keeping the newest `max`
+async function saveSiteLogEntry(siteId, file, entry, max) {
+  const entries = (await readSiteLog(siteId, file)).filter(existing => existing.id !== entry.id);
+  entries.push(entry);
+  await fs.mkdir(getSiteBackupDir(siteId), { recursive: true });
+  await fs.writeFile(path.join(getSiteBackupDir(siteId), file), JSON.stringify(entries.slice(-max), null, 2));
+}
+
+// Build records of deploys that were source trees
+function readSiteBuilds(siteId) {
+  return readSiteLog(siteId, 'builds.json');
+}
+
+function saveSiteBuild(siteId, build) {
+  return saveSiteLogEntry(siteId, 'builds.json', build, MAX_BUILD_LOGS);
+}
+
+function toBuildSummary({ log, ...build }) {
+  return build;
+}
+
+async function readSiteVersions(siteId) {
+  try {
+    const data = await fs.readFile(path.join(getSiteBackupDir(siteId), 'versions.json'), 'utf8');
+    return JSON.parse(data);
+  } catch {
+    return [];
+  }
+}
+
+async function writeSiteVersions(siteId, versions) {
+  await fs.mkdir(getSiteBackupDir(siteId), { recursive: true });
+  await fs.writeFile(path.join(getSiteBackupDir(siteId), 'versions.json'), JSON.stringify(versions, null, 2));
+}
+
+function getVersionRetention(user) {
+  const retention = user.versionRetention || DEFAULT_VERSION_RETENTION;
+  return Math.min(Math.max(retention, 1), MAX_VERSION_RETENTION);
+}
+
+// Snapshot the live site directory as the next numbered version
+async function createSiteVersion(user, site, action, extra = {}) {
+  const siteDir = path.join(USERS_DIR, user.subdomain, site.slug);
+  const versions = await readSiteVersions(site.id);
+  const number = versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+  const versionDir = path.join(getSiteBackupDir(site.id), String(number));
+  
+  await fs.cp(siteDir, versionDir, { recursive: true });
+  
+  const files = await listSiteFiles(versionDir);
+  let size = 0;
+  for (const file of files) {
+    const stat = await fs.stat(path.join(versionDir, file));
+    size += stat.size;
+  }
+  
+  const version = {
+    version: number,
+    action,
+    createdAt: new Date().toISOString(),
+    files: files.length,
+    size,
+    ...extra
+  };
+  versions.push(version);
+  
+  // Drop the oldest snapshots beyond the user's retention limit
+  const retention = getVersionRetention(user);
+  while (versions.length > retention) {
+    const removed = versions.shift();
+    await fs.rm(path.join(getSiteBackupDir(site.id), String(removed.version)), { recursive: true, force: true });
+  }
+  
+  await writeSiteVersions(site.id, versions);
+  site.currentVersion = number;
+  return version;
+}
+
+// Line diff (Myers' algorithm), grouped into unified hunks. Null when the files are too long
+// or too far apart to diff.
+function diffLines(oldText, newText, context = 3) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+  if (a.length + b.length > MAX_DIFF_LINES) {
+    return null;
+  }
+
+  // Furthest point reached on each diagonal k = x - y, kept after every number of edits d
+  // (diagonals -d..d) to walk back along the shortest edit script
+  const offset = MAX_DIFF_EDITS + 1;
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+  let done = false;
+  for (let d = 0; d <= MAX_DIFF_EDITS && !done; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) {
+        done = true;
+        break;
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+  if (!done) {
+    return null;
+  }
+
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    let prevX = 0;
+    let prevY = 0;
+    if (d > 0) {
+      const prev = trace[d - 1];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && prev[k - 1 + d - 1] < prev[k + 1 + d - 1]) ? k + 1 : k - 1;
+      prevX = prev[prevK + d - 1];
+      prevY = prevX - prevK;
+    }
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      ops.push(x === prevX ? { type: '+', line: b[prevY] } : { type: '-', line: a[prevX] });
+      x = prevX;
+      y = prevY;
+    }
+  }
+  ops.reverse();
+  
+  // Group changes that are close together into hunks with surrounding context
+  const groups = [];
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const group = groups[groups.length - 1];
+    if (group && index - group.last <= context * 2) {
+      group.last = index;
+    } else {
+      groups.push({ first: index, last: index });
+    }
+  });
+  
+  return groups.map(group => {
+    const start = Math.max(group.first - context, 0);
+    const end = Math.min(group.last + context + 1, ops.length);
+    const before = ops.slice(0, start);
+    const lines = ops.slice(start, end);
+    const oldStart = before.filter(op => op.type !== '+').length + 1;
+    const newStart = before.filter(op => op.type !== '-').length + 1;
+    const oldCount = lines.filter(op => op.type !== '+').length;
+    const newCount = lines.filter(op => op.type !== '-').length;
+    return {
+      header: `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+      lines: lines.map(op => `${op.type}${op.line}`)
+    };
+  });
+}
+
+// Routes
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Dashboard route
+app.get('/dashboard', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+});
+
+// Get supported domains
+app.get('/api/domains', (req, res) => {
+  res.json({
+    supportedDomains: SUPPORTED_DOMAINS,
+    primaryDomain: PRIMARY_DOMAIN
+  });
+});
+
+// Aggregate platform counts with no per-user data
+async function computePlatformStats() {
+  const users = await storage.listUsers();
+  const sites = (await storage.listAllSites()).filter(site => site.published !== false);
+  
+  const sitesPerDomain = {};
+  SUPPORTED_DOMAINS.forEach(domain => {
+    sitesPerDomain[domain] = 0;
+  });
+  sites.forEach(site => {
+    const domain = SUPPORTED_DOMAINS.includes(site.domain) ? site.domain : PRIMARY_DOMAIN;
+    sitesPerDomain[domain]++;
+  });
+  
+  return {
+    users: users.length,
+    sites: sites.length,
+    visits: sites.reduce((sum, site) => sum + (site.visits || 0), 0),
+    supportedDomains: SUPPORTED_DOMAINS.length,
+    sitesPerDomain,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+let statsCache = { value: null, expiresAt: 0, pending: null };
+
+// Concurrent requests after expiry share one recomputation
+async function getPlatformStats() {
+  if (statsCache.value && Date.now() < statsCache.expiresAt) {
+    return statsCache.value;
+  }
+  
+  if (!statsCache.pending) {
+    statsCache.pending = computePlatformStats()
+      .then(value => {
+        statsCache = { value, expiresAt: Date.now() + STATS_CACHE_TTL, pending: null };
+        return value;
+      })
+      .catch(error => {
+        statsCache.pending = null;
+        throw error;
+      });
+  }
+  return statsCache.pending;
+}
+
+// Public platform statistics for the landing page
+app.get('/api/stats', async (req, res) => {
+  try {
+    const stats = await getPlatformStats();
+    res.set('Cache-Control', `public, max-age=${Math.floor(STATS_CACHE_TTL / 1000)}`);
+    res.json(stats);
+  } catch (error) {
+    console.error('Stats error:', error);
+    res.status(500).json({ error: 'Failed to load stats' });
+  }
+});
+
+// User registration
+app.post('/api/register', async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+    
+    if (!username || !email || !password) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+    
+    if (!validateUsername(username)) {
+      return res.status(400).json({ error: 'Invalid username. Use 3-30 characters, letters, numbers, hyphens, and underscores only.' });
+    }
+    
+    if (!validateEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+    
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+    
+    // Throttle sign-ups per client and per requested name
+    const usernameKey = username.toLowerCase();
+    if (rejectIfRateLimited(res, registerIpLimiter, req.ip, REGISTER_MAX_PER_IP, 'Too many sign-ups from this address.') ||
+        rejectIfRateLimited(res, registerUsernameLimiter, usernameKey, REGISTER_MAX_PER_USERNAME, 'Too many sign-up attempts for this username.')) {
+      return;
+    }
+    registerIpLimiter.hit(req.ip);
+    registerUsernameLimiter.hit(usernameKey);
+    
+    // Check if username or email already exists
+    if (await storage.findUserByUsername(username)) {
+      return res.status(400).json({ error: 'Username already taken' });
+    }
+    
+    if (await storage.findUserByEmail(email)) {
+      return res.status(400).json({ error: 'Email already registered' });
+    }
+    
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const userId = crypto.randomUUID();
+    
+    // Create user
+    const user = {
+      id: userId,
+      username,
+      email,
+      password: hashedPassword,
+      createdAt: new Date().toISOString(),
+      subdomain: generateSubdomain(username),
+      emailVerified: false
+    };
+    
+    await storage.createUser(user);
+    
+    // Create user directory
+    const userDir = path.join(USERS_DIR, user.subdomain);
+    await fs.mkdir(userDir, { recursive: true });
+    
+    // The account works without it, so a mail failure shouldn't fail registration
+    try {
+      await sendVerificationEmail(req, user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+    
+    // Start a session
+    const { tokens } = await issueSession(user, req);
+    
+    res.json({ 
+      success: true, 
+      message: 'User registered successfully',
+      ...tokens,
+      user: toPublicUser(user)
+    });
+    
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+// User login
+app.post('/api/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+    
+    // Cap attempts per client, and failed guesses per account
+    const usernameKey = String(username).toLowerCase();
+    if (rejectIfRateLimited(res, loginIpLimiter, req.ip, LOGIN_MAX_PER_IP, 'Too many login attempts.') ||
+        rejectIfRateLimited(res, loginFailureLimiter, usernameKey, LOGIN_MAX_FAILURES_PER_USERNAME, 'Too many failed logins for this account.')) {
+      return;
+    }
+    loginIpLimiter.hit(req.ip);
+    
+    // Find user
+    const user = await storage.findUserByUsername(username);
+    if (!user) {
+      loginFailureLimiter.hit(usernameKey);
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+    
+    // Verify password
+    const validPassword = await bcrypt.compare(password, user.password);
+    if (!validPassword) {
+      loginFailureLimiter.hit(usernameKey);
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+    loginFailureLimiter.reset(usernameKey);
+    
+    if (user.suspended) {
+      return res.status(403).json({ error: 'This account is suspended' });
+    }
+    
+    // Start a session
+    const { tokens } = await issueSession(user, req);
+    
+    res.json({ 
+      success: true, 
+      message: 'Login successful',
+      ...tokens,
+      user: toPublicUser(user)
+    });
+    
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Exchange a refresh token for a new access token and a rotated refresh token
+app.post('/api/token/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const record = await storage.findRefreshToken(hashToken(refreshToken));
+    if (!record) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const now = new Date().toISOString();
+
+    // A token that was already rotated is being replayed: it may have leaked,
+    // so revoke the whole family and make every device in it sign in again
+    if (record.replacedBy) {
+      await storage.revokeRefreshTokens({ familyId: record.familyId }, now);
+      console.warn(`Refresh token reuse detected for user ${record.userId}; family ${record.familyId} revoked`);
+      return res.status(401).json({ error: 'Refresh token has already been used. Please log in again.' });
+    }
+
+    if (record.revokedAt || record.expiresAt <= now) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const user = await storage.getUser(record.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const { record: next, tokens } = await issueSession(user, req, record.familyId);
+    await storage.updateRefreshToken(record.id, { revokedAt: now, replacedBy: next.id });
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Log out this device by revoking its refresh token family
+app.post('/api/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    // Unknown or already revoked tokens still log out cleanly
+    const record = await storage.findRefreshToken(hashToken(refreshToken));
+    if (record) {
+      await storage.revokeRefreshTokens({ familyId: record.familyId }, new Date().toISOString());
+    }
+
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Log out every device: revoke all refresh tokens and invalidate issued access tokens (protected route)
+app.post('/api/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const user = await storage.getUser(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await storage.revokeRefreshTokens({ userId: user.id }, new Date().toISOString());
+    await storage.updateUser(user.id, { tokenVersion: (user.tokenVersion || 0) + 1 });
+
+    res.json({ success: true, message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out of all devices' });
+  }
+});
+
+// Confirm an email address from the emailed link
+app.post('/api/email/verify', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const record = await consumeAccountToken(token, 'verify-email');
+    const user = record && await storage.getUser(record.userId);
+
+    // A link sent to an address the account no longer uses doesn't verify the new one
+    if (!user || user.email !== record.email) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    const updated = await storage.updateUser(user.id, {
+      emailVerified: true,
+      emailVerifiedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Email address verified',
+      user: toPublicUser(updated)
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Send a fresh verification email (protected route)
+app.post('/api/email/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await storage.getUser(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+
+    await sendVerificationEmail(req, user);
+
+    res.json({ success: true, message: `Verification email sent to ${user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Email a password reset link
+app.post('/api/password/forgot', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Same answer whether or not the address has an account
+    const user = await storage.findUserByEmail(String(email).trim());
+    if (user) {
+      const token = await createAccountToken(user, 'reset-password', PASSWORD_RESET_TTL);
+      await mailer.send({
+        to: user.email,
+        subject: 'Reset your Ntandostore password',
+        text: `Hi ${user.username},\n\n` +
+          `Someone asked to reset the password for your Ntandostore account. ` +
+          `Choose a new one by opening the link below:\n\n` +
+          `${dashboardUrl(req, { reset: token })}\n\n` +
+          `The link expires in 1 hour and can only be used once. ` +
+          `If you didn't ask for this, you can ignore this email.\n`
+      });
+    }
+
+    res.json({ success: true, message: 'If that email is registered, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset email' });
+  }
+});
+
+// Set a new password with an emailed reset token; signs out every session
+app.post('/api/password/reset', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Reset token and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    const record = await consumeAccountToken(token, 'reset-password');
+    const user = record && await storage.getUser(record.userId);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    // The reset link also proves the user controls the address it was sent to
+    const updated = await storage.updateUser(user.id, {
+      password: await bcrypt.hash(newPassword, 10),
+      tokenVersion: (user.tokenVersion || 0) + 1,
+      passwordChangedAt: new Date().toISOString(),
+      ...(user.email === record.email && !user.emailVerified
+        ? { emailVerified: true, emailVerifiedAt: new Date().toISOString() }
+        : {})
+    });
+    await storage.revokeRefreshTokens({ userId: user.id }, new Date().toISOString());
+    await storage.deleteAccountTokens({ userId: user.id, purpose: 'reset-password' });
+
+    res.json({
+      success: true,
+      message: 'Password reset. Please log in with your new password.',
+      user: toPublicUser(updated)
+    });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Built-in templates are directories under templates/ with a template.json manifest
+//   { name, description, category, thumbnail, variables: [{ name, label, default }] }
+// next to their editor sources (index.html, style.css, script.js). They are loaded on startup.
+let builtInTemplates = [];
+
+async function loadTemplates() {
+  const templates = [];
+  for (const entry of await fs.readdir(TEMPLATES_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const manifest = JSON.parse(await fs.readFile(path.join(TEMPLATES_DIR, entry.name, 'template.json'), 'utf8'));
+    templates.push({
+      id: entry.name,
+      name: manifest.name || entry.name,
+      description: manifest.description || '',
+      category: manifest.category || 'other',
+      thumbnail: manifest.thumbnail || null,
+      variables: parseTemplateVariables(manifest.variables || []),
+      builtIn: true
+    });
+  }
+  builtInTemplates = templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Declared template variables, beyond the siteName and ownerName every template gets
+function parseTemplateVariables(variables) {
+  if (!Array.isArray(variables) || variables.length > MAX_TEMPLATE_VARIABLES) {
+    throw bundleError(`Template variables must be a list of at most ${MAX_TEMPLATE_VARIABLES} entries`);
+  }
+
+  const seen = new Set(['siteName', 'ownerName']);
+  return variables.map(variable => {
+    const name = variable && variable.name;
+    if (typeof name !== 'string' || !TEMPLATE_VARIABLE_NAME.test(name) || seen.has(name)) {
+      throw bundleError(`Invalid or duplicate template variable: ${name}`);
+    }
+    seen.add(name);
+    return {
+      name,
+      label: String(variable.label || name).slice(0, 100),
+      default: String(variable.default == null ? '' : variable.default).slice(0, MAX_TEMPLATE_VALUE_LENGTH)
+    };
+  });
+}
+
+function getUserTemplateDir(templateId) {
+  return path.join(USER_TEMPLATES_DIR, templateId);
+}
+
+// A template the signed-in user may use: built-in, their own, or shared by an active account
+async function findTemplate(id, userId) {
+  const builtIn = builtInTemplates.find(template => template.id === id);
+  if (builtIn) return builtIn;
+
+  const template = await storage.getTemplate(id);
+  if (!template) return null;
+  if (template.userId === userId) return template;
+  if (template.visibility !== 'public') return null;
+
+  const owner = await storage.getUser(template.userId);
+  return owner && !owner.suspended ? template : null;
+}
+
+// Gallery entry for a template, without its content
+function toTemplateSummary(template, owner) {
+  if (template.builtIn) {
+    const { thumbnail, ...summary } = template;
+    return { ...summary, visibility: 'public', thumbnailUrl: thumbnail ? `/api/templates/${template.id}/thumbnail` : null };
+  }
+
+  const { userId, sourceSiteId, ...summary } = template;
+  return { ...summary, builtIn: false, owner: owner ? owner.username : null, thumbnailUrl: null };
+}
+
+// Gallery entries matching ?category= and a ?q= search over name, description and category
+function filterTemplates(templates, { category, q }) {
+  const search = typeof q === 'string' ? q.trim().toLowerCase() : '';
+  return templates.filter(template =>
+    (!category || template.category === category) &&
+    (!search || `${template.name} ${template.description} ${template.category}`.toLowerCase().includes(search)));
+}
+
+// Built-in templates plus those shared publicly by active accounts
+async function listGalleryTemplates() {
+  const owners = new Map();
+  const shared = [];
+  for (const template of await storage.listTemplates({ visibility: 'public' })) {
+    if (!owners.has(template.userId)) {
+      owners.set(template.userId, await storage.getUser(template.userId));
+    }
+    const owner = owners.get(template.userId);
+    if (owner && !owner.suspended) {
+      shared.push(toTemplateSummary(template, owner));
+    }
+  }
+  return [...builtInTemplates.map(template => toTemplateSummary(template)), ...shared];
+}
+
+// A template's content: editor sources for single-page templates, otherwise its files
+async function readTemplateContent(template) {
+  if (template.builtIn) {
+    const dir = path.join(TEMPLATES_DIR, template.id);
+    const read = async name => {
+      try {
+        return await fs.readFile(path.join(dir, name), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return '';
+        throw error;
+      }
+    };
+    return { sources: { html: await read('index.html'), css: await read('style.css'), js: await read('script.js'), favicon: '' } };
+  }
+
+  const dir = getUserTemplateDir(template.id);
+  if (template.source === 'editor') {
+    return { sources: await readSiteSources(dir) };
+  }
+
+  const files = [];
+  for (const relPath of await listSiteFiles(dir)) {
+    files.push({ path: relPath, data: await fs.readFile(path.join(dir, relPath)) });
+  }
+  return { files };
+}
+
+// Values for a template's {{variables}}: the new site's name and owner, then each declared
+// variable as given in the request or its default
+function templateValues(template, { siteName, owner, variables }) {
+  const provided = variables && typeof variables === 'object' ? variables : {};
+  const values = {
+    siteName: siteName || template.name,
+    ownerName: owner.displayName || owner.username
+  };
+  for (const variable of template.variables) {
+    const value = provided[variable.name];
+    values[variable.name] = typeof value === 'string' ? value.slice(0, MAX_TEMPLATE_VALUE_LENGTH) : variable.default;
+  }
+  return values;
+}
+
+// Replace {{name}} placeholders, escaping the values in markup. Unknown names are left
+// alone so sites using a client-side template syntax keep working.
+function fillTemplate(text, values, markup = false) {
+  return text.replace(/\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(values, name)) return placeholder;
+    return markup ? escapeHtml(values[name]) : values[name];
+  });
+}
+
+function fillTemplateSources(sources, values) {
+  return {
+    html: fillTemplate(sources.html, values, true),
+    css: fillTemplate(sources.css || '', values),
+    js: fillTemplate(sources.js || '', values),
+    favicon: sources.favicon
+  };
+}
+
+// The files of a new site made from a template, with its variables filled in
+async function templateSiteFiles(template, values) {
+  const content = await readTemplateContent(template);
+  if (content.sources) {
+    return { files: editorSiteFiles(fillTemplateSources(content.sources, values)), source: 'editor' };
+  }
+
+  const files = content.files.map(file => (TEMPLATE_TEXT_FILE.test(file.path)
+    ? { path: file.path, data: Buffer.from(fillTemplate(file.data.toString('utf8'), values, TEMPLATE_MARKUP_FILE.test(file.path))) }
+    : file));
+  return { files, source: template.source };
+}
+
+// Name, description, category, visibility and variables of a user template, as sent by its owner
+function readTemplateFields(body, current = {}) {
+  const fields = {};
+  const name = body.name !== undefined ? String(body.name).trim() : current.name;
+  if (!name || name.length > 100) {
+    throw bundleError('Template name must be 1-100 characters');
+  }
+  fields.name = name;
+
+  if (body.description !== undefined || current.description === undefined) {
+    fields.description = String(body.description || '').trim().slice(0, 500);
+  }
+
+  if (body.category !== undefined || current.category === undefined) {
+    const category = String(body.category || 'other').trim().toLowerCase();
+    if (!TEMPLATE_CATEGORY.test(category)) {
+      throw bundleError('Category must be up to 30 lowercase letters, numbers and hyphens');
+    }
+    fields.category = category;
+  }
+
+  if (body.visibility !== undefined || current.visibility === undefined) {
+    const visibility = body.visibility || 'private';
+    if (!TEMPLATE_VISIBILITIES.includes(visibility)) {
+      throw bundleError(`Visibility must be one of: ${TEMPLATE_VISIBILITIES.join(', ')}`);
+    }
+    fields.visibility = visibility;
+  }
+
+  if (body.variables !== undefined || current.variables === undefined) {
+    fields.variables = parseTemplateVariables(body.variables || []);
+  }
+
+  return fields;
+}
+
+// Browse the template gallery: built-in and publicly shared templates (?category=, ?q=)
+app.get('/api/templates', async (req, res) => {
+  try {
+    res.json(filterTemplates(await listGalleryTemplates(), req.query));
+  } catch (error) {
+    console.error('Templates error:', error);
+    res.status(500).json({ error: 'Failed to load templates' });
+  }
+});
+
+// Categories in the gallery with how many templates each has
+app.get('/api/templates/categories', async (req, res) => {
+  try {
+    const counts = {};
+    for (const template of await listGalleryTemplates()) {
+      counts[template.category] = (counts[template.category] || 0) + 1;
+    }
+    res.json(Object.entries(counts)
+      .map(([category, count]) => ({ category, count }))
+      .sort((a, b) => a.category.localeCompare(b.category)));
+  } catch (error) {
+    console.error('Template categories error:', error);
+    res.status(500).json({ error: 'Failed to load template categories' });
+  }
+});
+
+// Preview image of a built-in template
+app.get('/api/templates/:id/thumbnail', (req, res, next) => {
+  const template = builtInTemplates.find(entry => entry.id === req.params.id);
+  if (!template || !template.thumbnail) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  sendSiteFile(res, next, path.join(TEMPLATES_DIR, template.id), template.thumbnail);
+});
+
+// A template with its content, for loading into the editor (protected route)
+app.get('/api/templates/:id', allowApiToken('read'), async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id, req.user.userId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const owner = template.builtIn ? null : await storage.getUser(template.userId);
+    const content = await readTemplateContent(template);
+    res.json({
+      ...toTemplateSummary(template, owner),
+      ...(content.sources || {}),
+      files: content.files ? content.files.map(file => file.path) : ['index.html']
+    });
+  } catch (error) {
+    console.error('Template error:', error);
+    res.status(500).json({ error: 'Failed to load template' });
+  }
+});
+
+// Templates saved by the signed-in user (protected route)
+app.get('/api/user/templates', allowApiToken('read'), async (req, res) => {
+  try {
+    const user = await storage.getUser(req.user.userId);
+    const templates = await storage.listTemplates({ userId: req.user.userId });
+    res.json(filterTemplates(templates.map(template => toTemplateSummary(template, user)), req.query));
+  } catch (error) {
+    console.error('User templates error:', error);
+    res.status(500).json({ error: 'Failed to load templates' });
+  }
+});
+
+// Save a copy of a site's live files as a template, private or shared in the gallery (protected route)
+app.post('/api/sites/:id/template', allowApiToken('manage'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'editor');
+    if (!owned) return;
+    const { user: host, site } = owned;
+
+    if (site.unpublished) {
+      return res.status(403).json({ error: 'This site was taken down and can\'t be used as a template' });
+    }
+
+    const siteDir = path.join(USERS_DIR, host.subdomain, site.slug);
+    const size = await directorySize(siteDir);
+    if (size === 0) {
+      return res.status(409).json({ error: 'Publish the site before saving it as a template' });
+    }
+
+    const user = await storage.getUser(req.user.userId);
+    const existing = await storage.listTemplates({ userId: user.id });
+    if (existing.length >= MAX_USER_TEMPLATES) {
+      return res.status(403).json({ error: `You can save up to ${MAX_USER_TEMPLATES} templates` });
+    }
+
+    const plan = getPlan(user);
+    const total = await accountStorageBytes(user) + size;
+    if (total > plan.maxStorageBytes) {
+      return res.status(413).json({ error: `This template would use ${formatBytes(total)} of your ${formatBytes(plan.maxStorageBytes)} storage` });
+    }
+
+    const fields = readTemplateFields({ name: site.name, ...req.body });
+    const now = new Date().toISOString();
+    const template = {
+      id: crypto.randomUUID(),
+      userId: user.id,
+      ...fields,
+      source: site.source || 'editor',
+      sourceSiteId: site.id,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await fs.cp(siteDir, getUserTemplateDir(template.id), {
+      recursive: true,
+      filter: source => path.basename(source) !== ASSET_DIR
+    });
+    await storage.createTemplate(template);
+
+    res.status(201).json({ success: true, template: toTemplateSummary(template, user) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Save template error:', error);
+    res.status(500).json({ error: 'Failed to save template' });
+  }
+});
+
+// Rename, recategorise, share or unshare one of your templates (protected route)
+app.put('/api/user/templates/:id', allowApiToken('manage'), async (req, res) => {
+  try {
+    const template = await storage.getTemplate(req.params.id);
+    if (!template || template.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const fields = readTemplateFields(req.body, template);
+    const updated = await storage.updateTemplate(template.id, { ...fields, updatedAt: new Date().toISOString() });
+    const user = await storage.getUser(req.user.userId);
+
+    res.json({ success: true, template: toTemplateSummary(updated, user) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update template error:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+// Delete one of your templates; sites already made from it are unaffected (protected route)
+app.delete('/api/user/templates/:id', allowApiToken('manage'), async (req, res) => {
+  try {
+    const template = await storage.getTemplate(req.params.id);
+    if (!template || template.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await fs.rm(getUserTemplateDir(template.id), { recursive: true, force: true });
+    await storage.deleteTemplate(template.id);
+
+    res.json({ success: true, message: 'Template deleted' });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+// Upload and create a new site (protected route)
+app.post('/api/upload', allowApiToken('deploy'), requireVerifiedEmail, parseDeployBody, async (req, res) => {
+  let finishDeploy;
+  let pendingLabel;
+  try {
+    // Raw zip uploads carry their fields in the query string
+    const fields = Buffer.isBuffer(req.body) ? req.query : req.body;
+    const { html, css, js, siteName, siteSlug, favicon, preferredDomain } = fields;
+    const workspaceId = fields.workspaceId || null;
+    const draft = fields.draft === true || fields.draft === 'true';
+    const bundle = await readUploadedBundle(req);
+    const template = fields.templateId ? await findTemplate(String(fields.templateId), req.user.userId) : null;
+
+    if (fields.templateId && !template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (!html && !bundle && !template) {
+      return res.status(400).json({ error: 'HTML content is required' });
+    }
+    if (preferredDomain && !SUPPORTED_DOMAINS.includes(preferredDomain)) {
+      return res.status(400).json({ error: 'Unsupported domain' });
+    }
+
+    // Tokens bound to one site can only update that site
+    if (req.user.siteId) {
+      return res.status(403).json({ error: 'This token can only deploy to its own site' });
+    }
+
+    // Get user info
+    const user = await storage.getUser(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Publishing into a workspace needs the editor role there; the files still live under
+    // the publisher's subdomain
+    if (workspaceId) {
+      const member = await storage.getWorkspaceMember(workspaceId, user.id);
+      if (!member) {
+        return res.status(404).json({ error: 'Workspace not found' });
+      }
+      if (!hasRole(member.role, 'editor')) {
+        return res.status(403).json({ error: 'This action needs the editor role' });
+      }
+    }
+
+    // Generate site slug if not provided
+    let slug = siteSlug;
+    if (!slug) {
+      slug = (siteName || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'site';
+    }
+
+    // Validate slug
+    if (!validateSubdomain(slug)) {
+      return res.status(400).json({ error: 'Invalid site name. Use 3-63 characters, letters, numbers, and hyphens only.' });
+    }
+
+    finishDeploy = await beginSiteDeploy(user);
+
+    // Ensure unique slug within user's subdomain, whose host label no other site has either
+    let finalSlug = slug;
+    let counter = 1;
+    while (await isSiteLabelTaken(user.subdomain, finalSlug)) {
+      finalSlug = `${slug}-${counter}`;
+      counter++;
+    }
+    pendingLabel = `${user.subdomain}-${finalSlug}`.toLowerCase();
+    pendingUploadLabels.add(pendingLabel);
+
+    // Uploaded files, or index.html plus the sources kept for editing. Sites made from a
+    // template get its {{variables}} filled in, in the template's own files or in the editor
+    // content that was loaded from it.
+    const values = template && templateValues(template, { siteName, owner: user, variables: fields.variables });
+    let files;
+    let source;
+    if (bundle) {
+      ({ files, source } = bundle);
+    } else if (html) {
+      files = editorSiteFiles(values ? fillTemplateSources({ html, css, js, favicon }, values) : { html, css, js, favicon });
+      source = 'editor';
+    } else {
+      ({ files, source } = await templateSiteFiles(template, values));
+    }
+    let build;
+    ({ files, build } = await runSiteBuild(files, source));
+    await enforceDeployQuota(user, files, null);
+    const findings = await scanDeploy(files);
+
+    // Generate URLs for all domains
+    const userSubdomain = user.subdomain;
+    const urls = generateSiteUrls(userSubdomain, finalSlug);
+    const selectedDomain = preferredDomain || PRIMARY_DOMAIN;
+
+    // Add site to user's sites
+    const site = {
+      id: crypto.randomUUID(),
+      userId: user.id,
+      workspaceId,
+      name: siteName || 'Untitled Site',
+      slug: finalSlug,
+      domain: selectedDomain,
+      urls: urls,
+      source,
+      templateId: template ? template.id : null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      visits: 0,
+      published: findings.length === 0 && !draft
+    };
+    if (build) {
+      await saveSiteBuild(site.id, build);
+    }
+
+    // Flagged sites are created unpublished, with nothing in the live directory
+    if (findings.length > 0) {
+      await quarantineDeploy(site, files, source, findings);
+      deployLimiter.hit(user.id);
+      await storage.createSite(site);
+      await notifyWebhooks('deploy.failed', site, { source, reason: 'quarantined', findings });
+      return res.status(202).json({
+        success: true,
+        quarantined: true,
+        message: 'Your site was held for review and is not live yet.',
+        findings,
+        build: build && toBuildSummary(build),
+        site
+      });
+    }
+
+    // Drafts are staged outside the live directory until they are published
+    if (draft) {
+      await saveDraft(site, files, source);
+      deployLimiter.hit(user.id);
+      await storage.createSite(site);
+      return res.json({
+        success: true,
+        draft: true,
+        message: 'Draft saved. Preview it, then publish when ready.',
+        previewUrl: getPreviewUrl(req, site),
+        build: build && toBuildSummary(build),
+        site: withSiteLinks(req, user, site)
+      });
+    }
+
+    // Create site directory
+    const siteDir = path.join(USERS_DIR, userSubdomain, finalSlug);
+    await fs.mkdir(siteDir, { recursive: true });
+
+    if (source === 'editor') {
+      await writeSiteFiles(siteDir, files);
+    } else {
+      await writeSiteBundle(siteDir, files);
+    }
+    deployLimiter.hit(user.id);
+
+    await createSiteVersion(user, site, 'publish', build ? { buildId: build.id } : {});
+    await storage.createSite(site);
+    await notifyWebhooks('site.published', site, { source, action: 'create' });
+
+    // Determine URLs based on environment
+    const isProduction = process.env.NODE_ENV === 'production';
+    let url, primaryUrl, fullUrl;
+    
+    if (isProduction) {
+      // For Render.com, use the /site/ path format
+      url = `/site/${userSubdomain}/${finalSlug}/`;
+      primaryUrl = url;
+      fullUrl = `${req.protocol}://${req.get('host')}/site/${userSubdomain}/${finalSlug}/`;
+    } else {
+      // For local development, use the actual domain format
+      url = urls[selectedDomain];
+      primaryUrl = urls[PRIMARY_DOMAIN];
+      fullUrl = url;
+    }
+
+    res.json({ 
+      success: true, 
+      slug: finalSlug,
+      url: url,
+      urls: urls,
+      domain: selectedDomain,
+      primaryUrl: primaryUrl,
+      fullUrl: fullUrl,
+      message: 'Site published successfully!',
+      build: build && toBuildSummary(build),
+      site
+    });
+
+  } catch (error) {
+    if (error.status) {
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({ error: error.message, ...(error.build ? { build: error.build } : {}) });
+    }
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Failed to upload site' });
+  } finally {
+    if (pendingLabel) pendingUploadLabels.delete(pendingLabel);
+    if (finishDeploy) finishDeploy();
+  }
+});
+
+// Get user's sites (protected route)
+app.get('/api/user/sites', allowApiToken('read'), async (req, res) => {
+  try {
+    // Get user info
+    const user = await storage.getUser(req.user.userId);
+    if (!user) {
+      return res.json([]);
+    }
+
+    // Workspace sites are listed under their workspace instead
+    const sites = (await storage.listSites(user.id))
+      .filter(site => !site.workspaceId && (!req.user.siteId || site.id === req.user.siteId))
+      .map(site => withSiteLinks(req, user, site));
+
+    res.json(sites);
+  } catch (error) {
+    console.error('Error loading sites:', error);
+    res.json([]);
+  }
+});
+
+// Plan limits and current usage (protected route)
+app.get('/api/user/usage', allowApiToken('read'), async (req, res) => {
+  try {
+    const user = await storage.getUser(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { id, name, ...limits } = getPlan(user);
+
+    res.json({
+      plan: { id, name },
+      limits,
+      usage: {
+        sites: (await storage.listSites(user.id)).length,
+        storageBytes: await accountStorageBytes(user),
+        deploysLastHour: deployLimiter.count(user.id)
+      }
+    });
+  } catch (error) {
+    console.error('Usage error:', error);
+    res.status(500).json({ error: 'Failed to load usage' });
+  }
+});
+
+// Get a single site with its sources (protected route)
+app.get('/api/sites/:id', allowApiToken('read'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'viewer');
+    if (!owned) return;
+    const { user, site } = owned;
+
+    // Editing picks up from the pending draft when there is one
+    const siteDir = site.draft ? getDraftDir(site.id) : path.join(USERS_DIR, user.subdomain, site.slug);
+    const sources = await readSiteSources(siteDir);
+
+    res.json({
+      site: withSiteLinks(req, user, site),
+      files: await listSiteFiles(siteDir),
+      html: sources.html,
+      css: sources.css,
+      js: sources.js,
+      favicon: sources.favicon
+    });
+  } catch (error) {
+    console.error('Error loading site:', error);
+    res.status(500).json({ error: 'Failed to load site' });
+  }
+});
+
+// Update an existing site (protected route)
+app.put('/api/sites/:id', allowApiToken('deploy'), requireVerifiedEmail, parseDeployBody, async (req, res) => {
+  try {
+    const fields = Buffer.isBuffer(req.body) ? req.query : req.body;
+    const { html, css, js, siteName, favicon, preferredDomain } = fields;
+    const draft = fields.draft === true || fields.draft === 'true';
+    const bundle = await readUploadedBundle(req);
     
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const userId = crypto.randomUUID();
-    
-    // Create user
-    const user = {
-      id: userId,
-      username,
-      email,
-      password: hashedPassword,
-      createdAt: new Date().toISOString(),
-      subdomain: generateSubdomain(username),
-      sites: []
-    };
-    
-    users[userId] = user;
-    await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
-    
-    // Create user directory
-    const userDir = path.join(USERS_DIR, user.subdomain);
-    await fs.mkdir(userDir, { recursive: true });
-    
-    // Generate JWT token
-    const token = jwt.sign({ userId: user.id, username: user.username }, JWT_SECRET, { expiresIn: '7d' });
+    if (!html && !bundle) {
+      return res.status(400).json({ error: 'HTML content is required' });
+    }
+
+    if (preferredDomain && !SUPPORTED_DOMAINS.includes(preferredDomain)) {
+      return res.status(400).json({ error: 'Unsupported domain' });
+    }
+
+    const owned = await findAccessibleSite(req, res, 'editor');
+    if (!owned) return;
+    const { user, site } = owned;
+    if (site.unpublished) {
+      return res.status(403).json({ error: 'This site was taken down by an administrator' });
+    }
+
+    const siteDir = path.join(USERS_DIR, user.subdomain, site.slug);
+    let files;
+    if (bundle) {
+      files = bundle.files;
+    } else {
+      // Keep the previous favicon unless a new one is sent
+      const previous = await readSiteSources(site.draft ? getDraftDir(site.id) : siteDir);
+      files = editorSiteFiles({
+        html,
+        css,
+        js,
+        favicon: favicon !== undefined ? favicon : previous.favicon
+      });
+    }
+
+    if (siteName) {
+      site.name = siteName;
+    }
+    if (preferredDomain) {
+      site.domain = preferredDomain;
+    }
+
+    const result = await deploySiteUpdate(user, site, files, bundle ? bundle.source : 'editor', { draft });
+    // The deploy only writes back what it changed; a new name or domain is saved here
+    if (siteName || preferredDomain) {
+      result.site = await saveSiteFields(site, ['name', 'domain']);
+    }
+
+    // A flagged update is held back and the live site keeps its current files
+    if (result.status === 'quarantined') {
+      return res.status(202).json({
+        success: true,
+        quarantined: true,
+        message: 'This update was held for review and is not live yet.',
+        findings: result.findings,
+        build: result.build && toBuildSummary(result.build),
+        site: toSiteResponse(result.site)
+      });
+    }
+
+    // Drafts leave the live site untouched until they are published
+    if (result.status === 'draft') {
+      return res.json({
+        success: true,
+        draft: true,
+        message: 'Draft saved. Preview it, then publish when ready.',
+        previewUrl: getPreviewUrl(req, result.site),
+        build: result.build && toBuildSummary(result.build),
+        site: withSiteLinks(req, user, result.site)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Site updated successfully!',
+      build: result.build && toBuildSummary(result.build),
+      site: toSiteResponse(result.site)
+    });
+  } catch (error) {
+    if (error.status) {
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({ error: error.message, ...(error.build ? { build: error.build } : {}) });
+    }
+    console.error('Update error:', error);
+    res.status(500).json({ error: 'Failed to update site' });
+  }
+});
+
+// Publish a site now, or at `publishAt`, promoting its draft when there is one (protected route)
+app.post('/api/sites/:id/publish', allowApiToken('deploy'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'editor');
+    if (!owned) return;
+    const { user, site } = owned;
+    if (site.unpublished) {
+      return res.status(403).json({ error: 'This site was taken down by an administrator' });
+    }
+
+    if (!site.draft && site.published !== false) {
+      return res.status(400).json({ error: 'Site is already published and has no draft' });
+    }
+    if (!site.draft && (await listSiteFiles(path.join(USERS_DIR, user.subdomain, site.slug))).length === 0) {
+      return res.status(400).json({ error: 'Nothing to publish yet. Deploy the site first.' });
+    }
+
+    const { publishAt } = req.body;
+    if (publishAt) {
+      const at = new Date(publishAt);
+      if (isNaN(at.getTime())) {
+        return res.status(400).json({ error: 'publishAt must be a date' });
+      }
+      if (at - Date.now() > MAX_PUBLISH_DELAY) {
+        return res.status(400).json({ error: 'Publishing can be scheduled at most a year ahead' });
+      }
+
+      // Times that have already passed publish straight away
+      if (at > Date.now()) {
+        site.publishAt = at.toISOString();
+        const updated = await storage.updateSite(site.id, { publishAt: site.publishAt });
+        return res.json({
+          success: true,
+          message: `Site will be published at ${site.publishAt}`,
+          site: withSiteLinks(req, user, updated)
+        });
+      }
+    }
+
+    const updated = await publishSite(user, site);
+
+    res.json({
+      success: true,
+      message: 'Site published',
+      site: withSiteLinks(req, user, updated)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Publish error:', error);
+    res.status(500).json({ error: 'Failed to publish site' });
+  }
+});
+
+// Take a site offline without deleting it; its files and draft are kept (protected route)
+app.post('/api/sites/:id/unpublish', allowApiToken('deploy'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'editor');
+    if (!owned) return;
+    const { user, site } = owned;
+
+    if (site.published === false && !site.publishAt) {
+      return res.status(400).json({ error: 'Site is not published' });
+    }
+
+    // Also cancels a scheduled publish
+    const updated = await storage.updateSite(site.id, {
+      published: false,
+      publishAt: null,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Site unpublished',
+      site: withSiteLinks(req, user, updated)
+    });
+  } catch (error) {
+    console.error('Unpublish error:', error);
+    res.status(500).json({ error: 'Failed to unpublish site' });
+  }
+});
+
+// Throw away a site's pending draft (protected route)
+app.delete('/api/sites/:id/draft', allowApiToken('deploy'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'editor');
+    if (!owned) return;
+    const { user, site } = owned;
+
+    if (!site.draft) {
+      return res.status(404).json({ error: 'Site has no draft' });
+    }
+
+    await discardDraft(site);
+    const updated = await saveSiteFields(site, ['draft', 'publishAt']);
+
+    res.json({
+      success: true,
+      message: 'Draft discarded',
+      site: withSiteLinks(req, user, updated)
+    });
+  } catch (error) {
+    console.error('Discard draft error:', error);
+    res.status(500).json({ error: 'Failed to discard draft' });
+  }
+});
+
+// Choose who can view a site: anyone, visitors with a shared password, or basic auth (protected route)
+app.put('/api/sites/:id/access', allowApiToken('manage'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'admin');
+    if (!owned) return;
+    const { user, site } = owned;
+    const { mode, password, username } = req.body;
+
+    if (!SITE_ACCESS_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Access mode must be one of: ${SITE_ACCESS_MODES.join(', ')}` });
+    }
+
+    let access = null;
+    if (mode !== 'public') {
+      // Switching between restricted modes or renaming the basic auth user can keep the password
+      const current = site.access;
+      if (!password && !current) {
+        return res.status(400).json({ error: 'A password is required' });
+      }
+      if (password && String(password).length < 6) {
+        return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+      }
+      if (mode === 'basic' && (typeof username !== 'string' || !/^[^:\s]{1,64}$/.test(username))) {
+        return res.status(400).json({ error: 'Basic auth needs a username of up to 64 characters without spaces or colons' });
+      }
+
+      access = {
+        mode,
+        username: mode === 'basic' ? username : null,
+        passwordHash: password ? await bcrypt.hash(String(password), 10) : current.passwordHash,
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.userId
+      };
+    }
+
+    const updated = await storage.updateSite(site.id, { access });
+
+    res.json({
+      success: true,
+      message: access ? `Site is now restricted (${mode === 'basic' ? 'basic auth' : 'shared password'})` : 'Site is now public',
+      site: withSiteLinks(req, user, updated)
+    });
+  } catch (error) {
+    console.error('Site access error:', error);
+    res.status(500).json({ error: 'Failed to update site access' });
+  }
+});
+
+// Git remote of a site, addressed by id so it survives renames
+function getGitRemoteUrl(req, site) {
+  const base = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/+$/, '')}/git/${site.id}.git`;
+}
+
+function toGitSettings(req, site) {
+  return site.git ? { ...site.git, remoteUrl: getGitRemoteUrl(req, site) } : null;
+}
+
+// Deploy logs of pushes, newest last, kept next to the site's versions
+function readGitDeploys(siteId) {
+  return readSiteLog(siteId, 'deploys.json');
+}
+
+function saveGitDeploy(siteId, deploy) {
+  return saveSiteLogEntry(siteId, 'deploys.json', deploy, MAX_GIT_DEPLOY_LOGS);
+}
+
+function toGitDeploySummary({ log, ...deploy }) {
+  return deploy;
+}
+
+// Pushes to the same site deploy one at a time, in the order they arrived
+const gitDeployQueues = new Map();
+
+function queueGitDeploy(siteId, push) {
+  const run = (gitDeployQueues.get(siteId) || Promise.resolve()).then(() => runGitDeploy(siteId, push));
+  gitDeployQueues.set(siteId, run);
+  run.then(() => {
+    if (gitDeployQueues.get(siteId) === run) gitDeployQueues.delete(siteId);
+  });
+  return run;
+}
+
+// Publish the commit a push left on the deploy branch, through the same checks as an upload
+async function runGitDeploy(siteId, { commit, branch, pushedBy }) {
+  const deploy = {
+    id: crypto.randomUUID(),
+    commit,
+    branch,
+    pushedBy,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    log: []
+  };
+  const log = message => deploy.log.push({ at: new Date().toISOString(), message });
+
+  try {
+    await saveGitDeploy(siteId, deploy);
+
+    const site = await storage.getSite(siteId);
+    const user = site && await storage.getUser(site.userId);
+    if (!site || !user || !site.git) {
+      throw bundleError('The site no longer has a git remote', 404);
+    }
+    if (site.unpublished) {
+      throw bundleError('This site was taken down by an administrator', 403);
+    }
+
+    const info = await gitHost.readCommit(siteId, commit);
+    deploy.subject = info.subject;
+    deploy.author = info.author;
+    log(`Checking out ${commit.slice(0, 7)} "${info.subject}" from ${branch}`);
+
+    const files = prepareBundleFiles(await gitHost.readTree(siteId, commit, {
+      maxFiles: MAX_BUNDLE_FILES,
+      maxBytes: MAX_BUNDLE_BYTES
+    }));
+    log(`Read ${files.length} files (${formatBytes(files.reduce((sum, file) => sum + file.data.length, 0))})`);
+
+    const result = await deploySiteUpdate(user, site, files, 'git', { action: 'push', details: { commit } });
+    if (result.build) {
+      deploy.buildId = result.build.id;
+      log(`Built with the ${result.build.generator} generator in ${(result.build.durationMs / 1000).toFixed(1)}s`);
+    }
+    if (result.status === 'quarantined') {
+      deploy.status = 'quarantined';
+      for (const finding of result.findings) {
+        log(`Flagged ${finding.file}: ${finding.message}`);
+      }
+      log('Held for review; the live site was not changed');
+    } else {
+      deploy.status = 'live';
+      deploy.version = result.site.currentVersion;
+      log(`Published as version ${result.site.currentVersion}`);
+    }
+  } catch (error) {
+    if (!error.status) {
+      console.error('Git deploy error:', error);
+    }
+    deploy.status = 'failed';
+    if (error.build) {
+      deploy.buildId = error.build.id;
+    }
+    log(error.status ? `Deploy failed: ${error.message}` : 'Deploy failed: internal error');
+
+    // Failed builds have already been reported by deploySiteUpdate
+    const site = !error.build && await storage.getSite(siteId).catch(() => null);
+    if (site) {
+      await notifyWebhooks('deploy.failed', site, {
+        source: 'git',
+        reason: 'error',
+        message: error.status ? error.message : 'Internal error',
+        commit,
+        branch,
+        deployId: deploy.id
+      });
+    }
+  }
+
+  deploy.finishedAt = new Date().toISOString();
+  try {
+    await saveGitDeploy(siteId, deploy);
+  } catch (error) {
+    console.error('Error saving git deploy log:', error);
+  }
+}
+
+// Git clients send HTTP basic auth: the account's username and password, or any username with
+// a personal access token as the password (read scope to fetch, deploy to push). Resolves to
+// { user, siteId }, where siteId is the one site a token is bound to, or answers and resolves
+// to null.
+async function authenticateGitRequest(req, res, scope) {
+  const refuse = (status, message) => {
+    if (status === 401) {
+      res.set('WWW-Authenticate', 'Basic realm="Ntandostore git", charset="UTF-8"');
+    }
+    res.status(status).type('text').send(`${message}\n`);
+    return null;
+  };
+
+  const [scheme, encoded] = (req.get('authorization') || '').split(' ');
+  const decoded = /^basic$/i.test(scheme) && encoded ? Buffer.from(encoded, 'base64').toString('utf8') : '';
+  const colon = decoded.indexOf(':');
+  if (colon === -1 || colon === decoded.length - 1) {
+    return refuse(401, 'Authentication required');
+  }
+  const username = decoded.slice(0, colon);
+  const password = decoded.slice(colon + 1);
+
+  if (password.startsWith(API_TOKEN_PREFIX)) {
+    const record = await storage.findApiToken(hashToken(password));
+    const now = new Date();
+    if (!record || (record.expiresAt && record.expiresAt <= now.toISOString())) {
+      return refuse(401, 'Invalid or expired token');
+    }
+    if (API_TOKEN_SCOPES.indexOf(record.scope) < API_TOKEN_SCOPES.indexOf(scope)) {
+      return refuse(403, `This token needs the ${scope} scope`);
+    }
+
+    const account = await storage.getUser(record.userId);
+    if (!account) {
+      return refuse(401, 'Invalid or expired token');
+    }
+    if (account.suspended) {
+      return refuse(403, 'This account is suspended');
+    }
+    if (!record.lastUsedAt || now - new Date(record.lastUsedAt) > API_TOKEN_TOUCH_INTERVAL) {
+      await storage.updateApiToken(record.id, { lastUsedAt: now.toISOString() });
+    }
+    return { user: account, siteId: record.siteId || null };
+  }
+
+  // Passwords are guessable the same way as on the login form, so they share its limit
+  const usernameKey = username.toLowerCase();
+  if (loginFailureLimiter.count(usernameKey) >= LOGIN_MAX_FAILURES_PER_USERNAME) {
+    res.set('Retry-After', String(loginFailureLimiter.retryAfter(usernameKey)));
+    return refuse(429, 'Too many failed logins for this account. Try again later.');
+  }
+
+  const account = await storage.findUserByUsername(username);
+  if (!account || !(await bcrypt.compare(password, account.password))) {
+    loginFailureLimiter.hit(usernameKey);
+    return refuse(401, 'Invalid credentials');
+  }
+  loginFailureLimiter.reset(usernameKey);
+
+  if (account.suspended) {
+    return refuse(403, 'This account is suspended');
+  }
+  return { user: account, siteId: null };
+}
+
+// Git smart HTTP for sites with a git remote. Cloning and fetching need the viewer role on the
+// site and pushing the editor role; a push that moves the deploy branch publishes it.
+async function serveGitRequest(req, res) {
+  try {
+    const service = req.params.service || req.query.service;
+    if (!GIT_SERVICES.includes(service)) {
+      return res.status(403).type('text').send('Only smart HTTP git clients are supported\n');
+    }
+    const push = service === 'git-receive-pack';
+
+    const site = await storage.getSite(req.params.siteId);
+    if (!site || !site.git) {
+      return res.status(404).type('text').send('Repository not found\n');
+    }
+
+    const auth = await authenticateGitRequest(req, res, push ? 'deploy' : 'read');
+    if (!auth) return;
+
+    const role = (!auth.siteId || auth.siteId === site.id) && await getSiteRole(auth.user.id, site);
+    if (!role) {
+      return res.status(404).type('text').send('Repository not found\n');
+    }
+    if (push) {
+      if (!hasRole(role, 'editor')) {
+        return res.status(403).type('text').send('Pushing needs the editor role\n');
+      }
+      if (site.unpublished) {
+        return res.status(403).type('text').send('This site was taken down by an administrator\n');
+      }
+      if (REQUIRE_EMAIL_VERIFICATION && !auth.user.emailVerified) {
+        return res.status(403).type('text').send('Please verify your email address before publishing\n');
+      }
+    }
+
+    const { branch } = site.git;
+    const before = push ? await gitHost.resolveBranch(site.id, branch) : null;
+    await gitHost.serve(req, res, {
+      siteId: site.id,
+      pathInfo: req.path.slice(req.path.indexOf('.git/') + 4),
+      remoteUser: auth.user.username
+    });
+
+    if (push && req.method === 'POST' && res.statusCode === 200) {
+      const after = await gitHost.resolveBranch(site.id, branch);
+      if (after && after !== before) {
+        queueGitDeploy(site.id, { commit: after, branch, pushedBy: auth.user.username });
+      }
+    }
+  } catch (error) {
+    console.error('Git request error:', error);
+    if (!res.headersSent) {
+      res.status(500).type('text').send('Git request failed\n');
+    }
+  }
+}
+
+app.get('/git/:siteId.git/info/refs', serveGitRequest);
+app.post('/git/:siteId.git/:service', serveGitRequest);
+
+// A site's git remote and its latest deploys (protected route)
+app.get('/api/sites/:id/git', allowApiToken('read'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'viewer');
+    if (!owned) return;
+    const { site } = owned;
+
+    const deploys = await readGitDeploys(site.id);
+    res.json({
+      git: toGitSettings(req, site),
+      deploys: deploys.reverse().map(toGitDeploySummary)
+    });
+  } catch (error) {
+    console.error('Git settings error:', error);
+    res.status(500).json({ error: 'Failed to load git settings' });
+  }
+});
+
+// One push deploy with its full log (protected route)
+app.get('/api/sites/:id/git/deploys/:deployId', allowApiToken('read'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'viewer');
+    if (!owned) return;
+
+    const deploy = (await readGitDeploys(owned.site.id)).find(entry => entry.id === req.params.deployId);
+    if (!deploy) {
+      return res.status(404).json({ error: 'Deploy not found' });
+    }
+    res.json({ deploy });
+  } catch (error) {
+    console.error('Git deploy log error:', error);
+    res.status(500).json({ error: 'Failed to load deploy log' });
+  }
+});
+
+// Turn on a site's git remote, or change the branch whose pushes are deployed (protected route)
+app.put('/api/sites/:id/git', allowApiToken('manage'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'admin');
+    if (!owned) return;
+    const { user, site } = owned;
+
+    const branch = req.body.branch === undefined ? (site.git ? site.git.branch : DEFAULT_GIT_BRANCH) : req.body.branch;
+    if (!isValidBranch(branch)) {
+      return res.status(400).json({ error: 'Invalid branch name' });
+    }
+
+    await gitHost.init(site.id, branch);
+    const git = {
+      branch,
+      enabledAt: site.git ? site.git.enabledAt : new Date().toISOString(),
+      updatedBy: req.user.userId
+    };
+    const updated = await storage.updateSite(site.id, { git });
+
+    res.json({
+      success: true,
+      message: `Pushes to ${branch} will be deployed`,
+      git: toGitSettings(req, updated),
+      site: withSiteLinks(req, user, updated)
+    });
+  } catch (error) {
+    console.error('Git settings error:', error);
+    res.status(500).json({ error: 'Failed to update git settings' });
+  }
+});
+
+// Turn off a site's git remote and delete its repository; the live files stay (protected route)
+app.delete('/api/sites/:id/git', allowApiToken('manage'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'admin');
+    if (!owned) return;
+    const { user, site } = owned;
+    if (!site.git) {
+      return res.status(404).json({ error: 'This site has no git remote' });
+    }
+
+    await gitHost.remove(site.id);
+    const updated = await storage.updateSite(site.id, { git: null });
+
+    res.json({
+      success: true,
+      message: 'Git remote removed',
+      site: withSiteLinks(req, user, updated)
+    });
+  } catch (error) {
+    console.error('Git settings error:', error);
+    res.status(500).json({ error: 'Failed to remove git remote' });
+  }
+});
+
+// A site's latest builds, newest first (protected route)
+app.get('/api/sites/:id/builds', allowApiToken('read'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'viewer');
+    if (!owned) return;
+
+    const builds = await readSiteBuilds(owned.site.id);
+    res.json({ builds: builds.reverse().map(toBuildSummary) });
+  } catch (error) {
+    console.error('Builds error:', error);
+    res.status(500).json({ error: 'Failed to load builds' });
+  }
+});
+
+// One build with its full log (protected route)
+app.get('/api/sites/:id/builds/:buildId', allowApiToken('read'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'viewer');
+    if (!owned) return;
+
+    const build = (await readSiteBuilds(owned.site.id)).find(entry => entry.id === req.params.buildId);
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+    res.json({ build });
+  } catch (error) {
+    console.error('Build log error:', error);
+    res.status(500).json({ error: 'Failed to load build log' });
+  }
+});
+
+// Webhook fields that are safe to send back: the signing secret is only shown on creation
+function toPublicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+function toWebhookDeliverySummary({ payload, attempts, ...delivery }) {
+  return { ...delivery, attemptCount: attempts.length, lastAttempt: attempts[attempts.length - 1] || null };
+}
+
+// URL, subscribed events, description and active flag of a webhook, as sent by its owner
+function readWebhookFields(body, current = {}) {
+  const fields = {};
+
+  if (body.url !== undefined || current.url === undefined) {
+    const url = normalizeWebhookUrl(body.url);
+    if (!url) {
+      throw bundleError('Webhook URL must be an http(s) URL without credentials');
+    }
+    fields.url = url;
+  }
+
+  if (body.events !== undefined || current.events === undefined) {
+    const events = body.events === undefined ? WEBHOOK_EVENTS : body.events;
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      throw bundleError(`Events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    fields.events = WEBHOOK_EVENTS.filter(event => events.includes(event));
+  }
+
+  if (body.description !== undefined || current.description === undefined) {
+    fields.description = String(body.description || '').trim().slice(0, 100);
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      throw bundleError('active must be true or false');
+    }
+    fields.active = body.active;
+  }
+
+  return fields;
+}
+
+// Register a webhook for the account (siteId null) or for one site
+async function createWebhook(req, res, siteId) {
+  const existing = await storage.listWebhooks(siteId ? { siteId } : { userId: req.user.userId });
+  if (existing.filter(webhook => (webhook.siteId || null) === siteId).length >= MAX_WEBHOOKS) {
+    return res.status(400).json({ error: `You can have at most ${MAX_WEBHOOKS} webhooks ${siteId ? 'per site' : 'on your account'}` });
+  }
+
+  const now = new Date().toISOString();
+  const secret = generateWebhookSecret();
+  const webhook = await storage.createWebhook({
+    id: crypto.randomUUID(),
+    userId: req.user.userId,
+    siteId,
+    active: true,
+    ...readWebhookFields(req.body),
+    secret,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Copy the signing secret now; it won\'t be shown again.',
+    secret,
+    webhook: toPublicWebhook(webhook)
+  });
+}
+
+// Load a webhook the signed-in user manages: one on their account, or one on a site they
+// administer (404 otherwise)
+async function findAccessibleWebhook(req, res) {
+  const webhook = await storage.getWebhook(req.params.id);
+  let allowed = false;
+  if (webhook && !webhook.siteId) {
+    allowed = webhook.userId === req.user.userId && !req.user.siteId;
+  } else if (webhook) {
+    const site = await storage.getSite(webhook.siteId);
+    allowed = Boolean(site) && (!req.user.siteId || req.user.siteId === site.id) &&
+      hasRole(await getSiteRole(req.user.userId, site), 'admin');
+  }
+
+  if (!allowed) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return webhook;
+}
+
+// Tell the webhooks of a site's hosting account and of the site itself about `event`. Never
+// throws: webhooks must not fail the action that triggered them.
+async function notifyWebhooks(event, site, data = {}) {
+  try {
+    const webhooks = [
+      ...(await storage.listWebhooks({ userId: site.userId })).filter(webhook => !webhook.siteId),
+      ...await storage.listWebhooks({ siteId: site.id })
+    ].filter(webhook => webhook.active && webhook.events.includes(event));
+    if (webhooks.length === 0) return;
+
+    // The same event id goes to every endpoint and survives redelivery, for deduplication
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      site: {
+        id: site.id,
+        name: site.name,
+        slug: site.slug,
+        userId: site.userId,
+        workspaceId: site.workspaceId || null,
+        urls: site.urls,
+        published: site.published !== false,
+        version: site.currentVersion || null
+      },
+      data
+    };
+    for (const webhook of webhooks) {
+      await webhookDispatcher.queue(webhook, payload);
+    }
+  } catch (error) {
+    console.error('Webhook notify error:', error);
+  }
+}
+
+// Retry deliveries whose backoff has run out, a few at a time
+async function sendDueWebhookDeliveries() {
+  try {
+    await webhookDispatcher.sendDue();
+  } catch (error) {
+    console.error('Webhook retry error:', error);
+  }
+}
+
+// Drop old delivery logs, and the webhooks of deleted sites once their last delivery is done
+async function pruneWebhookData() {
+  try {
+    await storage.pruneWebhookDeliveries(new Date(Date.now() - WEBHOOK_LOG_RETENTION).toISOString());
+    for (const webhook of await storage.listWebhooks()) {
+      if (!webhook.siteId || await storage.getSite(webhook.siteId)) continue;
+      const deliveries = await storage.listWebhookDeliveries(webhook.id, { limit: 1000 });
+      if (!deliveries.some(delivery => delivery.status === 'pending')) {
+        await storage.deleteWebhook(webhook.id);
+      }
+    }
+  } catch (error) {
+    console.error('Webhook cleanup error:', error);
+  }
+}
+
+// The signed-in user's account webhooks, which hear about every site hosted under the account
+// (protected route)
+app.get('/api/user/webhooks', allowApiToken('read'), async (req, res) => {
+  try {
+    if (req.user.siteId) {
+      return res.status(403).json({ error: 'Tokens bound to one site can\'t manage account webhooks' });
+    }
+    const webhooks = await storage.listWebhooks({ userId: req.user.userId });
+    res.json({
+      events: WEBHOOK_EVENTS,
+      webhooks: webhooks.filter(webhook => !webhook.siteId).map(toPublicWebhook)
+    });
+  } catch (error) {
+    console.error('Error loading webhooks:', error);
+    res.status(500).json({ error: 'Failed to load webhooks' });
+  }
+});
+
+// Register an account webhook (protected route). The signing secret is only shown in this
+// response.
+app.post('/api/user/webhooks', allowApiToken('manage'), async (req, res) => {
+  try {
+    if (req.user.siteId) {
+      return res.status(403).json({ error: 'Tokens bound to one site can\'t manage account webhooks' });
+    }
+    await createWebhook(req, res, null);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Webhook create error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// A site's own webhooks (protected route)
+app.get('/api/sites/:id/webhooks', allowApiToken('read'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'admin');
+    if (!owned) return;
+
+    const webhooks = await storage.listWebhooks({ siteId: owned.site.id });
+    res.json({ events: WEBHOOK_EVENTS, webhooks: webhooks.map(toPublicWebhook) });
+  } catch (error) {
+    console.error('Error loading webhooks:', error);
+    res.status(500).json({ error: 'Failed to load webhooks' });
+  }
+});
+
+// Register a webhook for one site (protected route). The signing secret is only shown in
+// this response.
+app.post('/api/sites/:id/webhooks', allowApiToken('manage'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'admin');
+    if (!owned) return;
+    await createWebhook(req, res, owned.site.id);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Webhook create error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Change a webhook's URL, events or description, or pause it with active: false (protected route)
+app.put('/api/webhooks/:id', allowApiToken('manage'), async (req, res) => {
+  try {
+    const webhook = await findAccessibleWebhook(req, res);
+    if (!webhook) return;
+
+    const updated = await storage.updateWebhook(webhook.id, {
+      ...readWebhookFields(req.body, webhook),
+      updatedAt: new Date().toISOString()
+    });
+    res.json({ success: true, webhook: toPublicWebhook(updated) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Webhook update error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Remove a webhook and its delivery log (protected route)
+app.delete('/api/webhooks/:id', allowApiToken('manage'), async (req, res) => {
+  try {
+    const webhook = await findAccessibleWebhook(req, res);
+    if (!webhook) return;
+
+    await storage.deleteWebhook(webhook.id);
+    res.json({ success: true, message: 'Webhook deleted' });
+  } catch (error) {
+    console.error('Webhook delete error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// A webhook's deliveries, newest first; page with ?before=<createdAt> (protected route)
+app.get('/api/webhooks/:id/deliveries', allowApiToken('read'), async (req, res) => {
+  try {
+    const webhook = await findAccessibleWebhook(req, res);
+    if (!webhook) return;
+
+    const { limit } = parsePaging(req.query);
+    const deliveries = await storage.listWebhookDeliveries(webhook.id, {
+      before: req.query.before ? String(req.query.before) : null,
+      limit
+    });
+    res.json({ deliveries: deliveries.map(toWebhookDeliverySummary) });
+  } catch (error) {
+    console.error('Error loading webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to load webhook deliveries' });
+  }
+});
+
+// One delivery with its payload and every attempt (protected route)
+app.get('/api/webhooks/:id/deliveries/:deliveryId', allowApiToken('read'), async (req, res) => {
+  try {
+    const webhook = await findAccessibleWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await storage.getWebhookDelivery(req.params.deliveryId);
+    if (!delivery || delivery.webhookId !== webhook.id) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json({ delivery });
+  } catch (error) {
+    console.error('Error loading webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to load webhook delivery' });
+  }
+});
+
+// Send a delivery's payload again as a new delivery (protected route)
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', allowApiToken('manage'), async (req, res) => {
+  try {
+    const webhook = await findAccessibleWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await storage.getWebhookDelivery(req.params.deliveryId);
+    if (!delivery || delivery.webhookId !== webhook.id) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const redelivery = await webhookDispatcher.queue(webhook, delivery.payload, delivery.id);
+    res.status(202).json({
+      success: true,
+      message: 'Redelivery queued',
+      delivery: toWebhookDeliverySummary(redelivery)
+    });
+  } catch (error) {
+    console.error('Webhook redeliver error:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// Delete a site and its files (protected route)
+app.delete('/api/sites/:id', allowApiToken('manage'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'admin');
+    if (!owned) return;
+    const { user, site } = owned;
+
+    const siteDir = path.join(USERS_DIR, user.subdomain, site.slug);
+    await fs.rm(siteDir, { recursive: true, force: true });
+    await fs.rm(getSiteBackupDir(site.id), { recursive: true, force: true });
+    await fs.rm(getQuarantineDir(site.id), { recursive: true, force: true });
+    await fs.rm(getDraftDir(site.id), { recursive: true, force: true });
+    await gitHost.remove(site.id);
+
+    // Also releases any custom domains pointing at the deleted site
+    await storage.deleteSite(site.id);
+
+    // The site's own webhooks are kept until they have been told, then pruned
+    await notifyWebhooks('site.deleted', site, { deletedBy: req.user.userId });
+    for (const webhook of await storage.listWebhooks({ siteId: site.id })) {
+      if (!webhook.active || !webhook.events.includes('site.deleted')) {
+        await storage.deleteWebhook(webhook.id);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Site deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete error:', error);
+    res.status(500).json({ error: 'Failed to delete site' });
+  }
+});
+
+// Attach a custom domain to a site (protected route)
+app.post('/api/sites/:id/domains', allowApiToken('manage'), async (req, res) => {
+  try {
+    const domain = String(req.body.domain || '').trim().toLowerCase().replace(/\.$/, '');
     
-    res.json({ 
-      success: true, 
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        subdomain: user.subdomain
+    if (!validateCustomDomain(domain)) {
+      return res.status(400).json({ error: 'Invalid domain. Use a full hostname such as shop.example.com.' });
+    }
+
+    const owned = await findAccessibleSite(req, res, 'admin');
+    if (!owned) return;
+    const { user, site } = owned;
+
+    // A claim that expired unverified is replaced by this one
+    const existing = await storage.getDomain(domain);
+    if (existing && !isDomainClaimExpired(existing)) {
+      return res.status(409).json({ error: 'Domain is already attached to a site' });
+    }
+
+    const entry = {
+      domain,
+      userId: user.id,
+      siteId: site.id,
+      token: crypto.randomBytes(16).toString('hex'),
+      status: 'pending',
+      failures: 0,
+      createdAt: new Date().toISOString()
+    };
+    await storage.saveDomain(entry);
+
+    res.json({
+      success: true,
+      domain: entry,
+      instructions: {
+        type: 'TXT',
+        name: `${DOMAIN_TXT_PREFIX}.${domain}`,
+        value: `ntando-verify=${entry.token}`,
+        cname: site.urls[site.domain].replace('https://', '')
+      }
+    });
+  } catch (error) {
+    console.error('Domain attach error:', error);
+    res.status(500).json({ error: 'Failed to attach domain' });
+  }
+});
+
+// List custom domains attached to a site (protected route)
+app.get('/api/sites/:id/domains', allowApiToken('read'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'viewer');
+    if (!owned) return;
+
+    res.json(await storage.listDomains({ siteId: owned.site.id }));
+  } catch (error) {
+    console.error('Error loading domains:', error);
+    res.status(500).json({ error: 'Failed to load domains' });
+  }
+});
+
+// Check a custom domain's TXT record now (protected route)
+app.post('/api/sites/:id/domains/:domain/verify', allowApiToken('manage'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'admin');
+    if (!owned) return;
+
+    const entry = await storage.getDomain(req.params.domain.toLowerCase());
+    if (!entry || entry.siteId !== owned.site.id) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    // A manual check always starts from a clean slate
+    entry.failures = 0;
+    if (entry.status === 'failed') {
+      entry.status = 'pending';
+    }
+    await verifyCustomDomain(entry);
+    const updated = await saveDomainCheck(entry);
+    if (!updated) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    res.json({
+      success: updated.status === 'verified',
+      domain: updated
+    });
+  } catch (error) {
+    console.error('Domain verify error:', error);
+    res.status(500).json({ error: 'Failed to verify domain' });
+  }
+});
+
+// Detach a custom domain from a site (protected route)
+app.delete('/api/sites/:id/domains/:domain', allowApiToken('manage'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'admin');
+    if (!owned) return;
+
+    const domain = req.params.domain.toLowerCase();
+    const entry = await storage.getDomain(domain);
+    if (!entry || entry.siteId !== owned.site.id) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    await storage.deleteDomain(domain);
+
+    res.json({
+      success: true,
+      message: 'Domain removed'
+    });
+  } catch (error) {
+    console.error('Domain delete error:', error);
+    res.status(500).json({ error: 'Failed to remove domain' });
+  }
+});
+
+// Visit analytics for a site (protected route)
+app.get('/api/sites/:id/analytics', allowApiToken('read'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'viewer');
+    if (!owned) return;
+
+    const interval = req.query.interval || 'day';
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `Interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}` });
+    }
+
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    let bucketCount = 0;
+    for (let d = startOfBucket(from, interval); d < to && bucketCount <= MAX_ANALYTICS_BUCKETS; d = nextBucket(d, interval)) {
+      bucketCount++;
+    }
+    if (bucketCount > MAX_ANALYTICS_BUCKETS) {
+      return res.status(400).json({ error: 'Date range too large for this interval' });
+    }
+
+    // Include visits still waiting in the queue
+    await flushVisitEvents();
+    const events = await storage.listVisitEvents(owned.site.id, {
+      from: from.toISOString(),
+      to: to.toISOString()
+    });
+
+    res.json({
+      siteId: owned.site.id,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      interval,
+      ...summarizeVisits(events, from, to, interval)
+    });
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(500).json({ error: 'Failed to load analytics' });
+  }
+});
+
+// List a site's saved versions (protected route)
+app.get('/api/sites/:id/versions', allowApiToken('read'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'viewer');
+    if (!owned) return;
+    const { user, site } = owned;
+
+    const versions = await readSiteVersions(site.id);
+
+    res.json({
+      currentVersion: site.currentVersion || null,
+      retention: getVersionRetention(user),
+      versions: versions.map(version => ({
+        ...version,
+        previewUrl: getVersionUrl(user, site, version.version)
+      })).reverse()
+    });
+  } catch (error) {
+    console.error('Error loading versions:', error);
+    res.status(500).json({ error: 'Failed to load versions' });
+  }
+});
+
+// Diff two versions of a site (protected route)
+app.get('/api/sites/:id/versions/diff', allowApiToken('read'), async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'viewer');
+    if (!owned) return;
+    const { user, site } = owned;
+
+    const versions = await readSiteVersions(site.id);
+    const from = parseInt(req.query.from, 10);
+    const to = req.query.to ? parseInt(req.query.to, 10) : site.currentVersion;
+
+    if (!versions.some(v => v.version === from) || !versions.some(v => v.version === to)) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const fromDir = path.join(getSiteBackupDir(site.id), String(from));
+    const toDir = path.join(getSiteBackupDir(site.id), String(to));
+    const fromFiles = await listSiteFiles(fromDir);
+    const toFiles = await listSiteFiles(toDir);
+    const allFiles = [...new Set([...fromFiles, ...toFiles])].sort();
+
+    const files = [];
+    for (const file of allFiles) {
+      if (!toFiles.includes(file)) {
+        files.push({ path: file, status: 'removed' });
+        continue;
+      }
+      if (!fromFiles.includes(file)) {
+        files.push({ path: file, status: 'added' });
+        continue;
+      }
+
+      const before = await fs.readFile(path.join(fromDir, file));
+      const after = await fs.readFile(path.join(toDir, file));
+      if (before.equals(after)) continue;
+
+      // Binary files are only reported as modified, as are text files too large to diff
+      const isBinary = before.includes(0) || after.includes(0);
+      const hunks = isBinary ? null : diffLines(before.toString('utf8'), after.toString('utf8'));
+      files.push({
+        path: file,
+        status: 'modified',
+        hunks,
+        ...(!isBinary && !hunks ? { tooLarge: true } : {})
+      });
+    }
+
+    res.json({ from, to, files });
+  } catch (error) {
+    console.error('Error diffing versions:', error);
+    res.status(500).json({ error: 'Failed to diff versions' });
+  }
+});
+
+// Restore an old version as the live site (protected route)
+app.post('/api/sites/:id/versions/:version/restore', allowApiToken('deploy'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const owned = await findAccessibleSite(req, res, 'editor');
+    if (!owned) return;
+    const { user, site } = owned;
+    if (site.unpublished) {
+      return res.status(403).json({ error: 'This site was taken down by an administrator' });
+    }
+
+    const versionNumber = parseInt(req.params.version, 10);
+    const versions = await readSiteVersions(site.id);
+    if (!versions.some(v => v.version === versionNumber)) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    // Replace the live files, then record the restore as a new version
+    const siteDir = path.join(USERS_DIR, user.subdomain, site.slug);
+    const versionDir = path.join(getSiteBackupDir(site.id), String(versionNumber));
+    const finish = await beginSiteDeploy(user, site);
+    let version;
+    try {
+      await fs.rm(siteDir, { recursive: true, force: true });
+      await fs.cp(versionDir, siteDir, { recursive: true });
+      // Versions saved before asset manifests existed have none
+      await buildAssetManifest(siteDir);
+
+      site.updatedAt = new Date().toISOString();
+      version = await createSiteVersion(user, site, 'restore', { restoredFrom: versionNumber });
+    } finally {
+      finish();
+    }
+
+    const updated = await saveSiteFields(site, ['currentVersion', 'updatedAt']);
+    await notifyWebhooks('site.updated', updated, { action: 'restore', restoredFrom: versionNumber });
+
+    res.json({
+      success: true,
+      message: `Version ${versionNumber} restored`,
+      version,
+      site: toSiteResponse(updated)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Restore error:', error);
+    res.status(500).json({ error: 'Failed to restore version' });
+  }
+});
+
+// Move a site between a personal account and a workspace (protected route).
+// Moving it out of a workspace makes it a personal site of the signed-in user.
+app.post('/api/sites/:id/transfer', allowApiToken('manage'), async (req, res) => {
+  const finishMove = [];
+  try {
+    const workspaceId = req.body.workspaceId || null;
+
+    if (req.user.siteId) {
+      return res.status(403).json({ error: 'Tokens bound to one site can\'t transfer it' });
+    }
+
+    const owned = await findAccessibleSite(req, res, 'admin');
+    if (!owned) return;
+    const { site } = owned;
+    let host = owned.user;
+
+    if (workspaceId) {
+      if (site.workspaceId === workspaceId) {
+        return res.status(400).json({ error: 'Site already belongs to this workspace' });
+      }
+
+      const member = await storage.getWorkspaceMember(workspaceId, req.user.userId);
+      if (!member) {
+        return res.status(404).json({ error: 'Workspace not found' });
+      }
+      if (!hasRole(member.role, 'editor')) {
+        return res.status(403).json({ error: 'This action needs the editor role' });
+      }
+
+      site.workspaceId = workspaceId;
+    } else {
+      if (!site.workspaceId) {
+        return res.status(400).json({ error: 'Site is already a personal site' });
+      }
+
+      // The files move under the new owner's subdomain, so the slug must be free there
+      if (site.userId !== req.user.userId) {
+        host = await storage.getUser(req.user.userId);
+        // Deploys and renames of the site or of either account wait until it has moved
+        finishMove.push(await beginSiteRename(owned.user, site));
+        finishMove.push(await beginSiteRename(host, site));
+        if (await storage.findSite(host.id, site.slug)) {
+          return res.status(409).json({ error: `You already have a site at ${host.subdomain}/${site.slug}` });
+        }
+        if (await isSiteLabelTaken(host.subdomain, site.slug, { siteId: site.id })) {
+          return res.status(409).json({ error: `${host.subdomain}-${site.slug} is already the address of another site` });
+        }
+
+        const targetDir = path.join(USERS_DIR, host.subdomain, site.slug);
+        await fs.mkdir(path.dirname(targetDir), { recursive: true });
+        // Sites that never went live have no files to move
+        try {
+          await fs.rename(path.join(USERS_DIR, owned.user.subdomain, site.slug), targetDir);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+
+        site.userId = host.id;
+        site.urls = generateSiteUrls(host.subdomain, site.slug);
+        for (const entry of await storage.listDomains({ siteId: site.id })) {
+          await storage.saveDomain({ ...entry, userId: host.id });
+        }
+      }
+
+      site.workspaceId = null;
+    }
+
+    site.updatedAt = new Date().toISOString();
+    const updated = await saveSiteFields(site, ['userId', 'workspaceId', 'urls', 'updatedAt']);
+    if (host.id !== owned.user.id) {
+      await recordMovedAddress({ userId: owned.user.id, siteId: site.id, subdomain: owned.user.subdomain, slug: site.slug });
+    }
+
+    res.json({
+      success: true,
+      message: workspaceId ? 'Site moved to workspace' : 'Site moved to your account',
+      site: withSiteLinks(req, host, updated)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Site transfer error:', error);
+    res.status(500).json({ error: 'Failed to transfer site' });
+  } finally {
+    for (const finish of finishMove) finish();
+  }
+});
+
+// Give a site a new slug. Its files move with it and its old addresses redirect to the new
+// ones for a while (protected route)
+app.post('/api/sites/:id/rename', allowApiToken('manage'), async (req, res) => {
+  try {
+    const slug = typeof req.body.slug === 'string' ? req.body.slug.trim() : '';
+    if (!validateSubdomain(slug)) {
+      return res.status(400).json({ error: 'Invalid site name. Use 3-63 characters, letters, numbers, and hyphens only.' });
+    }
+
+    const owned = await findAccessibleSite(req, res, 'admin');
+    if (!owned) return;
+    const { user, site } = owned;
+    const previousSlug = site.slug;
+
+    if (slug === previousSlug) {
+      return res.status(400).json({ error: 'The site already has this name' });
+    }
+    const sites = await storage.listSites(user.id);
+    if (sites.some(other => other.id !== site.id && other.slug.toLowerCase() === slug.toLowerCase())) {
+      return res.status(409).json({ error: `You already have a site at ${user.subdomain}/${slug}` });
+    }
+    if (await isSiteLabelTaken(user.subdomain, slug, { siteId: site.id })) {
+      return res.status(409).json({ error: `${user.subdomain}-${slug} is already the address of another site` });
+    }
+
+    // One rename moves every file at once; sites that never went live have none
+    const siteDir = path.join(USERS_DIR, user.subdomain, previousSlug);
+    const targetDir = path.join(USERS_DIR, user.subdomain, slug);
+    const finish = await beginSiteRename(user, site);
+    let updated;
+    try {
+      let movedFiles = true;
+      try {
+        await fs.rename(siteDir, targetDir);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        movedFiles = false;
+      }
+
+      try {
+        updated = await storage.updateSite(site.id, {
+          slug,
+          urls: generateSiteUrls(user.subdomain, slug),
+          updatedAt: new Date().toISOString()
+        });
+      } catch (error) {
+        if (movedFiles) await fs.rename(targetDir, siteDir);
+        throw error;
+      }
+    } finally {
+      finish();
+    }
+
+    // The new name wins over a redirect another site of the account left behind
+    for (const address of await storage.listMovedAddresses({ userId: user.id })) {
+      if (address.siteId && address.slug.toLowerCase() === slug.toLowerCase()) {
+        await storage.deleteMovedAddress(address.id);
       }
+    }
+    const address = await recordMovedAddress({ userId: user.id, siteId: site.id, subdomain: user.subdomain, slug: previousSlug });
+    await notifyWebhooks('site.updated', updated, { action: 'rename', previousSlug });
+
+    res.json({
+      success: true,
+      message: `Site renamed to ${slug}`,
+      redirectsUntil: address.expiresAt,
+      site: withSiteLinks(req, user, updated)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Site rename error:', error);
+    res.status(500).json({ error: 'Failed to rename site' });
+  }
+});
+
+// Create a workspace owned by the signed-in user (protected route)
+app.post('/api/workspaces', authenticateToken, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Workspace name must be 1-100 characters' });
+    }
+
+    const now = new Date().toISOString();
+    const workspace = await storage.createWorkspace({
+      id: crypto.randomUUID(),
+      name,
+      createdBy: req.user.userId,
+      createdAt: now
+    });
+    await storage.saveWorkspaceMember({
+      workspaceId: workspace.id,
+      userId: req.user.userId,
+      role: 'owner',
+      joinedAt: now
+    });
+
+    res.json({
+      success: true,
+      workspace: { ...workspace, role: 'owner' }
+    });
+  } catch (error) {
+    console.error('Workspace create error:', error);
+    res.status(500).json({ error: 'Failed to create workspace' });
+  }
+});
+
+// List the signed-in user's workspaces with their role in each (protected route)
+app.get('/api/workspaces', allowApiToken('read'), async (req, res) => {
+  try {
+    res.json(await storage.listWorkspaces(req.user.userId));
+  } catch (error) {
+    console.error('Error loading workspaces:', error);
+    res.status(500).json({ error: 'Failed to load workspaces' });
+  }
+});
+
+// Workspace details and members (protected route)
+app.get('/api/workspaces/:id', authenticateToken, async (req, res) => {
+  try {
+    const membership = await findWorkspaceMembership(req, res, 'viewer');
+    if (!membership) return;
+    const { workspace, member } = membership;
+
+    const members = [];
+    for (const entry of await storage.listWorkspaceMembers(workspace.id)) {
+      const account = await storage.getUser(entry.userId);
+      if (!account) continue;
+      members.push({
+        userId: entry.userId,
+        username: account.username,
+        displayName: account.displayName || '',
+        role: entry.role,
+        joinedAt: entry.joinedAt
+      });
+    }
+
+    res.json({
+      workspace,
+      role: member.role,
+      members
+    });
+  } catch (error) {
+    console.error('Error loading workspace:', error);
+    res.status(500).json({ error: 'Failed to load workspace' });
+  }
+});
+
+// Rename a workspace (protected route)
+app.put('/api/workspaces/:id', authenticateToken, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Workspace name must be 1-100 characters' });
+    }
+
+    const membership = await findWorkspaceMembership(req, res, 'admin');
+    if (!membership) return;
+
+    const workspace = await storage.updateWorkspace(membership.workspace.id, { name });
+
+    res.json({ success: true, workspace });
+  } catch (error) {
+    console.error('Workspace update error:', error);
+    res.status(500).json({ error: 'Failed to update workspace' });
+  }
+});
+
+// Delete an empty workspace (protected route)
+app.delete('/api/workspaces/:id', authenticateToken, async (req, res) => {
+  try {
+    const membership = await findWorkspaceMembership(req, res, 'owner');
+    if (!membership) return;
+    const { workspace } = membership;
+
+    if ((await storage.listWorkspaceSites(workspace.id)).length > 0) {
+      return res.status(400).json({ error: 'Move or delete the workspace\'s sites first' });
+    }
+
+    // Also removes its members and pending invitations
+    await storage.deleteWorkspace(workspace.id);
+
+    res.json({ success: true, message: 'Workspace deleted' });
+  } catch (error) {
+    console.error('Workspace delete error:', error);
+    res.status(500).json({ error: 'Failed to delete workspace' });
+  }
+});
+
+// List a workspace's sites (protected route)
+app.get('/api/workspaces/:id/sites', allowApiToken('read'), async (req, res) => {
+  try {
+    const membership = await findWorkspaceMembership(req, res, 'viewer');
+    if (!membership) return;
+
+    const sites = [];
+    for (const site of await storage.listWorkspaceSites(membership.workspace.id)) {
+      if (req.user.siteId && site.id !== req.user.siteId) continue;
+      const host = await storage.getUser(site.userId);
+      sites.push(withSiteLinks(req, host, site));
+    }
+
+    res.json(sites);
+  } catch (error) {
+    console.error('Error loading workspace sites:', error);
+    res.status(500).json({ error: 'Failed to load workspace sites' });
+  }
+});
+
+// Change a member's role (protected route)
+app.put('/api/workspaces/:id/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}` });
+    }
+
+    const membership = await findWorkspaceMembership(req, res, 'admin');
+    if (!membership) return;
+    const { workspace, member } = membership;
+
+    const target = await storage.getWorkspaceMember(workspace.id, req.params.userId);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // Admins manage everyone up to their own level; only owners touch owners
+    if (!hasRole(member.role, target.role) || !hasRole(member.role, role)) {
+      return res.status(403).json({ error: 'You can\'t grant or change a role above your own' });
+    }
+
+    if (target.role === 'owner' && role !== 'owner' && !(await hasOtherOwner(workspace.id, target.userId))) {
+      return res.status(400).json({ error: 'A workspace needs at least one owner' });
+    }
+
+    const updated = await storage.saveWorkspaceMember({ ...target, role });
+
+    res.json({ success: true, member: updated });
+  } catch (error) {
+    console.error('Member update error:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// Remove a member, or leave the workspace (protected route)
+app.delete('/api/workspaces/:id/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.userId;
+
+    const membership = await findWorkspaceMembership(req, res, leaving ? 'viewer' : 'admin');
+    if (!membership) return;
+    const { workspace, member } = membership;
+
+    const target = leaving ? member : await storage.getWorkspaceMember(workspace.id, req.params.userId);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (!hasRole(member.role, target.role)) {
+      return res.status(403).json({ error: 'You can\'t remove a member with a higher role' });
+    }
+
+    if (target.role === 'owner' && !(await hasOtherOwner(workspace.id, target.userId))) {
+      return res.status(400).json({ error: 'A workspace needs at least one owner' });
+    }
+
+    await storage.removeWorkspaceMember(workspace.id, target.userId);
+
+    res.json({ success: true, message: leaving ? 'You left the workspace' : 'Member removed' });
+  } catch (error) {
+    console.error('Member remove error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Invite someone to a workspace by email (protected route)
+app.post('/api/workspaces/:id/invitations', authenticateToken, async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const role = req.body.role || 'viewer';
+
+    if (!validateEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}` });
+    }
+
+    const membership = await findWorkspaceMembership(req, res, 'admin');
+    if (!membership) return;
+    const { workspace, member } = membership;
+
+    if (!hasRole(member.role, role)) {
+      return res.status(403).json({ error: 'You can\'t grant or change a role above your own' });
+    }
+
+    const existing = await storage.findUserByEmail(email);
+    if (existing && await storage.getWorkspaceMember(workspace.id, existing.id)) {
+      return res.status(409).json({ error: 'That person is already a member' });
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const invitation = await storage.createInvitation({
+      id: crypto.randomUUID(),
+      workspaceId: workspace.id,
+      email,
+      role,
+      invitedBy: req.user.userId,
+      tokenHash: hashToken(token),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + INVITATION_TTL).toISOString()
     });
-    
+
+    await mailer.send({
+      to: email,
+      subject: `You're invited to ${workspace.name} on Ntandostore`,
+      text: `${req.user.username} invited you to join the ${workspace.name} workspace as ${role}.\n\n` +
+        `Sign in or create an account with this email address, then open the link below to accept:\n\n` +
+        `${dashboardUrl(req, { invite: token })}\n\n` +
+        `The invitation expires in 7 days.\n`
+    });
+
+    res.json({ success: true, invitation: toPublicInvitation(invitation) });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+    console.error('Invitation error:', error);
+    res.status(500).json({ error: 'Failed to send invitation' });
   }
 });
 
-// User login
-app.post('/api/login', async (req, res) => {
+// List pending invitations (protected route)
+app.get('/api/workspaces/:id/invitations', authenticateToken, async (req, res) => {
   try {
-    const { username, password } = req.body;
-    
-    if (!username || !password) {
-      return res.status(400).json({ error: 'Username and password are required' });
+    const membership = await findWorkspaceMembership(req, res, 'admin');
+    if (!membership) return;
+
+    const invitations = await storage.listInvitations(membership.workspace.id);
+    res.json(invitations.map(toPublicInvitation));
+  } catch (error) {
+    console.error('Error loading invitations:', error);
+    res.status(500).json({ error: 'Failed to load invitations' });
+  }
+});
+
+// Cancel a pending invitation (protected route)
+app.delete('/api/workspaces/:id/invitations/:invitationId', authenticateToken, async (req, res) => {
+  try {
+    const membership = await findWorkspaceMembership(req, res, 'admin');
+    if (!membership) return;
+
+    const invitations = await storage.listInvitations(membership.workspace.id);
+    if (!invitations.some(invitation => invitation.id === req.params.invitationId)) {
+      return res.status(404).json({ error: 'Invitation not found' });
     }
-    
-    // Read users
-    let users = {};
+
+    await storage.deleteInvitation(req.params.invitationId);
+
+    res.json({ success: true, message: 'Invitation cancelled' });
+  } catch (error) {
+    console.error('Invitation cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel invitation' });
+  }
+});
+
+// Accept an emailed invitation with the signed-in account (protected route)
+app.post('/api/invitations/accept', authenticateToken, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Invitation token is required' });
+    }
+
+    const invitation = await storage.findInvitation(hashToken(String(token)));
+    if (!invitation || invitation.expiresAt <= new Date().toISOString()) {
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+
+    // Invitations are bound to the address they were sent to
+    const user = await storage.getUser(req.user.userId);
+    if (!user || user.email.toLowerCase() !== invitation.email) {
+      return res.status(403).json({ error: `This invitation was sent to ${invitation.email}` });
+    }
+
+    const workspace = await storage.getWorkspace(invitation.workspaceId);
+    if (await storage.getWorkspaceMember(workspace.id, user.id)) {
+      await storage.deleteInvitation(invitation.id);
+      return res.status(409).json({ error: 'You are already a member of this workspace' });
+    }
+
+    await storage.saveWorkspaceMember({
+      workspaceId: workspace.id,
+      userId: user.id,
+      role: invitation.role,
+      joinedAt: new Date().toISOString()
+    });
+    await storage.deleteInvitation(invitation.id);
+
+    res.json({
+      success: true,
+      message: `You joined ${workspace.name}`,
+      workspace: { ...workspace, role: invitation.role }
+    });
+  } catch (error) {
+    console.error('Invitation accept error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// Get the signed-in user's profile (protected route)
+app.get('/api/user/profile', authenticateToken, async (req, res) => {
+  try {
+    const user = await storage.getUser(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({ error: 'Failed to load profile' });
+  }
+});
+
+// Update profile details (protected route)
+app.put('/api/user/profile', authenticateToken, async (req, res) => {
+  try {
+    const { displayName, bio } = req.body;
+
+    if (displayName !== undefined && (typeof displayName !== 'string' || displayName.length > 60)) {
+      return res.status(400).json({ error: 'Display name must be at most 60 characters' });
+    }
+
+    if (bio !== undefined && (typeof bio !== 'string' || bio.length > 500)) {
+      return res.status(400).json({ error: 'Bio must be at most 500 characters' });
+    }
+
+    const user = await storage.getUser(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const changes = {};
+    if (displayName !== undefined) changes.displayName = displayName.trim();
+    if (bio !== undefined) changes.bio = bio.trim();
+
+    const updated = await storage.updateUser(user.id, changes);
+
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      user: toPublicUser(updated)
+    });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Change password and sign out every other session (protected route)
+app.put('/api/user/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    const user = await storage.getUser(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const validPassword = await bcrypt.compare(currentPassword, user.password);
+    if (!validPassword) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    // Bumping the token version invalidates every JWT issued so far; revoking the
+    // refresh tokens stops other sessions from renewing
+    const updated = await storage.updateUser(user.id, {
+      password: await bcrypt.hash(newPassword, 10),
+      tokenVersion: (user.tokenVersion || 0) + 1,
+      passwordChangedAt: new Date().toISOString()
+    });
+    await storage.revokeRefreshTokens({ userId: user.id }, new Date().toISOString());
+    const { tokens } = await issueSession(updated, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed. Other sessions have been signed out.',
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Change email address (protected route)
+app.put('/api/user/email', authenticateToken, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    if (!validateEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+
+    const user = await storage.getUser(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const validPassword = await bcrypt.compare(password, user.password);
+    if (!validPassword) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    const existing = await storage.findUserByEmail(email);
+    if (existing && existing.id !== user.id) {
+      return res.status(400).json({ error: 'Email already registered' });
+    }
+
+    // A new address has to be verified again
+    if (email === user.email) {
+      return res.json({ success: true, message: 'Email unchanged', user: toPublicUser(user) });
+    }
+
+    const updated = await storage.updateUser(user.id, {
+      email,
+      emailVerified: false,
+      emailVerifiedAt: null
+    });
+
     try {
-      const usersData = await fs.readFile(USERS_FILE, 'utf8');
-      users = JSON.parse(usersData);
+      await sendVerificationEmail(req, updated);
     } catch (error) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+      console.error('Verification email error:', error);
     }
-    
-    // Find user
-    const user = Object.values(users).find(u => u.username === username);
+
+    res.json({
+      success: true,
+      message: 'Email updated. Check your inbox to verify the new address.',
+      user: toPublicUser(updated)
+    });
+  } catch (error) {
+    console.error('Email change error:', error);
+    res.status(500).json({ error: 'Failed to change email' });
+  }
+});
+
+// Claim a chosen subdomain in place of the generated one. Every site hosted under the account
+// moves with it and the old addresses redirect for a while (protected route)
+app.put('/api/user/subdomain', authenticateToken, async (req, res) => {
+  try {
+    const subdomain = typeof req.body.subdomain === 'string' ? req.body.subdomain.trim() : '';
+    const lower = subdomain.toLowerCase();
+    if (!validateSubdomain(subdomain) || RESERVED_SUBDOMAINS.includes(lower)) {
+      return res.status(400).json({ error: 'Invalid subdomain. Use 3-63 characters, letters, numbers, and hyphens only.' });
+    }
+
+    const user = await storage.getUser(req.user.userId);
     if (!user) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+      return res.status(404).json({ error: 'User not found' });
     }
-    
-    // Verify password
+    if (subdomain === user.subdomain) {
+      return res.status(400).json({ error: 'This is already your subdomain' });
+    }
+
+    // Taken by another account, now or as an old address that still redirects
+    const users = await storage.listUsers();
+    const held = (await listActiveMovedAddresses()).filter(address => address.subdomain.toLowerCase() === lower);
+    if (users.some(other => other.id !== user.id && other.subdomain.toLowerCase() === lower) ||
+        held.some(address => address.userId !== user.id)) {
+      return res.status(409).json({ error: 'That subdomain is already taken' });
+    }
+
+    const sites = await storage.listSites(user.id);
+    for (const site of sites) {
+      if (await isSiteLabelTaken(subdomain, site.slug, { userId: user.id })) {
+        return res.status(409).json({ error: `${subdomain}-${site.slug} is already the address of another site` });
+      }
+    }
+
+    // One rename moves every site at once
+    const userDir = path.join(USERS_DIR, user.subdomain);
+    const targetDir = path.join(USERS_DIR, subdomain);
+    const finish = await beginSiteRename(user);
+    let updated;
+    const updatedSites = [];
+    try {
+      let movedFiles = true;
+      try {
+        await fs.rename(userDir, targetDir);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        movedFiles = false;
+        await fs.mkdir(targetDir, { recursive: true });
+      }
+
+      try {
+        updated = await storage.updateUser(user.id, { subdomain });
+      } catch (error) {
+        if (movedFiles) await fs.rename(targetDir, userDir);
+        throw error;
+      }
+
+      // Read again: an upload may have added a site since the checks above
+      for (const site of await storage.listSites(user.id)) {
+        updatedSites.push(await storage.updateSite(site.id, { urls: generateSiteUrls(subdomain, site.slug) }));
+      }
+    } finally {
+      finish();
+    }
+    for (const site of updatedSites) {
+      await notifyWebhooks('site.updated', site, { action: 'subdomain', previousSubdomain: user.subdomain });
+    }
+
+    // Taking back an address this account gave up ends its redirect
+    for (const address of held.filter(entry => !entry.siteId)) {
+      await storage.deleteMovedAddress(address.id);
+    }
+    const address = await recordMovedAddress({ userId: user.id, subdomain: user.subdomain });
+
+    res.json({
+      success: true,
+      message: `Your sites are now hosted under ${subdomain}`,
+      redirectsUntil: address.expiresAt,
+      user: toPublicUser(updated)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Subdomain change error:', error);
+    res.status(500).json({ error: 'Failed to change subdomain' });
+  }
+});
+
+// Delete the account with all of its sites (protected route)
+app.delete('/api/user', authenticateToken, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ error: 'Password is required to delete your account' });
+    }
+
+    const user = await storage.getUser(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
     const validPassword = await bcrypt.compare(password, user.password);
     if (!validPassword) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+      return res.status(400).json({ error: 'Password is incorrect' });
     }
-    
-    // Generate JWT token
-    const token = jwt.sign({ userId: user.id, username: user.username }, JWT_SECRET, { expiresIn: '7d' });
-    
-    res.json({ 
-      success: true, 
-      message: 'Login successful',
+
+    // Workspace sites hosted here and workspaces only this account owns would be orphaned
+    const sites = await storage.listSites(user.id);
+    if (sites.some(site => site.workspaceId)) {
+      return res.status(400).json({ error: 'Move the workspace sites hosted under your account to another member first' });
+    }
+    for (const workspace of await storage.listWorkspaces(user.id)) {
+      if (workspace.role === 'owner' && !(await hasOtherOwner(workspace.id, user.id))) {
+        return res.status(400).json({ error: `Add another owner to ${workspace.name} or delete it first` });
+      }
+    }
+
+    for (const site of sites) {
+      await fs.rm(getSiteBackupDir(site.id), { recursive: true, force: true });
+      await fs.rm(getQuarantineDir(site.id), { recursive: true, force: true });
+      await fs.rm(getDraftDir(site.id), { recursive: true, force: true });
+      await gitHost.remove(site.id);
+    }
+    for (const template of await storage.listTemplates({ userId: user.id })) {
+      await fs.rm(getUserTemplateDir(template.id), { recursive: true, force: true });
+    }
+    await fs.rm(path.join(USERS_DIR, user.subdomain), { recursive: true, force: true });
+
+    // Also removes the user's sites, templates, visit events and custom domains
+    await storage.deleteUser(user.id);
+
+    res.json({
+      success: true,
+      message: 'Account deleted'
+    });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// Update user settings such as backup retention (protected route)
+app.put('/api/user/settings', authenticateToken, async (req, res) => {
+  try {
+    const { versionRetention } = req.body;
+
+    let user = await storage.getUser(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Only the settings sent are written, so a password change or suspension made meanwhile stands
+    if (versionRetention !== undefined) {
+      const retention = parseInt(versionRetention, 10);
+      if (!Number.isInteger(retention) || retention < 1 || retention > MAX_VERSION_RETENTION) {
+        return res.status(400).json({ error: `Version retention must be between 1 and ${MAX_VERSION_RETENTION}` });
+      }
+      user = await storage.updateUser(user.id, { versionRetention: retention });
+    }
+
+    res.json({
+      success: true,
+      settings: {
+        versionRetention: getVersionRetention(user)
+      }
+    });
+  } catch (error) {
+    console.error('Settings error:', error);
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+// Create a personal access token for CI (protected route). The token itself is only
+// shown in this response.
+app.post('/api/user/tokens', authenticateToken, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    const scope = req.body.scope || 'deploy';
+    const siteId = req.body.siteId || null;
+    const expiresInDays = req.body.expiresInDays === undefined ? null : parseInt(req.body.expiresInDays, 10);
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Token name must be 1-100 characters' });
+    }
+
+    if (!API_TOKEN_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `Scope must be one of: ${API_TOKEN_SCOPES.join(', ')}` });
+    }
+
+    if (expiresInDays !== null && !(expiresInDays >= 1 && expiresInDays <= 365)) {
+      return res.status(400).json({ error: 'expiresInDays must be between 1 and 365' });
+    }
+
+    if (siteId) {
+      const site = await storage.getSite(siteId);
+      if (!site || !(await getSiteRole(req.user.userId, site))) {
+        return res.status(404).json({ error: 'Site not found' });
+      }
+    }
+
+    if ((await storage.listApiTokens(req.user.userId)).length >= MAX_API_TOKENS) {
+      return res.status(400).json({ error: `You can have at most ${MAX_API_TOKENS} API tokens` });
+    }
+
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const record = await storage.createApiToken({
+      id: crypto.randomUUID(),
+      userId: req.user.userId,
+      name,
+      scope,
+      siteId,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: expiresInDays ? new Date(now + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+      lastUsedAt: null
+    });
+
+    res.json({
+      success: true,
+      message: 'Copy this token now; it won\'t be shown again.',
       token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        subdomain: user.subdomain
+      apiToken: toPublicApiToken(record)
+    });
+  } catch (error) {
+    console.error('API token create error:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+// List the signed-in user's personal access tokens (protected route)
+app.get('/api/user/tokens', authenticateToken, async (req, res) => {
+  try {
+    const tokens = await storage.listApiTokens(req.user.userId);
+    res.json(tokens.map(toPublicApiToken));
+  } catch (error) {
+    console.error('Error loading API tokens:', error);
+    res.status(500).json({ error: 'Failed to load API tokens' });
+  }
+});
+
+// Revoke a personal access token (protected route)
+app.delete('/api/user/tokens/:id', authenticateToken, async (req, res) => {
+  try {
+    const tokens = await storage.listApiTokens(req.user.userId);
+    if (!tokens.some(record => record.id === req.params.id)) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    await storage.deleteApiToken(req.params.id);
+
+    res.json({ success: true, message: 'Token revoked' });
+  } catch (error) {
+    console.error('API token revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+// List and search accounts by username, email or subdomain (admin route)
+app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { limit, offset } = parsePaging(req.query);
+    const q = String(req.query.q || '').trim().toLowerCase();
+    const status = req.query.status;
+
+    const users = (await storage.listUsers()).filter(user => {
+      if (q && ![user.username, user.email, user.subdomain].some(value => value.toLowerCase().includes(q))) {
+        return false;
       }
+      if (status === 'suspended') return Boolean(user.suspended);
+      if (status === 'active') return !user.suspended;
+      if (status === 'admin') return user.role === 'admin';
+      return true;
     });
-    
+
+    const page = [];
+    for (const user of users.slice(offset, offset + limit)) {
+      page.push({ ...toAdminUser(user), sites: (await storage.listSites(user.id)).length });
+    }
+
+    res.json({ total: users.length, limit, offset, users: page });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    console.error('Admin user list error:', error);
+    res.status(500).json({ error: 'Failed to load users' });
   }
 });
 
-// Get available templates
-app.get('/api/templates', (req, res) => {
-  const templates = [
-    {
-      id: 'portfolio',
-      name: 'Portfolio Website',
-      description: 'Clean portfolio template for showcasing your work',
-      category: 'portfolio',
-      html: `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>My Portfolio</title>
-<script src="https://sites.super.myninja.ai/_assets/ninja-daytona-script.js"></script>
-</head>
-<body>
-    <header>
-        <nav>
-            <h1>John Doe</h1>
-            <ul>
-                <li><a href="#about">About</a></li>
-                <li><a href="#projects">Projects</a></li>
-                <li><a href="#contact">Contact</a></li>
-            </ul>
-        </nav>
-    </header>
-    <main>
-        <section id="hero">
-            <h2>Web Developer & Designer</h2>
-            <p>Creating beautiful and functional web experiences</p>
-        </section>
-        <section id="about">
-            <h2>About Me</h2>
-            <p>I'm a passionate developer with expertise in modern web technologies.</p>
-        </section>
-        <section id="projects">
-            <h2>Projects</h2>
-            <div class="project-grid">
-                <div class="project">
-                    <h3>Project 1</h3>
-                    <p>Amazing web application</p>
-                </div>
-                <div class="project">
-                    <h3>Project 2</h3>
-                    <p>Another awesome project</p>
-                </div>
-            </div>
-        </section>
-    </main>
-</body>
-</html>`,
-      css: `* { margin: 0; padding: 0; box-sizing: border-box; }
-body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-header { background: #2c3e50; color: white; padding: 1rem 0; position: fixed; width: 100%; top: 0; }
-nav { display: flex; justify-content: space-between; align-items: center; max-width: 1200px; margin: 0 auto; padding: 0 2rem; }
-nav ul { display: flex; list-style: none; gap: 2rem; }
-nav a { color: white; text-decoration: none; }
-main { margin-top: 80px; padding: 2rem; max-width: 1200px; margin-left: auto; margin-right: auto; }
-#hero { text-align: center; padding: 4rem 0; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; margin: -2rem -2rem 2rem -2rem; }
-.project-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 2rem; margin-top: 2rem; }
-.project { padding: 2rem; border: 1px solid #ddd; border-radius: 8px; }`
-    },
-    {
-      id: 'business',
-      name: 'Business Website',
-      description: 'Professional business template',
-      category: 'business',
-      html: `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>My Business</title>
-<script src="https://sites.super.myninja.ai/_assets/ninja-daytona-script.js"></script>
-</head>
-<body>
-    <header>
-        <nav>
-            <div class="logo">BusinessName</div>
-            <ul>
-                <li><a href="#home">Home</a></li>
-                <li><a href="#services">Services</a></li>
-                <li><a href="#about">About</a></li>
-                <li><a href="#contact">Contact</a></li>
-            </ul>
-        </nav>
-    </header>
-    <main>
-        <section id="home">
-            <h1>Welcome to Our Business</h1>
-            <p>We provide exceptional services to help you succeed</p>
-            <button>Get Started</button>
-        </section>
-        <section id="services">
-            <h2>Our Services</h2>
-            <div class="services-grid">
-                <div class="service">
-                    <h3>Service 1</h3>
-                    <p>Professional service description</p>
-                </div>
-                <div class="service">
-                    <h3>Service 2</h3>
-                    <p>Another great service we offer</p>
-                </div>
-            </div>
-        </section>
-    </main>
-</body>
-</html>`,
-      css: `* { margin: 0; padding: 0; box-sizing: border-box; }
-body { font-family: 'Segoe UI', sans-serif; line-height: 1.6; }
-header { background: white; box-shadow: 0 2px 5px rgba(0,0,0,0.1); position: fixed; width: 100%; top: 0; z-index: 1000; }
-nav { display: flex; justify-content: space-between; align-items: center; max-width: 1200px; margin: 0 auto; padding: 1rem 2rem; }
-.logo { font-size: 1.5rem; font-weight: bold; color: #2c3e50; }
-nav ul { display: flex; list-style: none; gap: 2rem; }
-nav a { color: #333; text-decoration: none; font-weight: 500; }
-main { margin-top: 80px; }
-#home { text-align: center; padding: 6rem 2rem; background: linear-gradient(135deg, #74b9ff, #0984e3); color: white; }
-#home h1 { font-size: 3rem; margin-bottom: 1rem; }
-#services { padding: 4rem 2rem; max-width: 1200px; margin: 0 auto; }
-.services-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 2rem; margin-top: 2rem; }
-.service { text-align: center; padding: 2rem; border-radius: 8px; box-shadow: 0 5px 15px rgba(0,0,0,0.1); }
-button { background: #0984e3; color: white; border: none; padding: 1rem 2rem; font-size: 1.1rem; border-radius: 5px; cursor: pointer; margin-top: 1rem; }`
+// One account with the sites it hosts (admin route)
+app.get('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = await storage.getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
-  ];
-  
-  res.json(templates);
+
+    res.json({
+      user: toAdminUser(user),
+      sites: (await storage.listSites(user.id)).map(site => withSiteLinks(req, user, site))
+    });
+  } catch (error) {
+    console.error('Admin user error:', error);
+    res.status(500).json({ error: 'Failed to load user' });
+  }
 });
 
-// Upload and create a new site (protected route)
-app.post('/api/upload', authenticateToken, async (req, res) => {
+// Change an account's role or plan (admin route)
+app.put('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { html, css, js, siteName, siteSlug, favicon, preferredDomain } = req.body;
-    
-    if (!html) {
-      return res.status(400).json({ error: 'HTML content is required' });
+    const { role, plan } = req.body;
+    const user = await storage.getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    // Get user info
-    let users = {};
-    try {
-      const usersData = await fs.readFile(USERS_FILE, 'utf8');
-      users = JSON.parse(usersData);
-    } catch (error) {
-      return res.status(500).json({ error: 'User data not found' });
+    const changes = {};
+    if (role !== undefined) {
+      if (!['user', 'admin'].includes(role)) {
+        return res.status(400).json({ error: 'Role must be user or admin' });
+      }
+      if (user.id === req.admin.id && role !== 'admin') {
+        return res.status(400).json({ error: 'You can\'t remove your own admin role' });
+      }
+      changes.role = role;
     }
+    if (plan !== undefined) {
+      if (!PLANS[plan]) {
+        return res.status(400).json({ error: `Unknown plan. Use one of: ${Object.keys(PLANS).join(', ')}` });
+      }
+      changes.plan = plan;
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const updated = await storage.updateUser(user.id, changes);
+    await recordAdminAction(req, 'user.update', 'user', user.id, {
+      before: { role: user.role || 'user', plan: getPlan(user).id },
+      after: changes
+    });
+
+    res.json({ success: true, message: 'User updated', user: toAdminUser(updated) });
+  } catch (error) {
+    console.error('Admin user update error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
 
-    const user = users[req.user.userId];
+// Suspend an account: ends its sessions, disables its API tokens and takes its sites offline (admin route)
+app.post('/api/admin/users/:id/suspend', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const reason = String(req.body.reason || '').trim().slice(0, 500);
+    const user = await storage.getUser(req.params.id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-
-    // Generate site slug if not provided
-    let slug = siteSlug;
-    if (!slug) {
-      slug = siteName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'site';
+    if (user.role === 'admin') {
+      return res.status(400).json({ error: 'Remove the admin role before suspending this account' });
+    }
+    if (user.suspended) {
+      return res.status(400).json({ error: 'Account is already suspended' });
     }
 
-    // Validate slug
-    if (!validateSubdomain(slug)) {
-      return res.status(400).json({ error: 'Invalid site name. Use 3-63 characters, letters, numbers, and hyphens only.' });
+    const updated = await storage.updateUser(user.id, {
+      suspended: { at: new Date().toISOString(), by: req.admin.id, reason },
+      tokenVersion: (user.tokenVersion || 0) + 1
+    });
+    await storage.revokeRefreshTokens({ userId: user.id }, new Date().toISOString());
+    await recordAdminAction(req, 'user.suspend', 'user', user.id, { reason });
+
+    res.json({ success: true, message: `${user.username} has been suspended`, user: toAdminUser(updated) });
+  } catch (error) {
+    console.error('Admin suspend error:', error);
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
+
+// Lift a suspension (admin route)
+app.post('/api/admin/users/:id/unsuspend', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = await storage.getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.suspended) {
+      return res.status(400).json({ error: 'Account is not suspended' });
     }
 
-    // Ensure unique slug within user's subdomain
-    let finalSlug = slug;
-    let counter = 1;
-    while (user.sites.some(site => site.slug === finalSlug)) {
-      finalSlug = `${slug}-${counter}`;
-      counter++;
+    const updated = await storage.updateUser(user.id, { suspended: null });
+    await recordAdminAction(req, 'user.unsuspend', 'user', user.id, { suspendedAt: user.suspended.at });
+
+    res.json({ success: true, message: `${user.username} has been reinstated`, user: toAdminUser(updated) });
+  } catch (error) {
+    console.error('Admin unsuspend error:', error);
+    res.status(500).json({ error: 'Failed to unsuspend user' });
+  }
+});
+
+// List and search sites across the platform (admin route)
+app.get('/api/admin/sites', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { limit, offset } = parsePaging(req.query);
+    const q = String(req.query.q || '').trim().toLowerCase();
+    const { status, userId } = req.query;
+
+    const hosts = new Map((await storage.listUsers()).map(user => [user.id, user]));
+    const sites = (await storage.listAllSites()).filter(site => {
+      const host = hosts.get(site.userId);
+      if (userId && site.userId !== userId) return false;
+      if (q && ![site.name, site.slug, host.subdomain].some(value => value.toLowerCase().includes(q))) {
+        return false;
+      }
+      if (status === 'published') return site.published !== false && !site.unpublished;
+      if (status === 'unpublished') return Boolean(site.unpublished);
+      if (status === 'quarantined') return Boolean(site.quarantine);
+      if (status === 'draft') return Boolean(site.draft);
+      return true;
+    });
+
+    res.json({
+      total: sites.length,
+      limit,
+      offset,
+      sites: sites.slice(offset, offset + limit).map(site => {
+        const host = hosts.get(site.userId);
+        return { ...withSiteLinks(req, host, site), host: { id: host.id, username: host.username, subdomain: host.subdomain } };
+      })
+    });
+  } catch (error) {
+    console.error('Admin site list error:', error);
+    res.status(500).json({ error: 'Failed to load sites' });
+  }
+});
+
+// Take a site offline; its URLs answer 451 until it is published again (admin route)
+app.post('/api/admin/sites/:id/unpublish', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const reason = String(req.body.reason || '').trim().slice(0, 500);
+    const site = await storage.getSite(req.params.id);
+    if (!site) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    if (site.unpublished) {
+      return res.status(400).json({ error: 'Site is already unpublished' });
     }
 
-    // Create site directory
-    const userSubdomain = user.subdomain;
-    const siteDir = path.join(USERS_DIR, userSubdomain, finalSlug);
-    await fs.mkdir(siteDir, { recursive: true });
+    const updated = await storage.updateSite(site.id, {
+      published: false,
+      unpublished: { at: new Date().toISOString(), by: req.admin.id, reason }
+    });
+    await recordAdminAction(req, 'site.unpublish', 'site', site.id, { reason, slug: site.slug, userId: site.userId });
 
-    // Create index.html with favicon if provided
-    let fullHtml = html;
-    
-    if (favicon) {
-      fullHtml = fullHtml.replace('<head>', `<head>\n    <link rel="icon" href="data:image/x-icon;base64,${favicon}">`);
+    res.json({ success: true, message: 'Site unpublished', site: toSiteResponse(updated) });
+  } catch (error) {
+    console.error('Admin unpublish error:', error);
+    res.status(500).json({ error: 'Failed to unpublish site' });
+  }
+});
+
+// Put a site back online, publishing any deploy held for review (admin route)
+app.post('/api/admin/sites/:id/publish', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const site = await storage.getSite(req.params.id);
+    if (!site) {
+      return res.status(404).json({ error: 'Site not found' });
     }
-    
-    if (css) {
-      fullHtml = fullHtml.replace('</head>', `<style>${css}</style></head>`);
+    if (!site.unpublished && !site.quarantine) {
+      return res.status(400).json({ error: 'Site has no takedown or held deploy to clear' });
     }
-    
-    if (js) {
-      fullHtml = fullHtml.replace('</body>', `<script>${js}</script></body>`);
+
+    const details = { slug: site.slug, userId: site.userId };
+    const fields = ['unpublished', 'published', 'updatedAt'];
+    if (site.unpublished) {
+      details.unpublishedAt = site.unpublished.at;
+      site.unpublished = null;
+    }
+    if (site.quarantine) {
+      details.released = site.quarantine.findings;
+      const host = await storage.getUser(site.userId);
+      const finish = await beginSiteDeploy(host, site);
+      try {
+        await releaseQuarantine(host, site);
+      } finally {
+        finish();
+      }
+      fields.push('source', 'quarantine', 'currentVersion');
     }
+    site.published = true;
+    site.updatedAt = new Date().toISOString();
 
-    await fs.writeFile(path.join(siteDir, 'index.html'), fullHtml);
+    const updated = await saveSiteFields(site, fields);
+    await recordAdminAction(req, 'site.publish', 'site', site.id, details);
+    await notifyWebhooks('site.published', updated, { action: 'admin-publish' });
 
-    // Generate URLs for all domains
-    const urls = generateSiteUrls(userSubdomain, finalSlug);
-    const selectedDomain = preferredDomain || PRIMARY_DOMAIN;
+    res.json({ success: true, message: 'Site published', site: toSiteResponse(updated) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Admin publish error:', error);
+    res.status(500).json({ error: 'Failed to publish site' });
+  }
+});
 
-    // Add site to user's sites
-    const site = {
-      id: crypto.randomUUID(),
-      name: siteName || 'Untitled Site',
-      slug: finalSlug,
-      domain: selectedDomain,
-      urls: urls,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      visits: 0,
-      published: true
-    };
+// Admin actions, newest first; page with ?before=<id> (admin route)
+app.get('/api/admin/audit', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { limit } = parsePaging(req.query);
+    const events = await storage.listAuditEvents({
+      actorId: req.query.actorId || null,
+      targetId: req.query.targetId || null,
+      action: req.query.action || null,
+      before: parseInt(req.query.before, 10) || null,
+      limit
+    });
 
-    user.sites.push(site);
-    await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
+    res.json({
+      events,
+      nextBefore: events.length === limit ? events[events.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({ error: 'Failed to load audit log' });
+  }
+});
 
-    // Determine URLs based on environment
-    const isProduction = process.env.NODE_ENV === 'production';
-    let url, primaryUrl, fullUrl;
-    
-    if (isProduction) {
-      // For Render.com, use the /site/ path format
-      url = `/site/${userSubdomain}/${finalSlug}/`;
-      primaryUrl = url;
-      fullUrl = `${req.protocol}://${req.get('host')}/site/${userSubdomain}/${finalSlug}/`;
-    } else {
-      // For local development, use the actual domain format
-      url = urls[selectedDomain];
-      primaryUrl = urls[PRIMARY_DOMAIN];
-      fullUrl = url;
+// Disk usage per account, largest first (admin route)
+app.get('/api/admin/usage', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { limit, offset } = parsePaging(req.query);
+
+    const usage = [];
+    for (const user of await storage.listUsers()) {
+      const sites = await storage.listSites(user.id);
+      let draftBytes = 0;
+      let backupBytes = 0;
+      let quarantineBytes = 0;
+      for (const site of sites) {
+        draftBytes += await directorySize(getDraftDir(site.id));
+        backupBytes += await directorySize(getSiteBackupDir(site.id));
+        quarantineBytes += await directorySize(getQuarantineDir(site.id));
+      }
+      const liveBytes = await directorySize(path.join(USERS_DIR, user.subdomain));
+
+      usage.push({
+        user: { id: user.id, username: user.username, subdomain: user.subdomain },
+        plan: getPlan(user).id,
+        sites: sites.length,
+        liveBytes,
+        draftBytes,
+        backupBytes,
+        quarantineBytes,
+        totalBytes: liveBytes + draftBytes + backupBytes + quarantineBytes
+      });
     }
+    usage.sort((a, b) => b.totalBytes - a.totalBytes);
 
-    res.json({ 
-      success: true, 
-      slug: finalSlug,
-      url: url,
-      urls: urls,
-      domain: selectedDomain,
-      primaryUrl: primaryUrl,
-      fullUrl: fullUrl,
-      message: 'Site published successfully!',
-      site
+    res.json({
+      total: usage.length,
+      totalBytes: usage.reduce((sum, entry) => sum + entry.totalBytes, 0),
+      limit,
+      offset,
+      users: usage.slice(offset, offset + limit)
     });
+  } catch (error) {
+    console.error('Admin usage error:', error);
+    res.status(500).json({ error: 'Failed to load storage usage' });
+  }
+});
+
+// Preview a site's draft through its secret link
+app.get('/preview/:siteId/:key/*', async (req, res, next) => {
+  try {
+    const site = await storage.getSite(req.params.siteId);
+    const expected = site && site.draft && !site.unpublished ? Buffer.from(getPreviewKey(site)) : null;
+    const given = Buffer.from(req.params.key);
+    if (!expected || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return res.status(404).send(renderErrorPage(404, 'Preview not found', 'This preview link is invalid or has expired.'));
+    }
 
+    // Drafts are not public: keep them out of search engines and shared caches
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+    res.set('Cache-Control', 'private, no-store');
+    await serveSiteRequest(req, res, getDraftDir(site.id), req.params[0], routeBasePath(req));
   } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: 'Failed to upload site' });
+    next();
   }
 });
 
-// Get user's sites (protected route)
-app.get('/api/user/sites', authenticateToken, async (req, res) => {
+// Relative links in the draft need the trailing slash
+app.get('/preview/:siteId/:key', (req, res) => {
+  res.redirect(`/preview/${encodeURIComponent(req.params.siteId)}/${encodeURIComponent(req.params.key)}/`);
+});
+
+// Password form of a protected site: sets the access cookie and goes back to the page
+app.post('/site-access/:siteId', async (req, res) => {
   try {
-    // Get user info
-    let users = {};
-    try {
-      const usersData = await fs.readFile(USERS_FILE, 'utf8');
-      users = JSON.parse(usersData);
-    } catch (error) {
-      return res.json([]);
+    const site = await storage.getSite(req.params.siteId);
+    if (!site || !site.access || site.access.mode !== 'password') {
+      return res.status(404).send(renderErrorPage(404, 'Site not found', 'This site does not exist or is not password protected.'));
     }
 
-    const user = users[req.user.userId];
-    if (!user) {
-      return res.json([]);
+    const returnTo = safeReturnPath(req.body.returnTo);
+    const limitKey = `${site.id}:${req.ip}`;
+    if (siteAccessLimiter.count(limitKey) >= SITE_ACCESS_MAX_FAILURES) {
+      res.set('Retry-After', String(siteAccessLimiter.retryAfter(limitKey)));
+      return res.status(429).send(renderSitePasswordPage(site, returnTo, 'Too many attempts. Try again later.'));
     }
 
-    const sites = user.sites.map(site => {
-      // Check if we're in production (Render.com)
-      const isProduction = process.env.NODE_ENV === 'production';
-      let url, primaryUrl, fullUrl;
-      
-      if (isProduction) {
-        // For Render.com, use the /site/ path format
-        url = `/site/${user.subdomain}/${site.slug}/`;
-        primaryUrl = url;
-        fullUrl = `${req.protocol}://${req.get('host')}/site/${user.subdomain}/${site.slug}/`;
-      } else {
-        // For local development, use the actual domain format
-        url = site.urls[site.domain] || site.urls[PRIMARY_DOMAIN];
-        primaryUrl = site.urls[PRIMARY_DOMAIN];
-        fullUrl = url;
-      }
-      
-      return {
-        ...site,
-        url: url,
-        primaryUrl: primaryUrl,
-        fullUrl: fullUrl
-      };
-    });
+    if (!(await bcrypt.compare(String(req.body.password || ''), site.access.passwordHash))) {
+      siteAccessLimiter.hit(limitKey);
+      return res.status(401).send(renderSitePasswordPage(site, returnTo, 'Incorrect password'));
+    }
+    siteAccessLimiter.reset(limitKey);
 
-    res.json(sites);
+    const expires = Date.now() + SITE_ACCESS_TTL;
+    res.cookie(getSiteAccessCookieName(site), `${expires}.${signSiteAccess(site, expires)}`, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: SITE_ACCESS_TTL,
+      path: '/'
+    });
+    res.redirect(303, returnTo);
   } catch (error) {
-    console.error('Error loading sites:', error);
-    res.json([]);
+    console.error('Site access error:', error);
+    res.status(500).send(renderErrorPage(500, 'Server error', 'Something went wrong while checking the password.'));
   }
 });
 
-// Serve user sites via subdomain routing (for local development)
-app.get('/:subdomain/:site/', async (req, res, next) => {
+// Preview an old version of a site through its signed link
+app.get('/versions/:subdomain/:site/:version/:key/*', async (req, res, next) => {
   try {
-    const { subdomain, site } = req.params;
-    
-    // Check if this is a user subdomain
-    const userDir = path.join(USERS_DIR, subdomain, site);
-    const filePath = path.join(userDir, 'index.html');
+    const { subdomain, site, version, key } = req.params;
 
-    try {
-      // Update visit count
-      let users = {};
-      try {
-        const usersData = await fs.readFile(USERS_FILE, 'utf8');
-        users = JSON.parse(usersData);
-        
-        // Find user by subdomain
-        const user = Object.values(users).find(u => u.subdomain === subdomain);
-        if (user) {
-          const siteData = user.sites.find(s => s.slug === site);
-          if (siteData) {
-            siteData.visits = (siteData.visits || 0) + 1;
-            await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
-          }
-        }
-      } catch (error) {
-        console.error('Error updating visit count:', error);
-      }
+    const match = await findSiteByPath(subdomain, site);
+    if (!match) {
+      const base = req.path.split('/').slice(0, 4).join('/');
+      return (await redirectMovedSite(req, res, subdomain, site, base)) || next();
+    }
 
-      // Serve the file
-      res.sendFile(filePath);
-    } catch (error) {
-      next();
+    const unavailable = siteUnavailablePage(match.user, match.site);
+    if (unavailable) {
+      return sendUnavailableSite(res, unavailable);
+    }
+    if (!(await checkSiteAccess(req, res, match.site))) {
+      return;
+    }
+
+    const siteData = match.site;
+    const expected = Buffer.from(getVersionKey(siteData, version));
+    const given = Buffer.from(key);
+    const versions = await readSiteVersions(siteData.id);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given) ||
+        !versions.some(v => String(v.version) === version)) {
+      return res.status(404).send(renderErrorPage(404, 'Version not found', 'This version link is invalid or the version was removed.'));
     }
+
+    // Old versions are not public: keep them out of search engines and shared caches
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+    res.set('Cache-Control', 'private, no-store');
+    await serveSiteRequest(req, res, path.join(getSiteBackupDir(siteData.id), version), req.params[0], routeBasePath(req));
   } catch (error) {
     next();
   }
 });
 
-// Render.com compatible site serving
-app.get('/site/:subdomain/:site/', async (req, res, next) => {
+// URL prefix a site is served under for a `.../*` route, e.g. /site/alice/blog
+function routeBasePath(req) {
+  return req.path.split('/').slice(0, req.route.path.split('/').length - 1).join('/');
+}
+
+// Serve any file of a user site, counting visits on page loads only
+async function serveUserSite(req, res, next) {
   try {
     const { subdomain, site } = req.params;
+    const relPath = req.params[0] || '';
     
     // Check if this is a user subdomain
     const userDir = path.join(USERS_DIR, subdomain, site);
-    const filePath = path.join(userDir, 'index.html');
-
-    try {
-      // Update visit count
-      let users = {};
-      try {
-        const usersData = await fs.readFile(USERS_FILE, 'utf8');
-        users = JSON.parse(usersData);
-        
-        // Find user by subdomain
-        const user = Object.values(users).find(u => u.subdomain === subdomain);
-        if (user) {
-          const siteData = user.sites.find(s => s.slug === site);
-          if (siteData) {
-            siteData.visits = (siteData.visits || 0) + 1;
-            await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
-          }
-        }
-      } catch (error) {
-        console.error('Error updating visit count:', error);
-      }
 
-      // Serve the file
-      res.sendFile(filePath);
-    } catch (error) {
-      next();
+    // Only directories that belong to a site are served
+    const match = res.locals.hostedSite;
+    if (!match) {
+      return next();
     }
+    if (isPageRequest(relPath)) {
+      recordSiteVisit(req, match.site, relPath);
+    }
+
+    await serveSiteRequest(req, res, userDir, relPath, routeBasePath(req));
   } catch (error) {
     next();
   }
+}
+
+// Serve user sites via subdomain routing (for local development)
+app.get('/:subdomain/:site/*', refuseUnavailableSite, serveUserSite);
+
+// Render.com compatible site serving
+app.get('/site/:subdomain/:site/*', refuseUnavailableSite, serveUserSite);
+
+// Direct file URLs go through the same checks as every other way of reaching a site
+app.get('/users/:subdomain/:site/*', refuseUnavailableSite, serveUserSite);
+
+app.get('/users/:subdomain/:site', (req, res) => {
+  res.redirect(`/users/${encodeURIComponent(req.params.subdomain)}/${encodeURIComponent(req.params.site)}/`);
 });
 
 // Serve user subdomain root (redirect to first site or dashboard)
@@ -685,23 +6318,18 @@ app.get('/:subdomain/', async (req, res, next) => {
   try {
     const { subdomain } = req.params;
     
-    // Find user by subdomain
-    let users = {};
-    try {
-      const usersData = await fs.readFile(USERS_FILE, 'utf8');
-      users = JSON.parse(usersData);
-    } catch (error) {
-      return next();
-    }
-
-    const user = Object.values(users).find(u => u.subdomain === subdomain);
+    // Find user by subdomain, following accounts that moved to a new one
+    const user = await storage.findUserBySubdomain(subdomain);
     if (!user) {
-      return next();
+      const moved = (await listActiveMovedAddresses({ subdomain })).find(address => !address.siteId);
+      const current = moved && await storage.getUser(moved.userId);
+      return current ? res.redirect(301, `/${encodeURIComponent(current.subdomain)}/`) : next();
     }
 
     // Redirect to first site if exists, otherwise to dashboard
-    if (user.sites.length > 0) {
-      const firstSite = user.sites[0];
+    const sites = await storage.listSites(user.id);
+    if (sites.length > 0) {
+      const firstSite = sites[0];
       const primaryUrl = firstSite.urls[firstSite.domain] || firstSite.urls[PRIMARY_DOMAIN];
       // For local development, use relative path
       if (process.env.NODE_ENV !== 'production') {
@@ -742,22 +6370,76 @@ app.use('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Ntandostore Enhanced Multi-Domain Hosting running on port ${PORT}`);
-  console.log(`📁 Uploads directory: ${UPLOADS_DIR}`);
-  console.log(`👥 Users directory: ${USERS_DIR}`);
-  console.log(`🌐 Dashboard: http://localhost:${PORT}/dashboard`);
-  console.log(`🌐 Supported domains: ${SUPPORTED_DOMAINS.join(', ')}`);
-  console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`✨ Features: Multi-domain support, subdomains, user system, site editing, templates, backups`);
-  
-  if (process.env.NODE_ENV === 'production') {
-    console.log(`📂 Production directories:`);
-    console.log(`   - Uploads: ${UPLOADS_DIR}`);
-    console.log(`   - Users: ${USERS_DIR}`);
-    console.log(`   - Domains: ${DOMAINS_FILE}`);
-    console.log(`   - User DB: ${USERS_FILE}`);
-    console.log(`🌐 Ready for production traffic on all supported domains`);
-  }
-});
\ No newline at end of file
+// Oversized request bodies get a JSON 413 instead of Express's HTML error page
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body is too large (limit ${formatBytes(error.limit)})` });
+  }
+  next(error);
+});
+
+// Re-verify custom domains in the background
+setInterval(recheckCustomDomains, DOMAIN_RECHECK_INTERVAL).unref();
+
+// Write queued visit events in the background
+setInterval(flushVisitEvents, VISIT_FLUSH_INTERVAL).unref();
+
+// Publish scheduled sites in the background
+setInterval(publishScheduledSites, PUBLISH_CHECK_INTERVAL).unref();
+
+// Clear out expired refresh and account tokens, and old site addresses, once a day
+setInterval(pruneExpiredTokens, TOKEN_PRUNE_INTERVAL).unref();
+setInterval(pruneExpiredAddresses, TOKEN_PRUNE_INTERVAL).unref();
+
+// Retry failed webhook deliveries in the background, and drop old delivery logs once a day
+setInterval(sendDueWebhookDeliveries, WEBHOOK_CHECK_INTERVAL).unref();
+setInterval(pruneWebhookData, WEBHOOK_PRUNE_INTERVAL).unref();
+
+// Flush pending visits and close storage on shutdown
+async function shutdown() {
+  await flushVisitEvents();
+  await storage.close();
+  process.exit(0);
+}
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
+
+// Start server once storage is ready
+async function start() {
+  await loadPlans();
+  await loadTemplates();
+  await ensureDirectories();
+  await siteBuilder.clean();
+  await storage.init();
+  await promoteConfiguredAdmins();
+  
+  app.listen(PORT, () => {
+    console.log(`🚀 Ntandostore Enhanced Multi-Domain Hosting running on port ${PORT}`);
+    console.log(`📁 Uploads directory: ${UPLOADS_DIR}`);
+    console.log(`👥 Users directory: ${USERS_DIR}`);
+    console.log(`🌐 Dashboard: http://localhost:${PORT}/dashboard`);
+    console.log(`🌐 Supported domains: ${SUPPORTED_DOMAINS.join(', ')}`);
+    console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`💾 Storage: ${process.env.STORAGE_DRIVER || 'sqlite'}`);
+    console.log(`📧 Mail: ${process.env.MAIL_TRANSPORT || 'console'}${REQUIRE_EMAIL_VERIFICATION ? ' (verified email required to publish)' : ''}`);
+    if (NPM_BUILDS && !process.env.BUILD_SANDBOX) {
+      console.warn('⚠️  NPM_BUILDS is on but BUILD_SANDBOX is not set, so npm builds will be refused');
+    }
+    console.log(`✨ Features: Multi-domain support, subdomains, user system, site editing, templates, backups`);
+    
+    if (process.env.NODE_ENV === 'production') {
+      console.log(`📂 Production directories:`);
+      console.log(`   - Uploads: ${UPLOADS_DIR}`);
+      console.log(`   - Users: ${USERS_DIR}`);
+      console.log(`   - Backups: ${BACKUPS_DIR}`);
+      console.log(`   - Database: ${process.env.STORAGE_DRIVER === 'json' ? USERS_FILE : DATABASE_FILE}`);
+      console.log(`🌐 Ready for production traffic on all supported domains`);
+    }
+  });
+}
+
+start().catch(error => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
+});
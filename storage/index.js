@@ -0,0 +1,66 @@
+const { createSqliteStorage } = require('./sqlite');
+const { createJsonStorage } = require('./json');
+
+// Storage interface shared by every backend (all methods are async):
+//
+//   init() / close()
+//   Users:   getUser(id), findUserByUsername(username), findUserByEmail(email),
+//            findUserBySubdomain(subdomain), listUsers(), createUser(user),
+//            updateUser(id, changes), deleteUser(id)
+//   Sites:   getSite(id), findSite(userId, slug), listSites(userId), listAllSites(),
+//            listWorkspaceSites(workspaceId), findSitesByHostLabel(label), createSite(site),
+//            updateSite(id, changes), deleteSite(id) (updateSite merges `changes` into the
+//            stored site; visit counts only ever change through addVisitEvents;
+//            findSitesByHostLabel resolves to { user, site } pairs whose
+//            `<subdomain>-<slug>` is `label`, ignoring case, oldest site first)
+//   Visits:  addVisitEvents(events), listVisitEvents(siteId, { from, to })
+//            (adding events also bumps each site's counter for non-bot visits)
+//   Workspaces: getWorkspace(id), listWorkspaces(userId) (with the user's `role`),
+//            createWorkspace(workspace), updateWorkspace(id, changes), deleteWorkspace(id),
+//            listWorkspaceMembers(workspaceId), getWorkspaceMember(workspaceId, userId),
+//            saveWorkspaceMember(member), removeWorkspaceMember(workspaceId, userId),
+//            createInvitation(invitation), findInvitation(tokenHash), listInvitations(workspaceId),
+//            deleteInvitation(id), pruneInvitations(before)
+//   Domains: getDomain(domain), listDomains({ siteId, userId }), saveDomain(entry),
+//            deleteDomain(domain)
+//   Refresh: createRefreshToken(record), findRefreshToken(tokenHash),
+//            updateRefreshToken(id, changes), revokeRefreshTokens({ userId, familyId }, revokedAt),
+//            pruneRefreshTokens(before)
+//   API:     createApiToken(record), findApiToken(tokenHash), listApiTokens(userId),
+//            updateApiToken(id, changes), deleteApiToken(id)
+//   Account: createAccountToken(record), consumeAccountToken(tokenHash, purpose),
+//            deleteAccountTokens({ userId, purpose }), pruneAccountTokens(before)
+//            (single-use tokens for emailed links; consuming one deletes it)
+//   Templates: getTemplate(id), listTemplates({ userId, visibility }), createTemplate(template),
+//            updateTemplate(id, changes), deleteTemplate(id)
+//   Webhooks: getWebhook(id), listWebhooks({ userId, siteId }), createWebhook(webhook),
+//            updateWebhook(id, changes), deleteWebhook(id), createWebhookDelivery(delivery),
+//            getWebhookDelivery(id), updateWebhookDelivery(id, changes),
+//            listWebhookDeliveries(webhookId, { before, limit }) (newest first),
+//            listDueWebhookDeliveries(before), pruneWebhookDeliveries(before)
+//            (deliveries go with their webhook; pending ones are never pruned)
+//   Moved:   createMovedAddress(address), listMovedAddresses({ userId, siteId, subdomain }),
+//            deleteMovedAddress(id), pruneMovedAddresses(before)
+//            (old addresses of renamed sites and accounts, deleted with their site or account)
+//   Audit:   addAuditEvent(event), listAuditEvents({ actorId, targetId, action, before, limit })
+//            (append-only and newest first; entries are numbered and outlive their targets)
+//
+// Users are returned without their sites; sites carry the `userId` whose subdomain hosts
+// them and, when a workspace owns them, its `workspaceId`.
+// Only token hashes are stored, and a user's tokens, templates and webhooks are deleted with
+// the account.
+// Returned records are copies, so changes only stick through the update methods.
+function createStorage(options) {
+  const driver = options.driver || 'sqlite';
+
+  switch (driver) {
+    case 'sqlite':
+      return createSqliteStorage(options);
+    case 'json':
+      return createJsonStorage(options);
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { createStorage };
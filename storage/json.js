@@ -0,0 +1,714 @@
+const fs = require('fs').promises;
+
+// Visit counters are flushed in batches rather than rewriting the file per hit
+const VISIT_FLUSH_DELAY = 2000;
+
+// Visit and audit events are appended one JSON object per line
+async function readJsonLines(file) {
+  try {
+    const data = await fs.readFile(file, 'utf8');
+    return data.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+const clone = value => (value ? JSON.parse(JSON.stringify(value)) : null);
+
+// Legacy backend: the original users.json (sites nested under each user), domains.json,
+// workspaces.json (members and invitations nested under each workspace), refresh, API and
+// account tokens, user templates, webhooks, webhook deliveries and moved addresses keyed by id,
+// and append-only
+// visit and audit logs.
+// Audit events are numbered by their line in the log, which never gets rewritten.
+// State is held in memory and every write is serialised, so concurrent requests cannot
+// interleave read-modify-write cycles on the files.
+function createJsonStorage({
+  usersFile, domainsFile, workspacesFile, refreshTokensFile, apiTokensFile, accountTokensFile, templatesFile,
+  webhooksFile, webhookDeliveriesFile, movedAddressesFile, visitsFile, auditFile
+}) {
+  let users = {};
+  let domains = {};
+  let workspaces = {};
+  let refreshTokens = {};
+  let apiTokens = {};
+  let accountTokens = {};
+  let templates = {};
+  let webhooks = {};
+  let webhookDeliveries = {};
+  let movedAddresses = {};
+  let writeQueue = Promise.resolve();
+  let visitTimer = null;
+  let auditCount = 0;
+
+  async function load(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      await fs.writeFile(file, JSON.stringify({}));
+      return {};
+    }
+  }
+
+  // Write through a temp file and rename so readers never see a half-written file
+  function persist(file, getData) {
+    writeQueue = writeQueue.then(async () => {
+      const tmpFile = `${file}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(getData(), null, 2));
+      await fs.rename(tmpFile, file);
+    }).catch(error => {
+      console.error(`Error writing ${file}:`, error);
+    });
+    return writeQueue;
+  }
+
+  const saveUsers = () => persist(usersFile, () => users);
+  const saveDomains = () => persist(domainsFile, () => domains);
+  const saveWorkspaces = () => persist(workspacesFile, () => workspaces);
+  const saveRefreshTokens = () => persist(refreshTokensFile, () => refreshTokens);
+  const saveApiTokens = () => persist(apiTokensFile, () => apiTokens);
+  const saveAccountTokens = () => persist(accountTokensFile, () => accountTokens);
+  const saveTemplates = () => persist(templatesFile, () => templates);
+  const saveWebhooks = () => persist(webhooksFile, () => webhooks);
+  const saveWebhookDeliveries = () => persist(webhookDeliveriesFile, () => webhookDeliveries);
+  const saveMovedAddresses = () => persist(movedAddressesFile, () => movedAddresses);
+
+  // Rewrite the visits log without the matching events
+  function dropVisitEvents(predicate) {
+    writeQueue = writeQueue.then(async () => {
+      const events = await readJsonLines(visitsFile);
+      const kept = events.filter(event => !predicate(event));
+      if (kept.length === events.length) return;
+      await fs.writeFile(visitsFile, kept.map(event => JSON.stringify(event) + '\n').join(''));
+    }).catch(error => {
+      console.error(`Error writing ${visitsFile}:`, error);
+    });
+    return writeQueue;
+  }
+
+  function publicUser(user) {
+    if (!user) return null;
+    const { sites, ...record } = user;
+    return clone(record);
+  }
+
+  function publicWorkspace(workspace) {
+    if (!workspace) return null;
+    const { members, invitations, ...record } = workspace;
+    return clone(record);
+  }
+
+  function publicSite(user, site) {
+    return { ...clone(site), userId: user.id };
+  }
+
+  function locateSite(id) {
+    for (const user of Object.values(users)) {
+      const index = user.sites.findIndex(site => site.id === id);
+      if (index !== -1) {
+        return { user, index };
+      }
+    }
+    return null;
+  }
+
+  return {
+    async init() {
+      users = await load(usersFile);
+      domains = await load(domainsFile);
+      workspaces = await load(workspacesFile);
+      refreshTokens = await load(refreshTokensFile);
+      apiTokens = await load(apiTokensFile);
+      accountTokens = await load(accountTokensFile);
+      templates = await load(templatesFile);
+      webhooks = await load(webhooksFile);
+      webhookDeliveries = await load(webhookDeliveriesFile);
+      movedAddresses = await load(movedAddressesFile);
+      auditCount = (await readJsonLines(auditFile)).length;
+      Object.values(users).forEach(user => {
+        user.sites = user.sites || [];
+      });
+    },
+
+    async close() {
+      clearTimeout(visitTimer);
+      await saveUsers();
+    },
+
+    // Users
+    async getUser(id) {
+      return publicUser(users[id]);
+    },
+
+    async findUserByUsername(username) {
+      return publicUser(Object.values(users).find(user => user.username === username));
+    },
+
+    async findUserByEmail(email) {
+      return publicUser(Object.values(users).find(user => user.email === email));
+    },
+
+    async findUserBySubdomain(subdomain) {
+      return publicUser(Object.values(users).find(user => user.subdomain === subdomain));
+    },
+
+    async listUsers() {
+      return Object.values(users).map(publicUser);
+    },
+
+    async createUser(user) {
+      users[user.id] = { ...clone(user), sites: [] };
+      await saveUsers();
+      return publicUser(users[user.id]);
+    },
+
+    async updateUser(id, changes) {
+      const current = users[id];
+      if (!current) return null;
+      const { sites, ...rest } = clone(changes);
+      users[id] = { ...current, ...rest, id, sites: current.sites };
+      await saveUsers();
+      return publicUser(users[id]);
+    },
+
+    async deleteUser(id) {
+      const user = users[id];
+      if (!user) return;
+      for (const [domain, entry] of Object.entries(domains)) {
+        if (entry.userId === id) delete domains[domain];
+      }
+      for (const [tokenId, record] of Object.entries(refreshTokens)) {
+        if (record.userId === id) delete refreshTokens[tokenId];
+      }
+      for (const [tokenId, record] of Object.entries(apiTokens)) {
+        if (record.userId === id) delete apiTokens[tokenId];
+      }
+      for (const [tokenId, record] of Object.entries(accountTokens)) {
+        if (record.userId === id) delete accountTokens[tokenId];
+      }
+      for (const [templateId, template] of Object.entries(templates)) {
+        if (template.userId === id) delete templates[templateId];
+      }
+      for (const [webhookId, webhook] of Object.entries(webhooks)) {
+        if (webhook.userId === id) delete webhooks[webhookId];
+      }
+      for (const [deliveryId, delivery] of Object.entries(webhookDeliveries)) {
+        if (!webhooks[delivery.webhookId]) delete webhookDeliveries[deliveryId];
+      }
+      for (const [addressId, address] of Object.entries(movedAddresses)) {
+        if (address.userId === id) delete movedAddresses[addressId];
+      }
+      for (const workspace of Object.values(workspaces)) {
+        workspace.members = workspace.members.filter(member => member.userId !== id);
+      }
+      const siteIds = user.sites.map(site => site.id);
+      delete users[id];
+      await saveUsers();
+      await saveDomains();
+      await saveRefreshTokens();
+      await saveApiTokens();
+      await saveAccountTokens();
+      await saveTemplates();
+      await saveWebhooks();
+      await saveWebhookDeliveries();
+      await saveMovedAddresses();
+      await saveWorkspaces();
+      await dropVisitEvents(event => siteIds.includes(event.siteId));
+    },
+
+    // Sites
+    async getSite(id) {
+      const found = locateSite(id);
+      return found ? publicSite(found.user, found.user.sites[found.index]) : null;
+    },
+
+    async findSite(userId, slug) {
+      const user = users[userId];
+      const site = user && user.sites.find(s => s.slug === slug);
+      return site ? publicSite(user, site) : null;
+    },
+
+    async listSites(userId) {
+      const user = users[userId];
+      return user ? user.sites.map(site => publicSite(user, site)) : [];
+    },
+
+    async listAllSites() {
+      return Object.values(users).flatMap(user => user.sites.map(site => publicSite(user, site)));
+    },
+
+    async findSitesByHostLabel(label) {
+      const lower = label.toLowerCase();
+      const matches = [];
+      for (const user of Object.values(users)) {
+        const prefix = `${user.subdomain.toLowerCase()}-`;
+        if (!lower.startsWith(prefix)) continue;
+        for (const site of user.sites) {
+          if (site.slug.toLowerCase() === lower.slice(prefix.length)) {
+            matches.push({ user: publicUser(user), site: publicSite(user, site) });
+          }
+        }
+      }
+      return matches.sort((a, b) => a.site.createdAt.localeCompare(b.site.createdAt));
+    },
+
+    async listWorkspaceSites(workspaceId) {
+      return Object.values(users).flatMap(user => user.sites
+        .filter(site => site.workspaceId === workspaceId)
+        .map(site => publicSite(user, site)));
+    },
+
+    async createSite(site) {
+      const { userId, ...record } = clone(site);
+      const user = users[userId];
+      if (!user) throw new Error(`Unknown user: ${userId}`);
+      user.sites.push(record);
+      await saveUsers();
+      return publicSite(user, record);
+    },
+
+    async updateSite(id, changes) {
+      const found = locateSite(id);
+      if (!found) return null;
+
+      const current = found.user.sites[found.index];
+      const { userId, visits, ...rest } = clone(changes);
+      const updated = { ...current, ...rest, id };
+
+      // A different userId moves the site to another owner
+      let owner = found.user;
+      if (userId && userId !== found.user.id && users[userId]) {
+        found.user.sites.splice(found.index, 1);
+        owner = users[userId];
+        owner.sites.push(updated);
+      } else {
+        found.user.sites[found.index] = updated;
+      }
+
+      await saveUsers();
+      return publicSite(owner, updated);
+    },
+
+    async deleteSite(id) {
+      const found = locateSite(id);
+      if (!found) return;
+      found.user.sites.splice(found.index, 1);
+      for (const [domain, entry] of Object.entries(domains)) {
+        if (entry.siteId === id) delete domains[domain];
+      }
+      for (const [addressId, address] of Object.entries(movedAddresses)) {
+        if (address.siteId === id) delete movedAddresses[addressId];
+      }
+      await saveUsers();
+      await saveDomains();
+      await saveMovedAddresses();
+      await dropVisitEvents(event => event.siteId === id);
+    },
+
+    // Visits
+    async addVisitEvents(events) {
+      const known = events.filter(event => locateSite(event.siteId));
+      if (known.length === 0) return;
+
+      for (const event of known) {
+        if (event.uaClass === 'bot') continue;
+        const found = locateSite(event.siteId);
+        const site = found.user.sites[found.index];
+        site.visits = (site.visits || 0) + 1;
+      }
+
+      writeQueue = writeQueue.then(() => fs.appendFile(
+        visitsFile,
+        known.map(event => JSON.stringify(event)).join('\n') + '\n'
+      )).catch(error => {
+        console.error(`Error writing ${visitsFile}:`, error);
+      });
+
+      if (!visitTimer) {
+        visitTimer = setTimeout(() => {
+          visitTimer = null;
+          saveUsers();
+        }, VISIT_FLUSH_DELAY);
+      }
+    },
+
+    async listVisitEvents(siteId, { from, to }) {
+      await writeQueue;
+      const events = await readJsonLines(visitsFile);
+      return events.filter(event => event.siteId === siteId && event.timestamp >= from && event.timestamp < to);
+    },
+
+    // Domains
+    async getDomain(domain) {
+      return clone(domains[domain]);
+    },
+
+    async listDomains({ siteId = null, userId = null } = {}) {
+      return Object.values(domains)
+        .filter(entry => (!siteId || entry.siteId === siteId) && (!userId || entry.userId === userId))
+        .sort((a, b) => a.domain.localeCompare(b.domain))
+        .map(clone);
+    },
+
+    async saveDomain(entry) {
+      domains[entry.domain] = clone(entry);
+      await saveDomains();
+      return clone(entry);
+    },
+
+    async deleteDomain(domain) {
+      delete domains[domain];
+      await saveDomains();
+    },
+
+    // Workspaces
+    async getWorkspace(id) {
+      return publicWorkspace(workspaces[id]);
+    },
+
+    async listWorkspaces(userId) {
+      return Object.values(workspaces)
+        .map(workspace => ({ workspace, member: workspace.members.find(m => m.userId === userId) }))
+        .filter(({ member }) => member)
+        .map(({ workspace, member }) => ({ ...publicWorkspace(workspace), role: member.role }));
+    },
+
+    async createWorkspace(workspace) {
+      workspaces[workspace.id] = { ...clone(workspace), members: [], invitations: [] };
+      await saveWorkspaces();
+      return publicWorkspace(workspaces[workspace.id]);
+    },
+
+    async updateWorkspace(id, changes) {
+      const current = workspaces[id];
+      if (!current) return null;
+      const { members, invitations, ...rest } = clone(changes);
+      workspaces[id] = { ...current, ...rest, id, members: current.members, invitations: current.invitations };
+      await saveWorkspaces();
+      return publicWorkspace(workspaces[id]);
+    },
+
+    async deleteWorkspace(id) {
+      delete workspaces[id];
+      await saveWorkspaces();
+    },
+
+    async listWorkspaceMembers(workspaceId) {
+      const workspace = workspaces[workspaceId];
+      return workspace ? workspace.members.map(clone) : [];
+    },
+
+    async getWorkspaceMember(workspaceId, userId) {
+      const workspace = workspaces[workspaceId];
+      return clone(workspace && workspace.members.find(member => member.userId === userId));
+    },
+
+    async saveWorkspaceMember(member) {
+      const workspace = workspaces[member.workspaceId];
+      if (!workspace) throw new Error(`Unknown workspace: ${member.workspaceId}`);
+      const index = workspace.members.findIndex(m => m.userId === member.userId);
+      if (index === -1) {
+        workspace.members.push(clone(member));
+      } else {
+        workspace.members[index] = clone(member);
+      }
+      await saveWorkspaces();
+      return clone(member);
+    },
+
+    async removeWorkspaceMember(workspaceId, userId) {
+      const workspace = workspaces[workspaceId];
+      if (!workspace) return;
+      workspace.members = workspace.members.filter(member => member.userId !== userId);
+      await saveWorkspaces();
+    },
+
+    async createInvitation(invitation) {
+      const workspace = workspaces[invitation.workspaceId];
+      if (!workspace) throw new Error(`Unknown workspace: ${invitation.workspaceId}`);
+      workspace.invitations.push(clone(invitation));
+      await saveWorkspaces();
+      return clone(invitation);
+    },
+
+    async findInvitation(tokenHash) {
+      for (const workspace of Object.values(workspaces)) {
+        const invitation = workspace.invitations.find(entry => entry.tokenHash === tokenHash);
+        if (invitation) return clone(invitation);
+      }
+      return null;
+    },
+
+    async listInvitations(workspaceId) {
+      const workspace = workspaces[workspaceId];
+      return workspace ? workspace.invitations.map(clone) : [];
+    },
+
+    async deleteInvitation(id) {
+      for (const workspace of Object.values(workspaces)) {
+        workspace.invitations = workspace.invitations.filter(invitation => invitation.id !== id);
+      }
+      await saveWorkspaces();
+    },
+
+    async pruneInvitations(before) {
+      for (const workspace of Object.values(workspaces)) {
+        workspace.invitations = workspace.invitations.filter(invitation => invitation.expiresAt >= before);
+      }
+      await saveWorkspaces();
+    },
+
+    // Refresh tokens
+    async createRefreshToken(record) {
+      refreshTokens[record.id] = clone(record);
+      await saveRefreshTokens();
+      return clone(record);
+    },
+
+    async findRefreshToken(tokenHash) {
+      return clone(Object.values(refreshTokens).find(record => record.tokenHash === tokenHash));
+    },
+
+    async updateRefreshToken(id, changes) {
+      const current = refreshTokens[id];
+      if (!current) return null;
+      refreshTokens[id] = { ...current, ...clone(changes), id };
+      await saveRefreshTokens();
+      return clone(refreshTokens[id]);
+    },
+
+    async revokeRefreshTokens({ userId = null, familyId = null }, revokedAt) {
+      for (const record of Object.values(refreshTokens)) {
+        if (record.revokedAt) continue;
+        if ((!userId || record.userId === userId) && (!familyId || record.familyId === familyId)) {
+          record.revokedAt = revokedAt;
+        }
+      }
+      await saveRefreshTokens();
+    },
+
+    async pruneRefreshTokens(before) {
+      for (const [id, record] of Object.entries(refreshTokens)) {
+        if (record.expiresAt < before) delete refreshTokens[id];
+      }
+      await saveRefreshTokens();
+    },
+
+    // API tokens
+    async createApiToken(record) {
+      apiTokens[record.id] = clone(record);
+      await saveApiTokens();
+      return clone(record);
+    },
+
+    async findApiToken(tokenHash) {
+      return clone(Object.values(apiTokens).find(record => record.tokenHash === tokenHash));
+    },
+
+    async listApiTokens(userId) {
+      return Object.values(apiTokens)
+        .filter(record => record.userId === userId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(clone);
+    },
+
+    async updateApiToken(id, changes) {
+      const current = apiTokens[id];
+      if (!current) return null;
+      apiTokens[id] = { ...current, ...clone(changes), id };
+      await saveApiTokens();
+      return clone(apiTokens[id]);
+    },
+
+    async deleteApiToken(id) {
+      delete apiTokens[id];
+      await saveApiTokens();
+    },
+
+    // Account tokens
+    async createAccountToken(record) {
+      accountTokens[record.id] = clone(record);
+      await saveAccountTokens();
+      return clone(record);
+    },
+
+    async consumeAccountToken(tokenHash, purpose) {
+      const record = Object.values(accountTokens)
+        .find(entry => entry.tokenHash === tokenHash && entry.purpose === purpose);
+      if (!record) return null;
+      delete accountTokens[record.id];
+      await saveAccountTokens();
+      return clone(record);
+    },
+
+    async deleteAccountTokens({ userId, purpose = null }) {
+      for (const [id, record] of Object.entries(accountTokens)) {
+        if (record.userId === userId && (!purpose || record.purpose === purpose)) delete accountTokens[id];
+      }
+      await saveAccountTokens();
+    },
+
+    async pruneAccountTokens(before) {
+      for (const [id, record] of Object.entries(accountTokens)) {
+        if (record.expiresAt < before) delete accountTokens[id];
+      }
+      await saveAccountTokens();
+    },
+
+    // Templates
+    async getTemplate(id) {
+      return clone(templates[id]);
+    },
+
+    async listTemplates({ userId = null, visibility = null } = {}) {
+      return Object.values(templates)
+        .filter(template => (!userId || template.userId === userId) && (!visibility || template.visibility === visibility))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(clone);
+    },
+
+    async createTemplate(template) {
+      templates[template.id] = clone(template);
+      await saveTemplates();
+      return clone(template);
+    },
+
+    async updateTemplate(id, changes) {
+      const current = templates[id];
+      if (!current) return null;
+      templates[id] = { ...current, ...clone(changes), id };
+      await saveTemplates();
+      return clone(templates[id]);
+    },
+
+    async deleteTemplate(id) {
+      delete templates[id];
+      await saveTemplates();
+    },
+
+    // Webhooks
+    async getWebhook(id) {
+      return clone(webhooks[id]);
+    },
+
+    async listWebhooks({ userId = null, siteId = null } = {}) {
+      return Object.values(webhooks)
+        .filter(webhook => (!userId || webhook.userId === userId) && (!siteId || webhook.siteId === siteId))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(clone);
+    },
+
+    async createWebhook(webhook) {
+      webhooks[webhook.id] = clone(webhook);
+      await saveWebhooks();
+      return clone(webhook);
+    },
+
+    async updateWebhook(id, changes) {
+      const current = webhooks[id];
+      if (!current) return null;
+      webhooks[id] = { ...current, ...clone(changes), id };
+      await saveWebhooks();
+      return clone(webhooks[id]);
+    },
+
+    async deleteWebhook(id) {
+      delete webhooks[id];
+      for (const [deliveryId, delivery] of Object.entries(webhookDeliveries)) {
+        if (delivery.webhookId === id) delete webhookDeliveries[deliveryId];
+      }
+      await saveWebhooks();
+      await saveWebhookDeliveries();
+    },
+
+    async createWebhookDelivery(delivery) {
+      webhookDeliveries[delivery.id] = clone(delivery);
+      await saveWebhookDeliveries();
+      return clone(delivery);
+    },
+
+    async getWebhookDelivery(id) {
+      return clone(webhookDeliveries[id]);
+    },
+
+    async updateWebhookDelivery(id, changes) {
+      const current = webhookDeliveries[id];
+      if (!current) return null;
+      webhookDeliveries[id] = { ...current, ...clone(changes), id };
+      await saveWebhookDeliveries();
+      return clone(webhookDeliveries[id]);
+    },
+
+    async listWebhookDeliveries(webhookId, { before = null, limit = 50 } = {}) {
+      return Object.values(webhookDeliveries)
+        .filter(delivery => delivery.webhookId === webhookId && (!before || delivery.createdAt < before))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+        .map(clone);
+    },
+
+    async listDueWebhookDeliveries(before) {
+      return Object.values(webhookDeliveries)
+        .filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= before)
+        .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+        .map(clone);
+    },
+
+    async pruneWebhookDeliveries(before) {
+      for (const [id, delivery] of Object.entries(webhookDeliveries)) {
+        if (delivery.status !== 'pending' && delivery.createdAt < before) delete webhookDeliveries[id];
+      }
+      await saveWebhookDeliveries();
+    },
+
+    // Moved addresses
+    async createMovedAddress(address) {
+      movedAddresses[address.id] = clone(address);
+      await saveMovedAddresses();
+      return clone(address);
+    },
+
+    async listMovedAddresses({ userId = null, siteId = null, subdomain = null } = {}) {
+      return Object.values(movedAddresses)
+        .filter(address => (!userId || address.userId === userId) && (!siteId || address.siteId === siteId) &&
+          (!subdomain || address.subdomain === subdomain))
+        .map(clone);
+    },
+
+    async deleteMovedAddress(id) {
+      delete movedAddresses[id];
+      await saveMovedAddresses();
+    },
+
+    async pruneMovedAddresses(before) {
+      for (const [id, address] of Object.entries(movedAddresses)) {
+        if (address.expiresAt < before) delete movedAddresses[id];
+      }
+      await saveMovedAddresses();
+    },
+
+    // Audit log
+    async addAuditEvent(event) {
+      const entry = { id: ++auditCount, ...clone(event) };
+      writeQueue = writeQueue.then(() => fs.appendFile(auditFile, JSON.stringify(entry) + '\n')).catch(error => {
+        console.error(`Error writing ${auditFile}:`, error);
+      });
+      await writeQueue;
+      return clone(entry);
+    },
+
+    async listAuditEvents({ actorId = null, targetId = null, action = null, before = null, limit = 50 } = {}) {
+      await writeQueue;
+      const events = await readJsonLines(auditFile);
+      return events
+        .filter(event => (!actorId || event.actorId === actorId) && (!targetId || event.targetId === targetId) &&
+          (!action || event.action === action) && (!before || event.id < before))
+        .reverse()
+        .slice(0, limit);
+    }
+  };
+}
+
+module.exports = { createJsonStorage };
@@ -0,0 +1,881 @@
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  username TEXT NOT NULL UNIQUE,
+  email TEXT NOT NULL UNIQUE,
+  subdomain TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS sites (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  slug TEXT NOT NULL,
+  visits INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  data TEXT NOT NULL,
+  UNIQUE (user_id, slug)
+);
+
+CREATE TABLE IF NOT EXISTS domains (
+  domain TEXT PRIMARY KEY,
+  site_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS visit_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id TEXT NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  timestamp TEXT NOT NULL,
+  path TEXT NOT NULL,
+  referrer TEXT,
+  ua_class TEXT NOT NULL,
+  visitor_hash TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  family_id TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TEXT NOT NULL,
+  revoked_at TEXT,
+  data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS workspaces (
+  id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS workspace_members (
+  workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL,
+  joined_at TEXT NOT NULL,
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS workspace_invitations (
+  id TEXT PRIMARY KEY,
+  workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS templates (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  visibility TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+
+-- site_id is null for account-wide webhooks. Site webhooks are kept when their site is
+-- deleted, so the site.deleted event can still reach them.
+CREATE TABLE IF NOT EXISTS webhooks (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  site_id TEXT,
+  created_at TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  next_attempt_at TEXT,
+  created_at TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+
+-- Old addresses of renamed sites and accounts, redirected until they expire. site_id is
+-- null when a whole account moved to a new subdomain.
+CREATE TABLE IF NOT EXISTS moved_addresses (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  site_id TEXT REFERENCES sites(id) ON DELETE CASCADE,
+  subdomain TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+
+-- No foreign keys: audit entries outlive the accounts and sites they mention
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at TEXT NOT NULL,
+  actor_id TEXT,
+  action TEXT NOT NULL,
+  target_id TEXT,
+  data TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS sites_user_id ON sites (user_id);
+CREATE INDEX IF NOT EXISTS sites_slug_nocase ON sites (slug COLLATE NOCASE);
+CREATE INDEX IF NOT EXISTS users_subdomain_nocase ON users (subdomain COLLATE NOCASE);
+CREATE INDEX IF NOT EXISTS sites_workspace_id ON sites (json_extract(data, '$.workspaceId'));
+CREATE INDEX IF NOT EXISTS workspace_members_user_id ON workspace_members (user_id);
+CREATE INDEX IF NOT EXISTS workspace_invitations_workspace_id ON workspace_invitations (workspace_id);
+CREATE INDEX IF NOT EXISTS visit_events_site_time ON visit_events (site_id, timestamp);
+CREATE INDEX IF NOT EXISTS domains_site_id ON domains (site_id);
+CREATE INDEX IF NOT EXISTS refresh_tokens_user_id ON refresh_tokens (user_id);
+CREATE INDEX IF NOT EXISTS refresh_tokens_family_id ON refresh_tokens (family_id);
+CREATE INDEX IF NOT EXISTS api_tokens_user_id ON api_tokens (user_id);
+CREATE INDEX IF NOT EXISTS account_tokens_user_id ON account_tokens (user_id, purpose);
+CREATE INDEX IF NOT EXISTS templates_user_id ON templates (user_id);
+CREATE INDEX IF NOT EXISTS templates_visibility ON templates (visibility);
+CREATE INDEX IF NOT EXISTS webhooks_user_id ON webhooks (user_id);
+CREATE INDEX IF NOT EXISTS webhooks_site_id ON webhooks (site_id);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id, created_at);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS moved_addresses_subdomain ON moved_addresses (subdomain);
+CREATE INDEX IF NOT EXISTS moved_addresses_user_id ON moved_addresses (user_id);
+CREATE INDEX IF NOT EXISTS audit_log_actor_id ON audit_log (actor_id);
+CREATE INDEX IF NOT EXISTS audit_log_target_id ON audit_log (target_id);
+`;
+
+// SQLite backend: indexed columns for lookups, the full record as JSON in `data`
+function createSqliteStorage({ databaseFile, usersFile, domainsFile }) {
+  let db;
+  let statements;
+
+  const toUser = row => (row ? JSON.parse(row.data) : null);
+  const toSite = row => (row ? { ...JSON.parse(row.data), userId: row.user_id, visits: row.visits } : null);
+  const toDomain = row => (row ? JSON.parse(row.data) : null);
+  const toRefreshToken = row => (row ? JSON.parse(row.data) : null);
+  const toWorkspace = row => (row ? JSON.parse(row.data) : null);
+  const toApiToken = row => (row ? JSON.parse(row.data) : null);
+  const toTemplate = row => (row ? JSON.parse(row.data) : null);
+  const toWebhook = row => (row ? JSON.parse(row.data) : null);
+  const toWebhookDelivery = row => (row ? JSON.parse(row.data) : null);
+  const toMovedAddress = row => (row ? JSON.parse(row.data) : null);
+  const toInvitation = row => (row ? JSON.parse(row.data) : null);
+  const toMember = row => (row ? {
+    workspaceId: row.workspace_id,
+    userId: row.user_id,
+    role: row.role,
+    joinedAt: row.joined_at
+  } : null);
+
+  function prepareStatements() {
+    statements = {
+      getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+      setMeta: db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)'),
+
+      getUser: db.prepare('SELECT data FROM users WHERE id = ?'),
+      findUserByUsername: db.prepare('SELECT data FROM users WHERE username = ?'),
+      findUserByEmail: db.prepare('SELECT data FROM users WHERE email = ?'),
+      findUserBySubdomain: db.prepare('SELECT data FROM users WHERE subdomain = ?'),
+      listUsers: db.prepare('SELECT data FROM users ORDER BY created_at'),
+      insertUser: db.prepare(`INSERT INTO users (id, username, email, subdomain, created_at, data)
+        VALUES (@id, @username, @email, @subdomain, @createdAt, @data)`),
+      updateUser: db.prepare(`UPDATE users SET username = @username, email = @email,
+        subdomain = @subdomain, data = @data WHERE id = @id`),
+      deleteUser: db.prepare('DELETE FROM users WHERE id = ?'),
+
+      getSite: db.prepare('SELECT * FROM sites WHERE id = ?'),
+      findSite: db.prepare('SELECT * FROM sites WHERE user_id = ? AND slug = ?'),
+      listSites: db.prepare('SELECT * FROM sites WHERE user_id = ? ORDER BY created_at'),
+      listAllSites: db.prepare('SELECT * FROM sites ORDER BY created_at'),
+      findSitesByHostLabel: db.prepare(`SELECT sites.*, users.data AS user_data
+        FROM users JOIN sites ON sites.user_id = users.id
+        WHERE users.subdomain = @subdomain COLLATE NOCASE AND sites.slug = @slug COLLATE NOCASE`),
+      listWorkspaceSites: db.prepare(`SELECT * FROM sites
+        WHERE json_extract(data, '$.workspaceId') = ? ORDER BY created_at`),
+      insertSite: db.prepare(`INSERT INTO sites (id, user_id, slug, visits, created_at, data)
+        VALUES (@id, @userId, @slug, @visits, @createdAt, @data)`),
+      updateSite: db.prepare('UPDATE sites SET user_id = @userId, slug = @slug, data = @data WHERE id = @id'),
+      deleteSite: db.prepare('DELETE FROM sites WHERE id = ?'),
+      recordVisit: db.prepare('UPDATE sites SET visits = visits + 1 WHERE id = ?'),
+      insertVisitEvent: db.prepare(`INSERT INTO visit_events (site_id, timestamp, path, referrer, ua_class, visitor_hash)
+        SELECT @siteId, @timestamp, @path, @referrer, @uaClass, @visitorHash
+        WHERE EXISTS (SELECT 1 FROM sites WHERE id = @siteId)`),
+      listVisitEvents: db.prepare(`SELECT * FROM visit_events
+        WHERE site_id = @siteId AND timestamp >= @from AND timestamp < @to ORDER BY timestamp`),
+
+      getDomain: db.prepare('SELECT data FROM domains WHERE domain = ?'),
+      listDomains: db.prepare(`SELECT data FROM domains
+        WHERE (@siteId IS NULL OR site_id = @siteId) AND (@userId IS NULL OR user_id = @userId)
+        ORDER BY domain`),
+      saveDomain: db.prepare(`INSERT OR REPLACE INTO domains (domain, site_id, user_id, status, data)
+        VALUES (@domain, @siteId, @userId, @status, @data)`),
+      deleteDomain: db.prepare('DELETE FROM domains WHERE domain = ?'),
+      deleteSiteDomains: db.prepare('DELETE FROM domains WHERE site_id = ?'),
+
+      getWorkspace: db.prepare('SELECT data FROM workspaces WHERE id = ?'),
+      listWorkspaces: db.prepare(`SELECT workspaces.data, workspace_members.role FROM workspaces
+        JOIN workspace_members ON workspace_members.workspace_id = workspaces.id
+        WHERE workspace_members.user_id = ? ORDER BY workspaces.created_at`),
+      saveWorkspace: db.prepare(`INSERT OR REPLACE INTO workspaces (id, created_at, data)
+        VALUES (@id, @createdAt, @data)`),
+      deleteWorkspace: db.prepare('DELETE FROM workspaces WHERE id = ?'),
+      listWorkspaceMembers: db.prepare('SELECT * FROM workspace_members WHERE workspace_id = ? ORDER BY joined_at'),
+      getWorkspaceMember: db.prepare('SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?'),
+      saveWorkspaceMember: db.prepare(`INSERT OR REPLACE INTO workspace_members (workspace_id, user_id, role, joined_at)
+        VALUES (@workspaceId, @userId, @role, @joinedAt)`),
+      removeWorkspaceMember: db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?'),
+      insertInvitation: db.prepare(`INSERT INTO workspace_invitations (id, workspace_id, token_hash, expires_at, data)
+        VALUES (@id, @workspaceId, @tokenHash, @expiresAt, @data)`),
+      findInvitation: db.prepare('SELECT data FROM workspace_invitations WHERE token_hash = ?'),
+      listInvitations: db.prepare('SELECT data FROM workspace_invitations WHERE workspace_id = ? ORDER BY expires_at'),
+      deleteInvitation: db.prepare('DELETE FROM workspace_invitations WHERE id = ?'),
+      pruneInvitations: db.prepare('DELETE FROM workspace_invitations WHERE expires_at < ?'),
+
+      getRefreshToken: db.prepare('SELECT data FROM refresh_tokens WHERE id = ?'),
+      findRefreshToken: db.prepare('SELECT data FROM refresh_tokens WHERE token_hash = ?'),
+      saveRefreshToken: db.prepare(`INSERT OR REPLACE INTO refresh_tokens
+        (id, user_id, family_id, token_hash, expires_at, revoked_at, data)
+        VALUES (@id, @userId, @familyId, @tokenHash, @expiresAt, @revokedAt, @data)`),
+      listActiveRefreshTokens: db.prepare(`SELECT data FROM refresh_tokens WHERE revoked_at IS NULL
+        AND (@userId IS NULL OR user_id = @userId) AND (@familyId IS NULL OR family_id = @familyId)`),
+      pruneRefreshTokens: db.prepare('DELETE FROM refresh_tokens WHERE expires_at < ?'),
+
+      getApiToken: db.prepare('SELECT data FROM api_tokens WHERE id = ?'),
+      findApiToken: db.prepare('SELECT data FROM api_tokens WHERE token_hash = ?'),
+      listApiTokens: db.prepare('SELECT data FROM api_tokens WHERE user_id = ? ORDER BY created_at'),
+      saveApiToken: db.prepare(`INSERT OR REPLACE INTO api_tokens (id, user_id, token_hash, created_at, data)
+        VALUES (@id, @userId, @tokenHash, @createdAt, @data)`),
+      deleteApiToken: db.prepare('DELETE FROM api_tokens WHERE id = ?'),
+
+      insertAccountToken: db.prepare(`INSERT INTO account_tokens (id, user_id, purpose, token_hash, expires_at, data)
+        VALUES (@id, @userId, @purpose, @tokenHash, @expiresAt, @data)`),
+      findAccountToken: db.prepare('SELECT * FROM account_tokens WHERE token_hash = ? AND purpose = ?'),
+      deleteAccountToken: db.prepare('DELETE FROM account_tokens WHERE id = ?'),
+      deleteAccountTokens: db.prepare(`DELETE FROM account_tokens
+        WHERE user_id = @userId AND (@purpose IS NULL OR purpose = @purpose)`),
+      pruneAccountTokens: db.prepare('DELETE FROM account_tokens WHERE expires_at < ?'),
+
+      getTemplate: db.prepare('SELECT data FROM templates WHERE id = ?'),
+      listTemplates: db.prepare(`SELECT data FROM templates
+        WHERE (@userId IS NULL OR user_id = @userId) AND (@visibility IS NULL OR visibility = @visibility)
+        ORDER BY created_at`),
+      saveTemplate: db.prepare(`INSERT OR REPLACE INTO templates (id, user_id, visibility, created_at, data)
+        VALUES (@id, @userId, @visibility, @createdAt, @data)`),
+      deleteTemplate: db.prepare('DELETE FROM templates WHERE id = ?'),
+
+      getWebhook: db.prepare('SELECT data FROM webhooks WHERE id = ?'),
+      listWebhooks: db.prepare(`SELECT data FROM webhooks
+        WHERE (@userId IS NULL OR user_id = @userId) AND (@siteId IS NULL OR site_id = @siteId)
+        ORDER BY created_at`),
+      saveWebhook: db.prepare(`INSERT OR REPLACE INTO webhooks (id, user_id, site_id, created_at, data)
+        VALUES (@id, @userId, @siteId, @createdAt, @data)`),
+      deleteWebhook: db.prepare('DELETE FROM webhooks WHERE id = ?'),
+      getWebhookDelivery: db.prepare('SELECT data FROM webhook_deliveries WHERE id = ?'),
+      listWebhookDeliveries: db.prepare(`SELECT data FROM webhook_deliveries WHERE webhook_id = @webhookId
+        AND (@before IS NULL OR created_at < @before) ORDER BY created_at DESC LIMIT @limit`),
+      listDueWebhookDeliveries: db.prepare(`SELECT data FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at`),
+      saveWebhookDelivery: db.prepare(`INSERT OR REPLACE INTO webhook_deliveries
+        (id, webhook_id, status, next_attempt_at, created_at, data)
+        VALUES (@id, @webhookId, @status, @nextAttemptAt, @createdAt, @data)`),
+      pruneWebhookDeliveries: db.prepare(`DELETE FROM webhook_deliveries
+        WHERE status != 'pending' AND created_at < ?`),
+
+      listMovedAddresses: db.prepare(`SELECT data FROM moved_addresses
+        WHERE (@userId IS NULL OR user_id = @userId) AND (@siteId IS NULL OR site_id = @siteId)
+        AND (@subdomain IS NULL OR subdomain = @subdomain) ORDER BY rowid`),
+      insertMovedAddress: db.prepare(`INSERT INTO moved_addresses (id, user_id, site_id, subdomain, expires_at, data)
+        VALUES (@id, @userId, @siteId, @subdomain, @expiresAt, @data)`),
+      deleteMovedAddress: db.prepare('DELETE FROM moved_addresses WHERE id = ?'),
+      pruneMovedAddresses: db.prepare('DELETE FROM moved_addresses WHERE expires_at < ?'),
+
+      insertAuditEvent: db.prepare(`INSERT INTO audit_log (created_at, actor_id, action, target_id, data)
+        VALUES (@createdAt, @actorId, @action, @targetId, @data)`),
+      listAuditEvents: db.prepare(`SELECT id, data FROM audit_log
+        WHERE (@actorId IS NULL OR actor_id = @actorId) AND (@targetId IS NULL OR target_id = @targetId)
+        AND (@action IS NULL OR action = @action) AND (@before IS NULL OR id < @before)
+        ORDER BY id DESC LIMIT @limit`)
+    };
+  }
+
+  function userParams(user) {
+    const { sites, ...record } = user;
+    return {
+      id: record.id,
+      username: record.username,
+      email: record.email,
+      subdomain: record.subdomain,
+      createdAt: record.createdAt,
+      data: JSON.stringify(record)
+    };
+  }
+
+  function siteParams(site) {
+    const { userId, visits, ...record } = site;
+    return {
+      id: record.id,
+      userId,
+      slug: record.slug,
+      visits: visits || 0,
+      createdAt: record.createdAt,
+      data: JSON.stringify(record)
+    };
+  }
+
+  function domainParams(entry) {
+    return {
+      domain: entry.domain,
+      siteId: entry.siteId,
+      userId: entry.userId,
+      status: entry.status,
+      data: JSON.stringify(entry)
+    };
+  }
+
+  function refreshTokenParams(record) {
+    return {
+      id: record.id,
+      userId: record.userId,
+      familyId: record.familyId,
+      tokenHash: record.tokenHash,
+      expiresAt: record.expiresAt,
+      revokedAt: record.revokedAt || null,
+      data: JSON.stringify(record)
+    };
+  }
+
+  function apiTokenParams(record) {
+    return {
+      id: record.id,
+      userId: record.userId,
+      tokenHash: record.tokenHash,
+      createdAt: record.createdAt,
+      data: JSON.stringify(record)
+    };
+  }
+
+  function templateParams(template) {
+    return {
+      id: template.id,
+      userId: template.userId,
+      visibility: template.visibility,
+      createdAt: template.createdAt,
+      data: JSON.stringify(template)
+    };
+  }
+
+  function webhookParams(webhook) {
+    return {
+      id: webhook.id,
+      userId: webhook.userId,
+      siteId: webhook.siteId || null,
+      createdAt: webhook.createdAt,
+      data: JSON.stringify(webhook)
+    };
+  }
+
+  function webhookDeliveryParams(delivery) {
+    return {
+      id: delivery.id,
+      webhookId: delivery.webhookId,
+      status: delivery.status,
+      nextAttemptAt: delivery.nextAttemptAt || null,
+      createdAt: delivery.createdAt,
+      data: JSON.stringify(delivery)
+    };
+  }
+
+  function movedAddressParams(address) {
+    return {
+      id: address.id,
+      userId: address.userId,
+      siteId: address.siteId || null,
+      subdomain: address.subdomain,
+      expiresAt: address.expiresAt,
+      data: JSON.stringify(address)
+    };
+  }
+
+  function readLegacyFile(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // One-time import of the legacy users.json / domains.json files
+  function migrateLegacyFiles() {
+    if (statements.getMeta.get('legacy_import')) {
+      return;
+    }
+
+    const users = readLegacyFile(usersFile);
+    const domains = readLegacyFile(domainsFile);
+    let importedSites = 0;
+
+    db.transaction(() => {
+      for (const user of Object.values(users)) {
+        statements.insertUser.run(userParams(user));
+        for (const site of user.sites || []) {
+          statements.insertSite.run(siteParams({ ...site, userId: user.id }));
+          importedSites++;
+        }
+      }
+      for (const entry of Object.values(domains)) {
+        statements.saveDomain.run(domainParams(entry));
+      }
+      statements.setMeta.run('legacy_import', new Date().toISOString());
+    })();
+
+    if (Object.keys(users).length > 0) {
+      console.log(`📦 Imported ${Object.keys(users).length} users and ${importedSites} sites from ${usersFile}`);
+    }
+  }
+
+  return {
+    async init() {
+      db = new Database(databaseFile);
+      db.pragma('journal_mode = WAL');
+      db.pragma('foreign_keys = ON');
+      db.exec(SCHEMA);
+      prepareStatements();
+      migrateLegacyFiles();
+    },
+
+    async close() {
+      db.close();
+    },
+
+    // Users
+    async getUser(id) {
+      return toUser(statements.getUser.get(id));
+    },
+
+    async findUserByUsername(username) {
+      return toUser(statements.findUserByUsername.get(username));
+    },
+
+    async findUserByEmail(email) {
+      return toUser(statements.findUserByEmail.get(email));
+    },
+
+    async findUserBySubdomain(subdomain) {
+      return toUser(statements.findUserBySubdomain.get(subdomain));
+    },
+
+    async listUsers() {
+      return statements.listUsers.all().map(toUser);
+    },
+
+    async createUser(user) {
+      statements.insertUser.run(userParams(user));
+      return toUser(statements.getUser.get(user.id));
+    },
+
+    async updateUser(id, changes) {
+      const current = toUser(statements.getUser.get(id));
+      if (!current) return null;
+      statements.updateUser.run(userParams({ ...current, ...changes, id }));
+      return toUser(statements.getUser.get(id));
+    },
+
+    async deleteUser(id) {
+      db.transaction(() => {
+        for (const site of statements.listSites.all(id)) {
+          statements.deleteSiteDomains.run(site.id);
+        }
+        statements.deleteUser.run(id);
+      })();
+    },
+
+    // Sites
+    async getSite(id) {
+      return toSite(statements.getSite.get(id));
+    },
+
+    async findSite(userId, slug) {
+      return toSite(statements.findSite.get(userId, slug));
+    },
+
+    async listSites(userId) {
+      return statements.listSites.all(userId).map(toSite);
+    },
+
+    async listAllSites() {
+      return statements.listAllSites.all().map(toSite);
+    },
+
+    // Either part of a label may contain hyphens, so each split is looked up on its own
+    async findSitesByHostLabel(label) {
+      const lower = label.toLowerCase();
+      const matches = [];
+      for (let at = lower.indexOf('-'); at !== -1; at = lower.indexOf('-', at + 1)) {
+        const rows = statements.findSitesByHostLabel.all({ subdomain: lower.slice(0, at), slug: lower.slice(at + 1) });
+        for (const row of rows) {
+          matches.push({ user: JSON.parse(row.user_data), site: toSite(row) });
+        }
+      }
+      return matches.sort((a, b) => a.site.createdAt.localeCompare(b.site.createdAt));
+    },
+
+    async listWorkspaceSites(workspaceId) {
+      return statements.listWorkspaceSites.all(workspaceId).map(toSite);
+    },
+
+    async createSite(site) {
+      statements.insertSite.run(siteParams(site));
+      return toSite(statements.getSite.get(site.id));
+    },
+
+    async updateSite(id, changes) {
+      const current = toSite(statements.getSite.get(id));
+      if (!current) return null;
+      statements.updateSite.run(siteParams({ ...current, ...changes, id }));
+      return toSite(statements.getSite.get(id));
+    },
+
+    async deleteSite(id) {
+      db.transaction(() => {
+        statements.deleteSiteDomains.run(id);
+        statements.deleteSite.run(id);
+      })();
+    },
+
+    // Visits
+    async addVisitEvents(events) {
+      db.transaction(() => {
+        for (const event of events) {
+          statements.insertVisitEvent.run({ referrer: null, ...event });
+          if (event.uaClass !== 'bot') {
+            statements.recordVisit.run(event.siteId);
+          }
+        }
+      })();
+    },
+
+    async listVisitEvents(siteId, { from, to }) {
+      return statements.listVisitEvents.all({ siteId, from, to }).map(row => ({
+        siteId: row.site_id,
+        timestamp: row.timestamp,
+        path: row.path,
+        referrer: row.referrer,
+        uaClass: row.ua_class,
+        visitorHash: row.visitor_hash
+      }));
+    },
+
+    // Domains
+    async getDomain(domain) {
+      return toDomain(statements.getDomain.get(domain));
+    },
+
+    async listDomains({ siteId = null, userId = null } = {}) {
+      return statements.listDomains.all({ siteId, userId }).map(toDomain);
+    },
+
+    async saveDomain(entry) {
+      statements.saveDomain.run(domainParams(entry));
+      return entry;
+    },
+
+    async deleteDomain(domain) {
+      statements.deleteDomain.run(domain);
+    },
+
+    // Workspaces
+    async getWorkspace(id) {
+      return toWorkspace(statements.getWorkspace.get(id));
+    },
+
+    async listWorkspaces(userId) {
+      return statements.listWorkspaces.all(userId).map(row => ({ ...toWorkspace(row), role: row.role }));
+    },
+
+    async createWorkspace(workspace) {
+      statements.saveWorkspace.run({ id: workspace.id, createdAt: workspace.createdAt, data: JSON.stringify(workspace) });
+      return workspace;
+    },
+
+    async updateWorkspace(id, changes) {
+      const current = toWorkspace(statements.getWorkspace.get(id));
+      if (!current) return null;
+      const updated = { ...current, ...changes, id };
+      statements.saveWorkspace.run({ id, createdAt: updated.createdAt, data: JSON.stringify(updated) });
+      return updated;
+    },
+
+    async deleteWorkspace(id) {
+      statements.deleteWorkspace.run(id);
+    },
+
+    async listWorkspaceMembers(workspaceId) {
+      return statements.listWorkspaceMembers.all(workspaceId).map(toMember);
+    },
+
+    async getWorkspaceMember(workspaceId, userId) {
+      return toMember(statements.getWorkspaceMember.get(workspaceId, userId));
+    },
+
+    async saveWorkspaceMember(member) {
+      statements.saveWorkspaceMember.run(member);
+      return member;
+    },
+
+    async removeWorkspaceMember(workspaceId, userId) {
+      statements.removeWorkspaceMember.run(workspaceId, userId);
+    },
+
+    async createInvitation(invitation) {
+      statements.insertInvitation.run({
+        id: invitation.id,
+        workspaceId: invitation.workspaceId,
+        tokenHash: invitation.tokenHash,
+        expiresAt: invitation.expiresAt,
+        data: JSON.stringify(invitation)
+      });
+      return invitation;
+    },
+
+    async findInvitation(tokenHash) {
+      return toInvitation(statements.findInvitation.get(tokenHash));
+    },
+
+    async listInvitations(workspaceId) {
+      return statements.listInvitations.all(workspaceId).map(toInvitation);
+    },
+
+    async deleteInvitation(id) {
+      statements.deleteInvitation.run(id);
+    },
+
+    async pruneInvitations(before) {
+      statements.pruneInvitations.run(before);
+    },
+
+    // Refresh tokens
+    async createRefreshToken(record) {
+      statements.saveRefreshToken.run(refreshTokenParams(record));
+      return record;
+    },
+
+    async findRefreshToken(tokenHash) {
+      return toRefreshToken(statements.findRefreshToken.get(tokenHash));
+    },
+
+    async updateRefreshToken(id, changes) {
+      const current = toRefreshToken(statements.getRefreshToken.get(id));
+      if (!current) return null;
+      const updated = { ...current, ...changes, id };
+      statements.saveRefreshToken.run(refreshTokenParams(updated));
+      return updated;
+    },
+
+    async revokeRefreshTokens({ userId = null, familyId = null }, revokedAt) {
+      db.transaction(() => {
+        for (const row of statements.listActiveRefreshTokens.all({ userId, familyId })) {
+          statements.saveRefreshToken.run(refreshTokenParams({ ...toRefreshToken(row), revokedAt }));
+        }
+      })();
+    },
+
+    async pruneRefreshTokens(before) {
+      statements.pruneRefreshTokens.run(before);
+    },
+
+    // API tokens
+    async createApiToken(record) {
+      statements.saveApiToken.run(apiTokenParams(record));
+      return record;
+    },
+
+    async findApiToken(tokenHash) {
+      return toApiToken(statements.findApiToken.get(tokenHash));
+    },
+
+    async listApiTokens(userId) {
+      return statements.listApiTokens.all(userId).map(toApiToken);
+    },
+
+    async updateApiToken(id, changes) {
+      const current = toApiToken(statements.getApiToken.get(id));
+      if (!current) return null;
+      const updated = { ...current, ...changes, id };
+      statements.saveApiToken.run(apiTokenParams(updated));
+      return updated;
+    },
+
+    async deleteApiToken(id) {
+      statements.deleteApiToken.run(id);
+    },
+
+    // Account tokens
+    async createAccountToken(record) {
+      statements.insertAccountToken.run({
+        id: record.id,
+        userId: record.userId,
+        purpose: record.purpose,
+        tokenHash: record.tokenHash,
+        expiresAt: record.expiresAt,
+        data: JSON.stringify(record)
+      });
+      return record;
+    },
+
+    async consumeAccountToken(tokenHash, purpose) {
+      return db.transaction(() => {
+        const row = statements.findAccountToken.get(tokenHash, purpose);
+        if (!row) return null;
+        statements.deleteAccountToken.run(row.id);
+        return JSON.parse(row.data);
+      })();
+    },
+
+    async deleteAccountTokens({ userId, purpose = null }) {
+      statements.deleteAccountTokens.run({ userId, purpose });
+    },
+
+    async pruneAccountTokens(before) {
+      statements.pruneAccountTokens.run(before);
+    },
+
+    // Templates
+    async getTemplate(id) {
+      return toTemplate(statements.getTemplate.get(id));
+    },
+
+    async listTemplates({ userId = null, visibility = null } = {}) {
+      return statements.listTemplates.all({ userId, visibility }).map(toTemplate);
+    },
+
+    async createTemplate(template) {
+      statements.saveTemplate.run(templateParams(template));
+      return template;
+    },
+
+    async updateTemplate(id, changes) {
+      const current = toTemplate(statements.getTemplate.get(id));
+      if (!current) return null;
+      const updated = { ...current, ...changes, id };
+      statements.saveTemplate.run(templateParams(updated));
+      return updated;
+    },
+
+    async deleteTemplate(id) {
+      statements.deleteTemplate.run(id);
+    },
+
+    // Webhooks
+    async getWebhook(id) {
+      return toWebhook(statements.getWebhook.get(id));
+    },
+
+    async listWebhooks({ userId = null, siteId = null } = {}) {
+      return statements.listWebhooks.all({ userId, siteId }).map(toWebhook);
+    },
+
+    async createWebhook(webhook) {
+      statements.saveWebhook.run(webhookParams(webhook));
+      return webhook;
+    },
+
+    async updateWebhook(id, changes) {
+      const current = toWebhook(statements.getWebhook.get(id));
+      if (!current) return null;
+      const updated = { ...current, ...changes, id };
+      statements.saveWebhook.run(webhookParams(updated));
+      return updated;
+    },
+
+    async deleteWebhook(id) {
+      statements.deleteWebhook.run(id);
+    },
+
+    async createWebhookDelivery(delivery) {
+      statements.saveWebhookDelivery.run(webhookDeliveryParams(delivery));
+      return delivery;
+    },
+
+    async getWebhookDelivery(id) {
+      return toWebhookDelivery(statements.getWebhookDelivery.get(id));
+    },
+
+    async updateWebhookDelivery(id, changes) {
+      const current = toWebhookDelivery(statements.getWebhookDelivery.get(id));
+      if (!current) return null;
+      const updated = { ...current, ...changes, id };
+      statements.saveWebhookDelivery.run(webhookDeliveryParams(updated));
+      return updated;
+    },
+
+    async listWebhookDeliveries(webhookId, { before = null, limit = 50 } = {}) {
+      return statements.listWebhookDeliveries.all({ webhookId, before, limit }).map(toWebhookDelivery);
+    },
+
+    async listDueWebhookDeliveries(before) {
+      return statements.listDueWebhookDeliveries.all(before).map(toWebhookDelivery);
+    },
+
+    async pruneWebhookDeliveries(before) {
+      statements.pruneWebhookDeliveries.run(before);
+    },
+
+    // Moved addresses
+    async createMovedAddress(address) {
+      statements.insertMovedAddress.run(movedAddressParams(address));
+      return { ...address };
+    },
+
+    async listMovedAddresses({ userId = null, siteId = null, subdomain = null } = {}) {
+      return statements.listMovedAddresses.all({ userId, siteId, subdomain }).map(toMovedAddress);
+    },
+
+    async deleteMovedAddress(id) {
+      statements.deleteMovedAddress.run(id);
+    },
+
+    async pruneMovedAddresses(before) {
+      statements.pruneMovedAddresses.run(before);
+    },
+
+    // Audit log
+    async addAuditEvent(event) {
+      const { lastInsertRowid } = statements.insertAuditEvent.run({
+        createdAt: event.createdAt,
+        actorId: event.actorId || null,
+        action: event.action,
+        targetId: event.targetId || null,
+        data: JSON.stringify(event)
+      });
+      return { id: Number(lastInsertRowid), ...event };
+    },
+
+    async listAuditEvents({ actorId = null, targetId = null, action = null, before = null, limit = 50 } = {}) {
+      return statements.listAuditEvents.all({ actorId, targetId, action, before, limit })
+        .map(row => ({ id: row.id, ...JSON.parse(row.data) }));
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
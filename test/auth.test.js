@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test('registration rejects missing fields, bad names, short passwords and duplicates', async () => {
+  const register = body => server.request('POST', '/api/register', { body });
+
+  assert.strictEqual((await register({ username: 'someone', password: 'secret123' })).status, 400);
+  assert.strictEqual((await register({ username: 'a b', email: 'ab@example.com', password: 'secret123' })).status, 400);
+  assert.strictEqual((await register({ username: 'someone', email: 'not-an-email', password: 'secret123' })).status, 400);
+  assert.strictEqual((await register({ username: 'someone', email: 'someone@example.com', password: '123' })).status, 400);
+
+  const account = await server.register('dupe');
+  const taken = await register({ username: account.user.username, email: 'other@example.com', password: 'secret123' });
+  assert.strictEqual(taken.status, 400);
+  assert.strictEqual(taken.body.error, 'Username already taken');
+  const emailTaken = await register({ username: 'freshname', email: account.user.email, password: 'secret123' });
+  assert.strictEqual(emailTaken.body.error, 'Email already registered');
+});
+
+test('login needs the right password, and protected routes need a valid token', async () => {
+  const account = await server.register('login');
+
+  const wrong = await server.request('POST', '/api/login', { body: { username: account.user.username, password: 'nope123' } });
+  assert.strictEqual(wrong.status, 400);
+  assert.strictEqual(wrong.body.token, undefined);
+
+  const right = await server.request('POST', '/api/login', { body: { username: account.user.username, password: account.password } });
+  assert.strictEqual(right.status, 200);
+  assert.ok(right.body.token);
+  assert.ok(right.body.refreshToken);
+  assert.strictEqual(right.body.user.password, undefined);
+
+  assert.strictEqual((await server.request('GET', '/api/user/profile')).status, 401);
+  assert.strictEqual((await server.request('GET', '/api/user/profile', { token: 'garbage' })).status, 403);
+  assert.strictEqual((await server.request('GET', '/api/user/profile', { token: right.body.token })).status, 200);
+});
+
+test('refresh tokens rotate, and replaying a rotated one revokes the whole family', async () => {
+  const account = await server.register('refresh');
+  const refresh = refreshToken => server.request('POST', '/api/token/refresh', { body: { refreshToken } });
+
+  const first = await refresh(account.refreshToken);
+  assert.strictEqual(first.status, 200);
+  assert.notStrictEqual(first.body.refreshToken, account.refreshToken);
+  assert.strictEqual((await server.request('GET', '/api/user/profile', { token: first.body.token })).status, 200);
+
+  // The original token was rotated, so using it again looks like a leak
+  const replay = await refresh(account.refreshToken);
+  assert.strictEqual(replay.status, 401);
+  assert.match(replay.body.error, /already been used/);
+
+  // ...which also signs out whoever holds the newest token of that family
+  assert.strictEqual((await refresh(first.body.refreshToken)).status, 401);
+  assert.strictEqual((await refresh('not-a-token')).status, 401);
+});
+
+test('logging out everywhere revokes refresh tokens and issued access tokens', async () => {
+  const account = await server.register('logout');
+
+  const res = await server.request('POST', '/api/logout-all', { token: account.token });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await server.request('GET', '/api/user/profile', { token: account.token })).status, 403);
+  assert.strictEqual((await server.request('POST', '/api/token/refresh', { body: { refreshToken: account.refreshToken } })).status, 401);
+});
+
+test('repeated failed logins for one account are rate limited', async () => {
+  const account = await server.register('limit');
+  const attempt = password => server.request('POST', '/api/login', { body: { username: account.user.username, password } });
+
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual((await attempt('wrong-password')).status, 400);
+  }
+  const limited = await attempt(account.password);
+  assert.strictEqual(limited.status, 429);
+  assert.ok(Number(limited.headers['retry-after']) > 0);
+});
@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const INDEX = '<!DOCTYPE html><html><body><h1>Git site</h1></body></html>';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+async function createGitSite(account, siteName) {
+  const uploaded = await server.request('POST', '/api/upload', { token: account.token, body: { html: INDEX, siteName } });
+  assert.strictEqual(uploaded.status, 200, JSON.stringify(uploaded.body));
+  const site = uploaded.body.site;
+  const enabled = await server.request('PUT', `/api/sites/${site.id}/git`, { token: account.token, body: {} });
+  assert.strictEqual(enabled.status, 200, JSON.stringify(enabled.body));
+  return site;
+}
+
+async function createApiToken(account, body) {
+  const res = await server.request('POST', '/api/user/tokens', { token: account.token, body: { name: 'git', ...body } });
+  assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+  return res.body.token;
+}
+
+// Start a push the way git does: ask for the receive-pack refs with basic auth
+function advertise(siteId, credentials, service = 'git-receive-pack') {
+  const headers = credentials ? { authorization: `Basic ${Buffer.from(credentials).toString('base64')}` } : {};
+  return server.request('GET', `/git/${siteId}.git/info/refs?service=${service}`, { headers });
+}
+
+test('pushing needs the account password or a deploy token for the site', async () => {
+  const owner = await server.register('gitowner');
+  const site = await createGitSite(owner, 'Pushed');
+  const other = await createGitSite(owner, 'Elsewhere');
+  const username = owner.user.username;
+
+  const anonymous = await advertise(site.id);
+  assert.strictEqual(anonymous.status, 401);
+  assert.match(anonymous.headers['www-authenticate'], /^Basic/);
+  assert.strictEqual((await advertise(site.id, `${username}:wrong-password`)).status, 401);
+  assert.strictEqual((await advertise(site.id, `${username}:ntd_not-a-token`)).status, 401);
+
+  const readToken = await createApiToken(owner, { scope: 'read' });
+  assert.strictEqual((await advertise(site.id, `token:${readToken}`)).status, 403);
+  assert.strictEqual((await advertise(site.id, `token:${readToken}`, 'git-upload-pack')).status, 200);
+
+  // Tokens bound to another site can't see this one
+  const boundToken = await createApiToken(owner, { scope: 'deploy', siteId: other.id });
+  assert.strictEqual((await advertise(site.id, `token:${boundToken}`)).status, 404);
+  assert.strictEqual((await advertise(other.id, `token:${boundToken}`)).status, 200);
+
+  const res = await advertise(site.id, `${username}:${owner.password}`);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers['content-type'], 'application/x-git-receive-pack-advertisement');
+});
+
+test('other accounts cannot push, and only smart HTTP git is served', async () => {
+  const owner = await server.register('gitsite');
+  const outsider = await server.register('outsider');
+  const site = await createGitSite(owner, 'Private repo');
+
+  assert.strictEqual((await advertise(site.id, `${outsider.user.username}:${outsider.password}`)).status, 404);
+  assert.strictEqual((await advertise('missing-site', `${owner.user.username}:${owner.password}`)).status, 404);
+
+  const dumb = await server.request('GET', `/git/${site.id}.git/info/refs`);
+  assert.strictEqual(dumb.status, 403);
+});
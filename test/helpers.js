@@ -0,0 +1,192 @@
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const START_TIMEOUT = 20000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Run server.js on a free port with all of its data in a fresh temp dir. Sign-up and login
+// limits are raised so tests can create as many accounts as they need, unless `env` sets them.
+async function startServer(env = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ntando-server-'));
+  const port = await freePort();
+  const mailFile = path.join(dataDir, 'outbox.jsonl');
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      JWT_SECRET: 'test-secret',
+      MAIL_TRANSPORT: 'file',
+      MAIL_FILE: mailFile,
+      REGISTER_MAX_PER_IP: '1000',
+      LOGIN_MAX_PER_IP: '1000',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT);
+      child.stdout.on('data', () => {
+        if (output.includes('running on port')) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+      exited.then(code => {
+        clearTimeout(timer);
+        reject(new Error(`Server exited with ${code}:\n${output}`));
+      });
+    });
+  } catch (error) {
+    child.kill();
+    await fs.rm(dataDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  // Answer with { status, headers, body }; JSON bodies are parsed, Buffers sent as zip archives
+  function request(method, urlPath, { token, body, headers = {} } = {}) {
+    const options = { method, host: '127.0.0.1', port, path: urlPath, headers: { ...headers } };
+    if (token) options.headers.authorization = `Bearer ${token}`;
+    let payload = null;
+    if (Buffer.isBuffer(body)) {
+      payload = body;
+      options.headers['content-type'] = options.headers['content-type'] || 'application/zip';
+    } else if (body !== undefined) {
+      payload = Buffer.from(JSON.stringify(body));
+      options.headers['content-type'] = 'application/json';
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = http.request(options, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+          const json = /application\/json/.test(res.headers['content-type'] || '');
+          resolve({ status: res.statusCode, headers: res.headers, body: json ? JSON.parse(text) : text });
+        });
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  // Sign up a fresh account; returns the response body with its tokens and user
+  let accounts = 0;
+  async function register(prefix = 'user') {
+    accounts++;
+    const username = `${prefix}${accounts}${Date.now().toString(36)}`.slice(0, 30);
+    const res = await request('POST', '/api/register', {
+      body: { username, email: `${username}@example.com`, password: 'secret123' }
+    });
+    if (res.status !== 200) throw new Error(`Registration failed: ${JSON.stringify(res.body)}`);
+    return { ...res.body, password: 'secret123' };
+  }
+
+  async function readMail() {
+    try {
+      const data = await fs.readFile(mailFile, 'utf8');
+      return data.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async function stop() {
+    if (child.exitCode === null) child.kill('SIGTERM');
+    await exited;
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+
+  return { port, dataDir, request, register, readMail, stop, output: () => output };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Build a zip archive from [{ name, data, mode, deflate }]; `mode` is the unix file mode
+// (0o120777 makes a symlink)
+function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data, mode = 0o100644, deflate = false } of entries) {
+    const content = Buffer.from(data);
+    const stored = deflate ? zlib.deflateRawSync(content) : content;
+    const fileName = Buffer.from(name);
+    const crc = crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE((mode << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, stored);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + stored.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = { startServer, createZip };
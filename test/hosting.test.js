@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+const page = text => `<!DOCTYPE html><html><body><h1>${text}</h1></body></html>`;
+const visit = (label, urlPath = '/', headers = {}) =>
+  server.request('GET', urlPath, { headers: { host: `${label}.localhost`, ...headers } });
+
+async function publish(account, siteSlug, text) {
+  const res = await server.request('POST', '/api/upload', { token: account.token, body: { html: page(text), siteSlug } });
+  assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+  return res.body.site;
+}
+
+test('sites are served by their <subdomain>-<slug> host label, ignoring case', async () => {
+  const account = await server.register('host');
+  await publish(account, 'blog', 'Host routing');
+  const label = `${account.user.subdomain}-blog`;
+
+  let res = await visit(label);
+  assert.strictEqual(res.status, 200);
+  assert.match(res.body, /Host routing/);
+
+  res = await visit(label.toUpperCase());
+  assert.strictEqual(res.status, 200);
+
+  assert.strictEqual((await visit(`${account.user.subdomain}-missing`)).status, 404);
+  assert.strictEqual((await visit(label, '/%E0%A4%A')).status, 400);
+});
+
+test('a new site cannot take a host label another account already serves', async () => {
+  const first = await server.register('label');
+  const second = await server.register('label');
+
+  // The second account's subdomain extends the first one's, so their labels can meet
+  const subdomain = `${first.user.subdomain}-shop`;
+  const renamed = await server.request('PUT', '/api/user/subdomain', { token: second.token, body: { subdomain } });
+  assert.strictEqual(renamed.status, 200, JSON.stringify(renamed.body));
+  await publish(second, 'blog', 'Second account');
+
+  const site = await publish(first, 'shop-blog', 'First account');
+  assert.strictEqual(site.slug, 'shop-blog-1');
+
+  const res = await visit(`${subdomain}-blog`);
+  assert.strictEqual(res.status, 200);
+  assert.match(res.body, /Second account/);
+});
+
+test('password protected sites need the shared password', async () => {
+  const account = await server.register('locked');
+  const site = await publish(account, 'secret', 'Members only');
+  const label = `${account.user.subdomain}-secret`;
+
+  let res = await server.request('PUT', `/api/sites/${site.id}/access`, {
+    token: account.token,
+    body: { mode: 'password', password: 'letmein1' }
+  });
+  assert.strictEqual(res.status, 200);
+
+  res = await visit(label);
+  assert.strictEqual(res.status, 401);
+  assert.doesNotMatch(res.body, /Members only/);
+  assert.strictEqual(res.headers['cache-control'], 'private, no-store');
+
+  res = await server.request('POST', `/site-access/${site.id}`, { body: { password: 'wrong-password', returnTo: '/' } });
+  assert.strictEqual(res.status, 401);
+
+  res = await server.request('POST', `/site-access/${site.id}`, { body: { password: 'letmein1', returnTo: '/' } });
+  assert.strictEqual(res.status, 303);
+  const cookie = res.headers['set-cookie'][0].split(';')[0];
+
+  res = await visit(label, '/', { cookie });
+  assert.strictEqual(res.status, 200);
+  assert.match(res.body, /Members only/);
+});
+
+test('basic auth sites need the username and password', async () => {
+  const account = await server.register('basic');
+  const site = await publish(account, 'staging', 'Staging build');
+  const label = `${account.user.subdomain}-staging`;
+  const basic = credentials => ({ authorization: `Basic ${Buffer.from(credentials).toString('base64')}` });
+
+  const res = await server.request('PUT', `/api/sites/${site.id}/access`, {
+    token: account.token,
+    body: { mode: 'basic', username: 'guest', password: 'letmein1' }
+  });
+  assert.strictEqual(res.status, 200);
+
+  const anonymous = await visit(label);
+  assert.strictEqual(anonymous.status, 401);
+  assert.match(anonymous.headers['www-authenticate'], /^Basic/);
+  assert.strictEqual((await visit(label, '/', basic('guest:wrong-password'))).status, 401);
+  assert.strictEqual((await visit(label, '/', basic('guest:letmein1'))).status, 200);
+
+  // Public again once access is reset
+  await server.request('PUT', `/api/sites/${site.id}/access`, { token: account.token, body: { mode: 'public' } });
+  assert.strictEqual((await visit(label)).status, 200);
+});
@@ -0,0 +1,264 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { createStorage } = require('../storage');
+
+const DRIVERS = ['sqlite', 'json'];
+
+async function createTestStorage(driver, setup = async () => {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), `ntando-storage-${driver}-`));
+  const file = name => path.join(dir, name);
+  await setup(file);
+  const open = async () => {
+    const storage = createStorage({
+      driver,
+      databaseFile: file('ntandostore.db'),
+      usersFile: file('users.json'),
+      domainsFile: file('domains.json'),
+      workspacesFile: file('workspaces.json'),
+      refreshTokensFile: file('refresh-tokens.json'),
+      apiTokensFile: file('api-tokens.json'),
+      accountTokensFile: file('account-tokens.json'),
+      templatesFile: file('templates.json'),
+      webhooksFile: file('webhooks.json'),
+      webhookDeliveriesFile: file('webhook-deliveries.json'),
+      movedAddressesFile: file('moved-addresses.json'),
+      visitsFile: file('visits.jsonl'),
+      auditFile: file('audit.jsonl')
+    });
+    await storage.init();
+    return storage;
+  };
+  return { open, file, cleanup: () => fs.rm(dir, { recursive: true, force: true }) };
+}
+
+function makeUser(id, subdomain, overrides = {}) {
+  return {
+    id,
+    username: `user-${id}`,
+    email: `${id}@example.com`,
+    subdomain,
+    createdAt: new Date().toISOString(),
+    ...overrides
+  };
+}
+
+function makeSite(id, userId, slug, createdAt = new Date().toISOString()) {
+  return { id, userId, slug, name: slug, domain: 'ntando.app', createdAt, updatedAt: createdAt };
+}
+
+function visit(siteId, uaClass = 'desktop') {
+  return { siteId, timestamp: new Date().toISOString(), path: '/', uaClass, visitorHash: 'v' };
+}
+
+for (const driver of DRIVERS) {
+  test(`${driver}: users are found by their unique fields and updates merge`, async () => {
+    const { open, cleanup } = await createTestStorage(driver);
+    const storage = await open();
+    try {
+      await storage.createUser(makeUser('u1', 'alice', { plan: 'free', versionRetention: 10 }));
+
+      assert.strictEqual((await storage.findUserByUsername('user-u1')).id, 'u1');
+      assert.strictEqual((await storage.findUserByEmail('u1@example.com')).id, 'u1');
+      assert.strictEqual((await storage.findUserBySubdomain('alice')).id, 'u1');
+      assert.strictEqual(await storage.getUser('missing'), null);
+
+      const updated = await storage.updateUser('u1', { versionRetention: 3 });
+      assert.strictEqual(updated.versionRetention, 3);
+      assert.strictEqual(updated.plan, 'free');
+      assert.strictEqual(updated.subdomain, 'alice');
+      assert.strictEqual(updated.sites, undefined);
+
+      // Returned records are copies
+      const copy = await storage.getUser('u1');
+      copy.plan = 'pro';
+      assert.strictEqual((await storage.getUser('u1')).plan, 'free');
+    } finally {
+      await storage.close();
+      await cleanup();
+    }
+  });
+
+  test(`${driver}: site updates merge and leave visit counts to addVisitEvents`, async () => {
+    const { open, cleanup } = await createTestStorage(driver);
+    const storage = await open();
+    try {
+      await storage.createUser(makeUser('u1', 'alice'));
+      await storage.createSite(makeSite('s1', 'u1', 'blog'));
+
+      await storage.addVisitEvents([visit('s1'), visit('s1', 'mobile'), visit('s1', 'bot')]);
+      const updated = await storage.updateSite('s1', { name: 'My blog', visits: 1000 });
+      assert.strictEqual(updated.name, 'My blog');
+      assert.strictEqual(updated.slug, 'blog');
+      assert.strictEqual(updated.userId, 'u1');
+      assert.strictEqual((await storage.getSite('s1')).visits, 2);
+
+      assert.strictEqual((await storage.findSite('u1', 'blog')).id, 's1');
+      assert.deepStrictEqual((await storage.listSites('u1')).map(site => site.id), ['s1']);
+      assert.strictEqual(await storage.updateSite('missing', { name: 'x' }), null);
+    } finally {
+      await storage.close();
+      await cleanup();
+    }
+  });
+
+  test(`${driver}: changing a site's userId moves it to the new owner`, async () => {
+    const { open, cleanup } = await createTestStorage(driver);
+    const storage = await open();
+    try {
+      await storage.createUser(makeUser('u1', 'alice'));
+      await storage.createUser(makeUser('u2', 'bob'));
+      await storage.createSite(makeSite('s1', 'u1', 'blog'));
+
+      const moved = await storage.updateSite('s1', { userId: 'u2' });
+      assert.strictEqual(moved.userId, 'u2');
+      assert.deepStrictEqual(await storage.listSites('u1'), []);
+      assert.strictEqual((await storage.findSite('u2', 'blog')).id, 's1');
+    } finally {
+      await storage.close();
+      await cleanup();
+    }
+  });
+
+  test(`${driver}: host labels resolve across hyphen splits, ignoring case, oldest site first`, async () => {
+    const { open, cleanup } = await createTestStorage(driver);
+    const storage = await open();
+    try {
+      await storage.createUser(makeUser('u1', 'a'));
+      await storage.createUser(makeUser('u2', 'a-b'));
+      await storage.createSite(makeSite('s1', 'u2', 'c', '2024-02-01T00:00:00.000Z'));
+      await storage.createSite(makeSite('s2', 'u1', 'b-c', '2024-01-01T00:00:00.000Z'));
+
+      const matches = await storage.findSitesByHostLabel('A-B-C');
+      assert.deepStrictEqual(matches.map(({ user, site }) => [user.id, site.id]), [['u1', 's2'], ['u2', 's1']]);
+      assert.strictEqual(matches[0].site.userId, 'u1');
+      assert.deepStrictEqual(await storage.findSitesByHostLabel('a-missing'), []);
+      assert.deepStrictEqual(await storage.findSitesByHostLabel('nohyphen'), []);
+    } finally {
+      await storage.close();
+      await cleanup();
+    }
+  });
+
+  test(`${driver}: refresh tokens are revoked by family and pruned once expired`, async () => {
+    const { open, cleanup } = await createTestStorage(driver);
+    const storage = await open();
+    try {
+      await storage.createUser(makeUser('u1', 'alice'));
+      const token = (id, familyId, expiresAt) => ({
+        id, userId: 'u1', familyId, tokenHash: `hash-${id}`, createdAt: new Date().toISOString(), expiresAt
+      });
+      await storage.createRefreshToken(token('r1', 'f1', '2999-01-01T00:00:00.000Z'));
+      await storage.createRefreshToken(token('r2', 'f1', '2999-01-01T00:00:00.000Z'));
+      await storage.createRefreshToken(token('r3', 'f2', '2000-01-01T00:00:00.000Z'));
+
+      const revokedAt = new Date().toISOString();
+      await storage.revokeRefreshTokens({ familyId: 'f1' }, revokedAt);
+      assert.strictEqual((await storage.findRefreshToken('hash-r1')).revokedAt, revokedAt);
+      assert.strictEqual((await storage.findRefreshToken('hash-r2')).revokedAt, revokedAt);
+      assert.ok(!(await storage.findRefreshToken('hash-r3')).revokedAt);
+
+      await storage.pruneRefreshTokens(new Date().toISOString());
+      assert.strictEqual(await storage.findRefreshToken('hash-r3'), null);
+      assert.ok(await storage.findRefreshToken('hash-r1'));
+    } finally {
+      await storage.close();
+      await cleanup();
+    }
+  });
+
+  test(`${driver}: account tokens can only be consumed once, for their purpose`, async () => {
+    const { open, cleanup } = await createTestStorage(driver);
+    const storage = await open();
+    try {
+      await storage.createUser(makeUser('u1', 'alice'));
+      await storage.createAccountToken({
+        id: 'a1', userId: 'u1', purpose: 'password-reset', tokenHash: 'hash-a1',
+        createdAt: new Date().toISOString(), expiresAt: '2999-01-01T00:00:00.000Z'
+      });
+
+      assert.strictEqual(await storage.consumeAccountToken('hash-a1', 'email-verification'), null);
+      assert.strictEqual((await storage.consumeAccountToken('hash-a1', 'password-reset')).userId, 'u1');
+      assert.strictEqual(await storage.consumeAccountToken('hash-a1', 'password-reset'), null);
+    } finally {
+      await storage.close();
+      await cleanup();
+    }
+  });
+
+  test(`${driver}: deleting a user removes their sites, domains and tokens`, async () => {
+    const { open, cleanup } = await createTestStorage(driver);
+    const storage = await open();
+    try {
+      await storage.createUser(makeUser('u1', 'alice'));
+      await storage.createSite(makeSite('s1', 'u1', 'blog'));
+      await storage.saveDomain({ domain: 'blog.example.com', siteId: 's1', userId: 'u1', status: 'verified' });
+      await storage.createRefreshToken({
+        id: 'r1', userId: 'u1', familyId: 'f1', tokenHash: 'hash-r1',
+        createdAt: new Date().toISOString(), expiresAt: '2999-01-01T00:00:00.000Z'
+      });
+
+      await storage.deleteUser('u1');
+      assert.strictEqual(await storage.getUser('u1'), null);
+      assert.strictEqual(await storage.getSite('s1'), null);
+      assert.strictEqual(await storage.getDomain('blog.example.com'), null);
+      assert.strictEqual(await storage.findRefreshToken('hash-r1'), null);
+    } finally {
+      await storage.close();
+      await cleanup();
+    }
+  });
+
+  test(`${driver}: data survives a restart`, async () => {
+    const { open, cleanup } = await createTestStorage(driver);
+    let storage = await open();
+    try {
+      await storage.createUser(makeUser('u1', 'alice'));
+      await storage.createSite(makeSite('s1', 'u1', 'blog'));
+      await storage.close();
+
+      storage = await open();
+      assert.strictEqual((await storage.findUserBySubdomain('alice')).id, 'u1');
+      assert.strictEqual((await storage.getSite('s1')).slug, 'blog');
+    } finally {
+      await storage.close();
+      await cleanup();
+    }
+  });
+}
+
+test('sqlite: legacy users.json and domains.json are imported once', async () => {
+  const user = makeUser('u1', 'alice');
+  const site = { ...makeSite('s1', null, 'blog'), visits: 7 };
+  delete site.userId;
+
+  const { open, file, cleanup } = await createTestStorage('sqlite', async file => {
+    await fs.writeFile(file('users.json'), JSON.stringify({ u1: { ...user, sites: [site] } }));
+    await fs.writeFile(file('domains.json'), JSON.stringify({
+      'blog.example.com': { domain: 'blog.example.com', siteId: 's1', userId: 'u1', status: 'verified' }
+    }));
+  });
+  let storage = await open();
+  try {
+    assert.strictEqual((await storage.findUserBySubdomain('alice')).id, 'u1');
+    const imported = await storage.getSite('s1');
+    assert.strictEqual(imported.userId, 'u1');
+    assert.strictEqual(imported.visits, 7);
+    assert.strictEqual((await storage.getDomain('blog.example.com')).siteId, 's1');
+
+    // Later edits to the legacy files are not imported again
+    await storage.close();
+    await fs.writeFile(file('users.json'), JSON.stringify({
+      u1: { ...user, sites: [site] },
+      u2: { ...makeUser('u2', 'bob'), sites: [] }
+    }));
+    storage = await open();
+    assert.strictEqual(await storage.getUser('u2'), null);
+    assert.strictEqual((await storage.listUsers()).length, 1);
+  } finally {
+    await storage.close();
+    await cleanup();
+  }
+});
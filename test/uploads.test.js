@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { startServer, createZip } = require('./helpers');
+
+const MB = 1024 * 1024;
+const INDEX = '<!DOCTYPE html><html><body><h1>Hello</h1></body></html>';
+
+let server;
+let plansDir;
+let account;
+
+before(async () => {
+  plansDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ntando-plans-'));
+  const plansFile = path.join(plansDir, 'plans.json');
+  await fs.writeFile(plansFile, JSON.stringify({ free: { maxSites: 2, maxFileBytes: 64 * 1024, deploysPerHour: 3 } }));
+  server = await startServer({ PLANS_FILE: plansFile, MAX_BUNDLE_BYTES: String(3 * MB) });
+  account = await server.register('uploader');
+});
+
+after(async () => {
+  await server.stop();
+  await fs.rm(plansDir, { recursive: true, force: true });
+});
+
+const upload = (body, token = account.token) => server.request('POST', '/api/upload', { token, body });
+const uploadZip = (entries, token = account.token) => upload(createZip(entries), token);
+
+test('uploads need a signed-in user', async () => {
+  const res = await server.request('POST', '/api/upload', { body: { html: INDEX } });
+  assert.strictEqual(res.status, 401);
+});
+
+test('paths that escape the site are rejected', async () => {
+  let res = await upload({ files: { 'index.html': INDEX, '../evil.html': 'x' } });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /Path traversal/);
+
+  res = await upload({ files: { 'index.html': INDEX, '/etc/passwd': 'x' } });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /Absolute paths/);
+
+  // yauzl refuses these entries before the server sees their names
+  res = await uploadZip([{ name: 'index.html', data: INDEX }, { name: 'assets/../../evil.html', data: 'x' }]);
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /invalid relative path/);
+});
+
+test('symbolic links in archives are rejected', async () => {
+  const res = await uploadZip([
+    { name: 'index.html', data: INDEX },
+    { name: 'passwd', data: '/etc/passwd', mode: 0o120777 }
+  ]);
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /Symbolic links/);
+});
+
+test('oversized and zip-bomb archives are rejected', async () => {
+  let res = await uploadZip([
+    { name: 'index.html', data: INDEX },
+    { name: 'big.bin', data: Buffer.alloc(4 * MB), deflate: true }
+  ]);
+  assert.strictEqual(res.status, 413);
+  assert.match(res.body.error, /byte limit/);
+
+  res = await uploadZip([
+    { name: 'index.html', data: INDEX },
+    { name: 'bomb.bin', data: Buffer.alloc(2 * MB), deflate: true }
+  ]);
+  assert.strictEqual(res.status, 413);
+  assert.match(res.body.error, /compression ratio/);
+
+  res = await upload({ files: { 'index.html': INDEX, 'big.txt': 'a'.repeat(3 * MB + 1) } });
+  assert.strictEqual(res.status, 413);
+
+  res = await upload(Buffer.from('not a zip'));
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /Invalid zip archive/);
+});
+
+test('uploads without an index.html, with a bad name or an unknown domain are rejected', async () => {
+  let res = await upload({ files: { 'about.html': INDEX } });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /index\.html/);
+
+  res = await upload({ html: INDEX, siteSlug: 'a' });
+  assert.strictEqual(res.status, 400);
+
+  res = await upload({ html: INDEX, siteName: 'Domains', preferredDomain: 'evil.example' });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Unsupported domain');
+});
+
+test('plan limits cap file size, site count and deploys per hour', async () => {
+  const owner = await server.register('quota');
+
+  let res = await upload({ siteName: 'Large', files: { 'index.html': INDEX, 'big.txt': 'a'.repeat(100 * 1024) } }, owner.token);
+  assert.strictEqual(res.status, 413);
+  assert.match(res.body.error, /file size limit/);
+
+  const first = await upload({ html: INDEX, siteName: 'First' }, owner.token);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual((await upload({ html: INDEX, siteName: 'Second' }, owner.token)).status, 200);
+
+  res = await upload({ html: INDEX, siteName: 'Third' }, owner.token);
+  assert.strictEqual(res.status, 403);
+  assert.match(res.body.error, /allows 2 sites/);
+
+  // Two uploads and one update use up the three deploys of the hour
+  const update = () => server.request('PUT', `/api/sites/${first.body.site.id}`, { token: owner.token, body: { html: INDEX } });
+  assert.strictEqual((await update()).status, 200);
+  res = await update();
+  assert.strictEqual(res.status, 429);
+  assert.ok(Number(res.headers['retry-after']) > 0);
+});
@@ -0,0 +1,198 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { createStorage } = require('../storage');
+const {
+  signWebhook,
+  retryDelay,
+  isPrivateAddress,
+  createWebhookSender,
+  createWebhookDispatcher
+} = require('../webhooks/');
+
+// A local receiver that answers with the queued status codes (200 once they run out) and
+// remembers every request it got
+let receiver;
+let receiverUrl;
+const received = [];
+const statuses = [];
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(statuses.shift() || 200);
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(() => receiver.close());
+
+function reset(codes = []) {
+  received.length = 0;
+  statuses.length = 0;
+  statuses.push(...codes);
+}
+
+async function waitFor(check, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+async function createTestStorage() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ntando-webhooks-'));
+  const file = name => path.join(dir, name);
+  const storage = createStorage({
+    driver: 'json',
+    usersFile: file('users.json'),
+    domainsFile: file('domains.json'),
+    workspacesFile: file('workspaces.json'),
+    refreshTokensFile: file('refresh-tokens.json'),
+    apiTokensFile: file('api-tokens.json'),
+    accountTokensFile: file('account-tokens.json'),
+    templatesFile: file('templates.json'),
+    webhooksFile: file('webhooks.json'),
+    webhookDeliveriesFile: file('webhook-deliveries.json'),
+    movedAddressesFile: file('moved-addresses.json'),
+    visitsFile: file('visits.jsonl'),
+    auditFile: file('audit.jsonl')
+  });
+  await storage.init();
+  return { storage, cleanup: () => fs.rm(dir, { recursive: true, force: true }) };
+}
+
+test('signatures are an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+  assert.strictEqual(signWebhook('whsec_test', 1700000000, '{"a":1}'), `sha256=${expected}`);
+});
+
+test('retries back off exponentially', () => {
+  assert.deepStrictEqual([1, 2, 3, 4].map(attempt => retryDelay(attempt, 1000)), [1000, 2000, 4000, 8000]);
+});
+
+test('private, mapped and translated addresses are recognised', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '100.64.0.1', '169.254.169.254', '::1', '::',
+    '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:0:7f00:1', '64:ff9b::7f00:1', 'fe80::1%lo0', 'fd00::1']) {
+    assert.strictEqual(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '100.128.0.1', '172.32.0.1', '2606:4700:4700::1111']) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
+
+test('the sender refuses private addresses, including IPv4-mapped IPv6 literals', async () => {
+  reset();
+  const sender = createWebhookSender({ timeout: 2000 });
+  const port = receiver.address().port;
+  const send = url => sender.send({ url, secret: 's', event: 'site.updated', deliveryId: 'd', body: '{}' });
+
+  for (const url of [receiverUrl, `http://[::ffff:127.0.0.1]:${port}/`, `http://[::ffff:7f00:1]:${port}/`, `http://localhost:${port}/`]) {
+    const result = await send(url);
+    assert.strictEqual(result.ok, false, url);
+    assert.match(result.error, /private address/, url);
+  }
+  assert.strictEqual(received.length, 0);
+});
+
+test('deliveries are signed and carry the event headers', async () => {
+  reset();
+  const sender = createWebhookSender({ timeout: 2000, allowPrivateAddresses: true });
+  const body = JSON.stringify({ id: 'evt', event: 'site.published' });
+  const result = await sender.send({ url: receiverUrl, secret: 'whsec_x', event: 'site.published', deliveryId: 'del-1', body });
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.statusCode, 200);
+  const [request] = received;
+  assert.strictEqual(request.body, body);
+  assert.strictEqual(request.headers['x-ntando-event'], 'site.published');
+  assert.strictEqual(request.headers['x-ntando-delivery'], 'del-1');
+  assert.strictEqual(request.headers['x-ntando-signature'], signWebhook('whsec_x', request.headers['x-ntando-timestamp'], body));
+});
+
+test('failed deliveries are retried with backoff, then given up on', async () => {
+  const { storage, cleanup } = await createTestStorage();
+  try {
+    reset([500, 503, 500]);
+    const dispatcher = createWebhookDispatcher({
+      storage,
+      sender: createWebhookSender({ timeout: 2000, allowPrivateAddresses: true }),
+      maxAttempts: 3,
+      baseDelay: 100,
+      concurrency: 2
+    });
+    const webhook = await storage.createWebhook({ id: 'wh-1', userId: 'u', siteId: null, url: receiverUrl, secret: 'whsec_r' });
+    const queued = await dispatcher.queue(webhook, { id: 'evt-1', event: 'site.updated' });
+
+    const first = await waitFor(async () => {
+      const delivery = await storage.getWebhookDelivery(queued.id);
+      return delivery.attempts.length === 1 && delivery;
+    });
+    assert.strictEqual(first.status, 'pending');
+    assert.strictEqual(Date.parse(first.nextAttemptAt) - Date.parse(first.attempts[0].at) >= 100, true);
+
+    // Not due yet: the sweep leaves it alone
+    await dispatcher.sendDue();
+    assert.strictEqual((await storage.getWebhookDelivery(queued.id)).attempts.length, 1);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    await dispatcher.sendDue();
+    const second = await storage.getWebhookDelivery(queued.id);
+    assert.strictEqual(second.attempts.length, 2);
+    assert.strictEqual(Date.parse(second.nextAttemptAt) - Date.parse(second.attempts[1].at) >= 200, true);
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    await dispatcher.sendDue();
+    const last = await storage.getWebhookDelivery(queued.id);
+    assert.strictEqual(last.status, 'failed');
+    assert.deepStrictEqual(last.attempts.map(attempt => attempt.statusCode), [500, 503, 500]);
+    assert.strictEqual(last.nextAttemptAt, null);
+    assert.strictEqual(received.length, 3);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('redeliveries send the same event under a new delivery id', async () => {
+  const { storage, cleanup } = await createTestStorage();
+  try {
+    reset([500]);
+    const dispatcher = createWebhookDispatcher({
+      storage,
+      sender: createWebhookSender({ timeout: 2000, allowPrivateAddresses: true }),
+      maxAttempts: 1,
+      baseDelay: 100,
+      concurrency: 2
+    });
+    const webhook = await storage.createWebhook({ id: 'wh-2', userId: 'u', siteId: null, url: receiverUrl, secret: 'whsec_d' });
+    const original = await dispatcher.queue(webhook, { id: 'evt-2', event: 'deploy.failed' });
+    await waitFor(async () => (await storage.getWebhookDelivery(original.id)).status === 'failed');
+
+    const redelivery = await dispatcher.queue(webhook, original.payload, original.id);
+    const done = await waitFor(async () => {
+      const delivery = await storage.getWebhookDelivery(redelivery.id);
+      return delivery.status === 'succeeded' && delivery;
+    });
+
+    assert.notStrictEqual(redelivery.id, original.id);
+    assert.strictEqual(done.redeliveryOf, original.id);
+    assert.strictEqual(received.length, 2);
+    assert.deepStrictEqual(received.map(request => JSON.parse(request.body).id), ['evt-2', 'evt-2']);
+    assert.deepStrictEqual(received.map(request => request.headers['x-ntando-delivery']), [original.id, redelivery.id]);
+  } finally {
+    await cleanup();
+  }
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const INDEX = '<!DOCTYPE html><html><body><h1>Team site</h1></body></html>';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+// Invite `member` to the workspace with `role` and accept through the emailed link
+async function join(owner, workspaceId, member, role) {
+  const res = await server.request('POST', `/api/workspaces/${workspaceId}/invitations`, {
+    token: owner.token,
+    body: { email: member.user.email, role }
+  });
+  assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+
+  const mail = (await server.readMail()).filter(message => message.to === member.user.email).pop();
+  const token = new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('invite');
+  const accepted = await server.request('POST', '/api/invitations/accept', { token: member.token, body: { token } });
+  assert.strictEqual(accepted.status, 200, JSON.stringify(accepted.body));
+}
+
+test('workspace roles decide who can view, deploy and manage its sites', async () => {
+  const owner = await server.register('owner');
+  const member = await server.register('member');
+  const stranger = await server.register('stranger');
+
+  const created = await server.request('POST', '/api/workspaces', { token: owner.token, body: { name: 'Team' } });
+  const workspaceId = created.body.workspace.id;
+  await join(owner, workspaceId, member, 'viewer');
+
+  const uploaded = await server.request('POST', '/api/upload', {
+    token: owner.token,
+    body: { html: INDEX, siteName: 'Team site', workspaceId }
+  });
+  assert.strictEqual(uploaded.status, 200, JSON.stringify(uploaded.body));
+  const siteId = uploaded.body.site.id;
+  const deploy = account => server.request('PUT', `/api/sites/${siteId}`, { token: account.token, body: { html: INDEX } });
+
+  // Viewers can look but not deploy, publish into the workspace, change access or invite
+  assert.strictEqual((await server.request('GET', `/api/sites/${siteId}`, { token: member.token })).status, 200);
+  let res = await deploy(member);
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.error, 'This action needs the editor role');
+  res = await server.request('POST', '/api/upload', { token: member.token, body: { html: INDEX, siteName: 'Mine', workspaceId } });
+  assert.strictEqual(res.status, 403);
+  res = await server.request('PUT', `/api/sites/${siteId}/access`, { token: member.token, body: { mode: 'public' } });
+  assert.strictEqual(res.status, 403);
+  res = await server.request('POST', `/api/workspaces/${workspaceId}/invitations`, {
+    token: member.token,
+    body: { email: 'someone@example.com', role: 'viewer' }
+  });
+  assert.strictEqual(res.status, 403);
+
+  // Outsiders can't tell the site or workspace exists
+  assert.strictEqual((await server.request('GET', `/api/sites/${siteId}`, { token: stranger.token })).status, 404);
+  assert.strictEqual((await deploy(stranger)).status, 404);
+  assert.strictEqual((await server.request('GET', `/api/workspaces/${workspaceId}`, { token: stranger.token })).status, 404);
+
+  // Editors can deploy, but not hand out roles above their own
+  res = await server.request('PUT', `/api/workspaces/${workspaceId}/members/${member.user.id}`, {
+    token: owner.token,
+    body: { role: 'editor' }
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await deploy(member)).status, 200);
+  res = await server.request('PUT', `/api/workspaces/${workspaceId}/members/${member.user.id}`, {
+    token: member.token,
+    body: { role: 'owner' }
+  });
+  assert.strictEqual(res.status, 403);
+});
+
+test('invitations only work for the address they were sent to', async () => {
+  const owner = await server.register('inviter');
+  const invited = await server.register('invited');
+  const other = await server.register('other');
+
+  const created = await server.request('POST', '/api/workspaces', { token: owner.token, body: { name: 'Private' } });
+  const workspaceId = created.body.workspace.id;
+  await server.request('POST', `/api/workspaces/${workspaceId}/invitations`, {
+    token: owner.token,
+    body: { email: invited.user.email, role: 'editor' }
+  });
+
+  const mail = (await server.readMail()).filter(message => message.to === invited.user.email).pop();
+  const token = new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('invite');
+  const res = await server.request('POST', '/api/invitations/accept', { token: other.token, body: { token } });
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual((await server.request('GET', `/api/workspaces/${workspaceId}`, { token: other.token })).status, 404);
+});
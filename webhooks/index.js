@@ -0,0 +1,223 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dns = require('dns');
+const crypto = require('crypto');
+
+// Outgoing webhooks: each delivery is a signed JSON POST to the endpoint a user registered.
+//
+//   X-Ntando-Event       the event type, one of WEBHOOK_EVENTS
+//   X-Ntando-Delivery    the delivery id (redeliveries get a new one)
+//   X-Ntando-Timestamp   unix seconds when this attempt was signed
+//   X-Ntando-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret>
+//
+// Receivers should recompute the signature over the raw body and reject stale timestamps.
+const WEBHOOK_EVENTS = ['site.published', 'site.updated', 'site.deleted', 'deploy.failed'];
+const SECRET_PREFIX = 'whsec_';
+const MAX_RESPONSE_LOG_BYTES = 1024;
+
+function generateWebhookSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Delay before retry number `attempt` (1-based): base, 2×base, 4×base, ...
+function retryDelay(attempt, base) {
+  return base * 2 ** (attempt - 1);
+}
+
+// Loopback, private, shared (CGNAT), link-local, multicast and unspecified addresses, which
+// webhooks must not reach unless the server is set up to allow them. IPv4-mapped, -compatible
+// and NAT64 IPv6 addresses are refused outright, since they can stand for any IPv4 address.
+// One list per family: a single BlockList also matches IPv4 addresses against IPv6 rules.
+const PRIVATE_IPV4 = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_IPV4.addSubnet(network, prefix, 'ipv4'));
+const PRIVATE_IPV6 = new net.BlockList();
+[
+  ['::', 96], ['::ffff:0:0', 96], ['::ffff:0:0:0', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_IPV6.addSubnet(network, prefix, 'ipv6'));
+
+// Anything that isn't a valid IP address counts as private
+function isPrivateAddress(address) {
+  const plain = String(address).replace(/%.*$/, '');
+  const family = net.isIP(plain);
+  if (family === 4) return PRIVATE_IPV4.check(plain, 'ipv4');
+  if (family === 6) return PRIVATE_IPV6.check(plain, 'ipv6');
+  return true;
+}
+
+// An http(s) URL a webhook can be registered with, or null
+function normalizeWebhookUrl(value) {
+  if (typeof value !== 'string' || value.length > 2000) return null;
+  try {
+    const url = new URL(value.trim());
+    if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) return null;
+    url.hash = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+function createWebhookSender({ timeout, allowPrivateAddresses = false, userAgent = 'Ntandostore-Webhooks/1.0' }) {
+  // Resolve through the normal lookup, refusing private addresses at connect time so a
+  // hostname can't be re-pointed between the check and the request
+  function lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      if (!allowPrivateAddresses && addresses.some(isPrivateAddress)) {
+        return callback(new Error(`${hostname} resolves to a private address`));
+      }
+      callback(null, address, family);
+    });
+  }
+
+  return {
+    // POST `body` for one attempt. Resolves to { at, durationMs, ok, statusCode?, response?,
+    // error? }; network failures are reported in `error`, never thrown.
+    send({ url, secret, event, deliveryId, body }) {
+      const started = Date.now();
+      const at = new Date(started).toISOString();
+      const timestamp = Math.floor(started / 1000);
+      const target = new URL(url);
+      const hostname = target.hostname.replace(/^\[|\]$/g, '');
+
+      return new Promise(resolve => {
+        const finish = result => resolve({ at, durationMs: Date.now() - started, ...result });
+
+        if (!allowPrivateAddresses && net.isIP(hostname) && isPrivateAddress(hostname)) {
+          return finish({ ok: false, error: `${hostname} is a private address` });
+        }
+
+        const transport = target.protocol === 'https:' ? https : http;
+        const req = transport.request(target, {
+          method: 'POST',
+          lookup,
+          headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': userAgent,
+            'X-Ntando-Event': event,
+            'X-Ntando-Delivery': deliveryId,
+            'X-Ntando-Timestamp': String(timestamp),
+            'X-Ntando-Signature': signWebhook(secret, timestamp, body)
+          }
+        }, res => {
+          const chunks = [];
+          let size = 0;
+          res.on('data', chunk => {
+            if (size < MAX_RESPONSE_LOG_BYTES) chunks.push(chunk);
+            size += chunk.length;
+          });
+          res.on('end', () => finish({
+            ok: res.statusCode >= 200 && res.statusCode < 300,
+            statusCode: res.statusCode,
+            response: Buffer.concat(chunks).toString('utf8').slice(0, MAX_RESPONSE_LOG_BYTES)
+          }));
+          res.on('error', error => finish({ ok: false, statusCode: res.statusCode, error: error.message }));
+        });
+
+        req.setTimeout(timeout, () => req.destroy(new Error(`No response within ${timeout / 1000}s`)));
+        req.on('error', error => finish({ ok: false, error: error.message }));
+        req.end(body);
+      });
+    }
+  };
+}
+
+// Delivery bookkeeping on top of a sender: each delivery is stored as pending, attempted straight
+// away and then retried by sendDue() with exponential backoff until it succeeds or
+// `maxAttempts` have failed.
+//
+//   queue(webhook, payload, redeliveryOf?)  store a delivery of `payload` and start sending it
+//   attempt(deliveryId)                     one attempt at a pending delivery that is due
+//   sendDue()                               attempt every due delivery, `concurrency` at a time
+function createWebhookDispatcher({ storage, sender, maxAttempts, baseDelay, concurrency }) {
+  // Deliveries being sent right now, so the retry sweep never doubles up with a first attempt
+  const sending = new Set();
+
+  async function attempt(deliveryId) {
+    if (sending.has(deliveryId)) return;
+    sending.add(deliveryId);
+
+    try {
+      const delivery = await storage.getWebhookDelivery(deliveryId);
+      if (!delivery || delivery.status !== 'pending' || delivery.nextAttemptAt > new Date().toISOString()) return;
+      const webhook = await storage.getWebhook(delivery.webhookId);
+      if (!webhook) return;
+
+      const result = await sender.send({
+        url: webhook.url,
+        secret: webhook.secret,
+        event: delivery.event,
+        deliveryId: delivery.id,
+        body: JSON.stringify(delivery.payload)
+      });
+
+      const attempts = [...delivery.attempts, result];
+      const changes = { attempts, nextAttemptAt: null, completedAt: result.at };
+      if (result.ok) {
+        changes.status = 'succeeded';
+      } else if (attempts.length >= maxAttempts) {
+        changes.status = 'failed';
+      } else {
+        changes.nextAttemptAt = new Date(Date.now() + retryDelay(attempts.length, baseDelay)).toISOString();
+        changes.completedAt = null;
+      }
+      await storage.updateWebhookDelivery(delivery.id, changes);
+    } catch (error) {
+      console.error('Webhook delivery error:', error);
+    } finally {
+      sending.delete(deliveryId);
+    }
+  }
+
+  return {
+    attempt,
+
+    async queue(webhook, payload, redeliveryOf = null) {
+      const now = new Date().toISOString();
+      const delivery = await storage.createWebhookDelivery({
+        id: crypto.randomUUID(),
+        webhookId: webhook.id,
+        event: payload.event,
+        payload,
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: now,
+        redeliveryOf,
+        createdAt: now,
+        completedAt: null
+      });
+      attempt(delivery.id);
+      return delivery;
+    },
+
+    async sendDue() {
+      const due = await storage.listDueWebhookDeliveries(new Date().toISOString());
+      for (let index = 0; index < due.length; index += concurrency) {
+        await Promise.all(due.slice(index, index + concurrency).map(delivery => attempt(delivery.id)));
+      }
+    }
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  signWebhook,
+  retryDelay,
+  normalizeWebhookUrl,
+  createWebhookSender,
+  createWebhookDispatcher,
+  isPrivateAddress
+};